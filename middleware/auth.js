@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../utils/database');
+const { isSessionActive, verifyTwoFactorToken } = require('../utils/tokenService');
+const { hasPermission } = require('../utils/permissions');
 
 // Verify Admin
 exports.verifyAdmin = async (req, res, next) => {
@@ -22,6 +24,47 @@ exports.verifyAdmin = async (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked',
+      });
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: decoded.id },
+      select: { id: true, email: true, role: true },
+    });
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+      });
+    }
+
+    req.admin = admin;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+      error: error.message,
+    });
+  }
+};
+
+// Verify Admin, also accepting the setup token issued when 2FA is mandatory but not yet enrolled
+exports.verifyAdminOrTwoFactorSetup = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const decoded = token && verifyTwoFactorToken(token, 'setup');
+
+    if (!decoded) {
+      return exports.verifyAdmin(req, res, next);
+    }
+
     const admin = await prisma.admin.findUnique({
       where: { id: decoded.id },
       select: { id: true, email: true, role: true },
@@ -35,6 +78,7 @@ exports.verifyAdmin = async (req, res, next) => {
     }
 
     req.admin = admin;
+    req.isTwoFactorSetup = true;
     next();
   } catch (error) {
     res.status(401).json({
@@ -45,6 +89,18 @@ exports.verifyAdmin = async (req, res, next) => {
   }
 };
 
+// Require a capability from the admin's role (use after verifyAdmin)
+exports.requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Missing permission: ${permission}`,
+    });
+  }
+
+  next();
+};
+
 // Verify Quiz Taker
 exports.verifyQuizTaker = async (req, res, next) => {
   try {
@@ -66,6 +122,13 @@ exports.verifyQuizTaker = async (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked',
+      });
+    }
+
     const quizTaker = await prisma.quizTaker.findUnique({
       where: { id: decoded.id },
       select: {
@@ -91,6 +154,7 @@ exports.verifyQuizTaker = async (req, res, next) => {
     }
 
     req.quizTaker = quizTaker;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({
@@ -99,4 +163,30 @@ exports.verifyQuizTaker = async (req, res, next) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// Verify Admin or Quiz Taker, for resources both can read (e.g. question media)
+exports.verifyAdminOrQuizTaker = (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided',
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    return decoded.role === 'admin'
+      ? exports.verifyAdmin(req, res, next)
+      : exports.verifyQuizTaker(req, res, next);
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,172 @@
+const { verifyTwoFactorToken } = require('../utils/tokenService');
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const MINUTE = 60 * 1000;
+
+// Fixed-window counters kept in this process.
+// Any object with the same increment/reset methods (e.g. backed by Redis) can replace it.
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop expired windows so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), MINUTE);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Count a hit against a key
+   * @param {string} key - Limiter name plus client identity
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.hits.set(key, fresh);
+      return { ...fresh };
+    }
+
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+// Swap the backing store, e.g. for a shared one when running several instances
+exports.setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+exports.MemoryStore = MemoryStore;
+
+/**
+ * Build a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Namespace for this limiter's counters
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - Returns the client identity; falsy skips the limit
+ * @param {string} [options.message] - Message sent with the 429 response
+ */
+exports.createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests. Please try again later.',
+}) => {
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+
+    const identity = keyGenerator(req);
+
+    if (!identity) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await store.increment(`${name}:${identity}`, windowMs);
+    } catch (error) {
+      // Don't take the API down with the store
+      console.error(`Rate limit store error (${name}):`, error);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (result.count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter,
+      });
+    }
+
+    next();
+  };
+};
+
+const bodyEmail = (req) => req.body?.email?.toString().trim().toLowerCase() || null;
+
+// Every /api/auth request, per IP
+exports.authIpLimiter = exports.createRateLimiter({
+  name: 'auth-ip',
+  windowMs: envInt('RATE_LIMIT_AUTH_WINDOW_MINUTES', 15) * MINUTE,
+  max: envInt('RATE_LIMIT_AUTH_IP_MAX', 300),
+});
+
+// Login and password reset attempts, per account email
+exports.loginIdentityLimiter = exports.createRateLimiter({
+  name: 'auth-identity',
+  windowMs: envInt('RATE_LIMIT_AUTH_WINDOW_MINUTES', 15) * MINUTE,
+  max: envInt('RATE_LIMIT_LOGIN_IDENTITY_MAX', 10),
+  keyGenerator: bodyEmail,
+  message: 'Too many attempts for this account. Please try again later.',
+});
+
+// Second-factor code attempts, per admin behind the challenge token
+exports.twoFactorIdentityLimiter = exports.createRateLimiter({
+  name: 'auth-2fa',
+  windowMs: envInt('RATE_LIMIT_AUTH_WINDOW_MINUTES', 15) * MINUTE,
+  max: envInt('RATE_LIMIT_LOGIN_IDENTITY_MAX', 10),
+  keyGenerator: (req) => verifyTwoFactorToken(req.body?.challengeToken, 'login')?.id || null,
+  message: 'Too many attempts for this account. Please try again later.',
+});
+
+// Public quiz submissions, per IP and per email + quiz
+exports.publicSubmitIpLimiter = exports.createRateLimiter({
+  name: 'public-submit-ip',
+  windowMs: envInt('RATE_LIMIT_PUBLIC_WINDOW_MINUTES', 60) * MINUTE,
+  max: envInt('RATE_LIMIT_PUBLIC_SUBMIT_IP_MAX', 60),
+});
+
+exports.publicSubmitIdentityLimiter = exports.createRateLimiter({
+  name: 'public-submit-identity',
+  windowMs: envInt('RATE_LIMIT_PUBLIC_WINDOW_MINUTES', 60) * MINUTE,
+  max: envInt('RATE_LIMIT_PUBLIC_SUBMIT_IDENTITY_MAX', 5),
+  keyGenerator: (req) => {
+    const email = bodyEmail(req);
+    return email && `${req.params.quizId}:${email}`;
+  },
+  message: 'Too many submissions for this quiz. Please try again later.',
+});
+
+// CBT session starts, per IP and per email
+exports.cbtStartIpLimiter = exports.createRateLimiter({
+  name: 'cbt-start-ip',
+  windowMs: envInt('RATE_LIMIT_PUBLIC_WINDOW_MINUTES', 60) * MINUTE,
+  max: envInt('RATE_LIMIT_CBT_START_IP_MAX', 60),
+});
+
+exports.cbtStartIdentityLimiter = exports.createRateLimiter({
+  name: 'cbt-start-identity',
+  windowMs: envInt('RATE_LIMIT_PUBLIC_WINDOW_MINUTES', 60) * MINUTE,
+  max: envInt('RATE_LIMIT_CBT_START_IDENTITY_MAX', 10),
+  keyGenerator: bodyEmail,
+  message: 'Too many exam sessions started for this email. Please try again later.',
+});
@@ -3,19 +3,36 @@ const mongoose = require('mongoose');
 const QuestionSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['multiple-choice', 'essay', 'true-false', 'fill-in-the-blanks'],
+    enum: [
+      'multiple-choice',
+      'essay',
+      'true-false',
+      'fill-in-the-blanks',
+      'multi-select',
+      'matching',
+      'ordering',
+      'numeric',
+    ],
     required: true,
   },
   question: {
     type: String,
     required: true,
   },
-  options: [{
-    type: String,
-  }],
+  // A list of strings, or { prompts, choices } for matching questions
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+  },
   correctAnswer: {
     type: mongoose.Schema.Types.Mixed,
   },
+  // Shown on review, with an optional MediaAsset ID (e.g. a worked diagram)
+  explanation: {
+    type: String,
+  },
+  explanationMediaId: {
+    type: String,
+  },
   points: {
     type: Number,
     default: 1,
@@ -24,6 +41,17 @@ const QuestionSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Editorial workflow; questions written before it existed count as published
+  status: {
+    type: String,
+    enum: ['draft', 'in-review', 'published'],
+    default: 'published',
+  },
+  // Archived or deleted in the question bank; kept so past sessions still resolve
+  isArchived: {
+    type: Boolean,
+    default: false,
+  },
 }, { _id: true });
 
 const QuestionSetSchema = new mongoose.Schema({
@@ -60,11 +88,17 @@ const QuestionSetSchema = new mongoose.Schema({
   },
 });
 
-// Update totalPoints and questionCount before saving
+// Only published, unarchived questions are shown to students
+QuestionSetSchema.methods.publishedQuestions = function() {
+  return (this.questions || []).filter((q) => q.status === 'published' && !q.isArchived);
+};
+
+// Update totalPoints and questionCount (of published questions) before saving
 QuestionSetSchema.pre('save', function() {
   if (this.questions && this.questions.length > 0) {
-    this.totalPoints = this.questions.reduce((sum, q) => sum + (q.points || 0), 0);
-    this.questionCount = this.questions.length;
+    const published = this.publishedQuestions();
+    this.totalPoints = published.reduce((sum, q) => sum + (q.points || 0), 0);
+    this.questionCount = published.length;
   }
   this.updatedAt = Date.now();
 });
@@ -3,19 +3,36 @@ const mongoose = require('mongoose');
 const QuizQuestionSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['multiple-choice', 'essay', 'true-false', 'fill-in-the-blanks'],
+    enum: [
+      'multiple-choice',
+      'essay',
+      'true-false',
+      'fill-in-the-blanks',
+      'multi-select',
+      'matching',
+      'ordering',
+      'numeric',
+    ],
     required: true,
   },
   question: {
     type: String,
     required: true,
   },
-  options: [{
-    type: String,
-  }],
+  // A list of strings, or { prompts, choices } for matching questions
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+  },
   correctAnswer: {
     type: mongoose.Schema.Types.Mixed,
   },
+  // Shown on review, with an optional MediaAsset ID (e.g. a worked diagram)
+  explanation: {
+    type: String,
+  },
+  explanationMediaId: {
+    type: String,
+  },
   points: {
     type: Number,
     default: 1,
@@ -13,7 +13,16 @@ const AnswerSchema = new mongoose.Schema({
   },
   questionType: {
     type: String,
-    enum: ['multiple-choice', 'essay', 'true-false', 'fill-in-the-blanks'],
+    enum: [
+      'multiple-choice',
+      'essay',
+      'true-false',
+      'fill-in-the-blanks',
+      'multi-select',
+      'matching',
+      'ordering',
+      'numeric',
+    ],
     required: true,
   },
   answer: {
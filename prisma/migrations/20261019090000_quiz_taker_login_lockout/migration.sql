@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "quiz_takers" ADD COLUMN     "failed_login_attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "last_login_at" TIMESTAMP(3),
+ADD COLUMN     "locked_until" TIMESTAMP(3);
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "auth_sessions" (
+    "id" UUID NOT NULL,
+    "admin_id" UUID,
+    "quiz_taker_id" UUID,
+    "refresh_token_hash" VARCHAR(64) NOT NULL,
+    "previous_token_hash" VARCHAR(64),
+    "user_agent" VARCHAR(500),
+    "ip_address" VARCHAR(45),
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auth_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_sessions_refresh_token_hash_key" ON "auth_sessions"("refresh_token_hash");
+
+-- CreateIndex
+CREATE INDEX "auth_sessions_admin_id_idx" ON "auth_sessions"("admin_id");
+
+-- CreateIndex
+CREATE INDEX "auth_sessions_quiz_taker_id_idx" ON "auth_sessions"("quiz_taker_id");
+
+-- CreateIndex
+CREATE INDEX "auth_sessions_previous_token_hash_idx" ON "auth_sessions"("previous_token_hash");
+
+-- AddForeignKey
+ALTER TABLE "auth_sessions" ADD CONSTRAINT "auth_sessions_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "admins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "auth_sessions" ADD CONSTRAINT "auth_sessions_quiz_taker_id_fkey" FOREIGN KEY ("quiz_taker_id") REFERENCES "quiz_takers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- Existing admins keep full access as super-admins
+UPDATE "admins" SET "role" = 'super-admin' WHERE "role" = 'admin';
+
+-- AlterTable
+ALTER TABLE "admins" ALTER COLUMN "role" SET DEFAULT 'viewer';
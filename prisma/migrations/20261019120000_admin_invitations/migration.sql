@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "admin_invitations" (
+    "id" UUID NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "role" VARCHAR(50) NOT NULL,
+    "token_hash" VARCHAR(64) NOT NULL,
+    "invited_by" UUID,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "accepted_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admin_invitations_token_hash_key" ON "admin_invitations"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "admin_invitations_email_idx" ON "admin_invitations"("email");
+
+-- AddForeignKey
+ALTER TABLE "admin_invitations" ADD CONSTRAINT "admin_invitations_invited_by_fkey" FOREIGN KEY ("invited_by") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
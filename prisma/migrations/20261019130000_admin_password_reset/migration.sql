@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "admins" ADD COLUMN     "password_changed_at" TIMESTAMP(3),
+ADD COLUMN     "password_reset_expires_at" TIMESTAMP(3),
+ADD COLUMN     "password_reset_token_hash" VARCHAR(64);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admins_password_reset_token_hash_key" ON "admins"("password_reset_token_hash");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "admins" ADD COLUMN     "two_factor_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "two_factor_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "two_factor_recovery_codes" JSONB DEFAULT '[]',
+ADD COLUMN     "two_factor_secret" VARCHAR(64);
+
+-- CreateTable
+CREATE TABLE "system_settings" (
+    "key" VARCHAR(100) NOT NULL,
+    "value" JSONB NOT NULL,
+    "updated_by" UUID,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "system_settings_pkey" PRIMARY KEY ("key")
+);
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "access_code_events" (
+    "id" UUID NOT NULL,
+    "quiz_taker_id" UUID NOT NULL,
+    "action" VARCHAR(20) NOT NULL,
+    "code_hint" VARCHAR(9),
+    "reason" VARCHAR(500),
+    "error" TEXT,
+    "performed_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "access_code_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "access_code_events_quiz_taker_id_created_at_idx" ON "access_code_events"("quiz_taker_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "access_code_events" ADD CONSTRAINT "access_code_events_quiz_taker_id_fkey" FOREIGN KEY ("quiz_taker_id") REFERENCES "quiz_takers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "access_code_events" ADD CONSTRAINT "access_code_events_performed_by_fkey" FOREIGN KEY ("performed_by") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
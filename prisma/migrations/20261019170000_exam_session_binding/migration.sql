@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "assigned_quizzes" ADD COLUMN "exam_session_id" UUID,
+ADD COLUMN "exam_session_claimed_at" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "assigned_quizzes" ADD CONSTRAINT "assigned_quizzes_exam_session_id_fkey" FOREIGN KEY ("exam_session_id") REFERENCES "auth_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
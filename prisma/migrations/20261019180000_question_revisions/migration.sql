@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "question_revisions" (
+    "id" UUID NOT NULL,
+    "question_id" UUID NOT NULL,
+    "revision_number" INTEGER NOT NULL,
+    "type" VARCHAR(50) NOT NULL,
+    "question" TEXT NOT NULL,
+    "options" JSONB,
+    "correct_answer" JSONB,
+    "points" INTEGER NOT NULL,
+    "source" VARCHAR(20) NOT NULL DEFAULT 'edit',
+    "restored_from" INTEGER,
+    "edited_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "question_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "quiz_questions" ADD COLUMN "original_revision_id" UUID;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "question_revisions_question_id_revision_number_key" ON "question_revisions"("question_id", "revision_number");
+
+-- AddForeignKey
+ALTER TABLE "question_revisions" ADD CONSTRAINT "question_revisions_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_revisions" ADD CONSTRAINT "question_revisions_edited_by_fkey" FOREIGN KEY ("edited_by") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quiz_questions" ADD CONSTRAINT "quiz_questions_original_revision_id_fkey" FOREIGN KEY ("original_revision_id") REFERENCES "question_revisions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing questions start at revision 1
+INSERT INTO "question_revisions" ("id", "question_id", "revision_number", "type", "question", "options", "correct_answer", "points", "source", "created_at")
+SELECT gen_random_uuid(), "id", 1, "type", "question", "options", "correct_answer", "points", 'create', "created_at"
+FROM "questions";
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "media_assets" (
+    "id" UUID NOT NULL,
+    "storage_provider" VARCHAR(20) NOT NULL DEFAULT 'local',
+    "storage_key" VARCHAR(500) NOT NULL,
+    "original_name" VARCHAR(255) NOT NULL,
+    "mime_type" VARCHAR(100) NOT NULL,
+    "size" INTEGER NOT NULL,
+    "checksum" VARCHAR(64) NOT NULL,
+    "uploaded_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "media_assets_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN "attachments" JSONB NOT NULL DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "quiz_questions" ADD COLUMN "attachments" JSONB NOT NULL DEFAULT '[]';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "media_assets_storage_key_key" ON "media_assets"("storage_key");
+
+-- CreateIndex
+CREATE INDEX "media_assets_checksum_idx" ON "media_assets"("checksum");
+
+-- AddForeignKey
+ALTER TABLE "media_assets" ADD CONSTRAINT "media_assets_uploaded_by_fkey" FOREIGN KEY ("uploaded_by") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- Partial credit (multi-select, matching) awards fractional points
+
+-- AlterTable
+ALTER TABLE "question_set_progress" ALTER COLUMN "score" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "quiz_submissions" ALTER COLUMN "score" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "submission_answers" ALTER COLUMN "points_awarded" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "question_set_submissions" ALTER COLUMN "score" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "cbt_submissions" ALTER COLUMN "score" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "cbt_answers" ALTER COLUMN "points_awarded" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "quiz_taken_history" ALTER COLUMN "score" SET DATA TYPE DOUBLE PRECISION;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN "explanation" TEXT,
+ADD COLUMN "explanation_media_id" UUID;
+
+-- AlterTable
+ALTER TABLE "quiz_questions" ADD COLUMN "explanation" TEXT,
+ADD COLUMN "explanation_media_id" UUID;
+
+-- AddForeignKey
+ALTER TABLE "questions" ADD CONSTRAINT "questions_explanation_media_id_fkey" FOREIGN KEY ("explanation_media_id") REFERENCES "media_assets"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quiz_questions" ADD CONSTRAINT "quiz_questions_explanation_media_id_fkey" FOREIGN KEY ("explanation_media_id") REFERENCES "media_assets"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "topics" (
+    "id" UUID NOT NULL,
+    "name" VARCHAR(150) NOT NULL,
+    "slug" VARCHAR(150) NOT NULL,
+    "level" VARCHAR(20) NOT NULL,
+    "parent_id" UUID,
+    "description" TEXT,
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "topics_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "question_sets" ADD COLUMN "subject_id" UUID;
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN "topic_id" UUID;
+
+-- AlterTable
+ALTER TABLE "quiz_questions" ADD COLUMN "topic_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "topics_level_idx" ON "topics"("level");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "topics_parent_id_slug_key" ON "topics"("parent_id", "slug");
+
+-- CreateIndex
+CREATE INDEX "question_sets_subject_id_idx" ON "question_sets"("subject_id");
+
+-- CreateIndex
+CREATE INDEX "questions_topic_id_idx" ON "questions"("topic_id");
+
+-- CreateIndex
+CREATE INDEX "quiz_questions_topic_id_idx" ON "quiz_questions"("topic_id");
+
+-- AddForeignKey
+ALTER TABLE "topics" ADD CONSTRAINT "topics_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "topics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "topics" ADD CONSTRAINT "topics_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_sets" ADD CONSTRAINT "question_sets_subject_id_fkey" FOREIGN KEY ("subject_id") REFERENCES "topics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "questions" ADD CONSTRAINT "questions_topic_id_fkey" FOREIGN KEY ("topic_id") REFERENCES "topics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quiz_questions" ADD CONSTRAINT "quiz_questions_topic_id_fkey" FOREIGN KEY ("topic_id") REFERENCES "topics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
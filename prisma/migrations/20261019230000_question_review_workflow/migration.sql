@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN "status" VARCHAR(20) NOT NULL DEFAULT 'draft',
+ADD COLUMN "reviewer_id" UUID,
+ADD COLUMN "published_at" TIMESTAMP(3);
+
+-- Questions that already exist are in use, so they start out published
+UPDATE "questions" SET "status" = 'published', "published_at" = CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "question_review_comments" (
+    "id" UUID NOT NULL,
+    "question_id" UUID NOT NULL,
+    "author_id" UUID,
+    "action" VARCHAR(20) NOT NULL,
+    "from_status" VARCHAR(20),
+    "to_status" VARCHAR(20),
+    "body" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "question_review_comments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "questions_status_idx" ON "questions"("status");
+
+-- CreateIndex
+CREATE INDEX "questions_reviewer_id_idx" ON "questions"("reviewer_id");
+
+-- CreateIndex
+CREATE INDEX "question_review_comments_question_id_created_at_idx" ON "question_review_comments"("question_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "questions" ADD CONSTRAINT "questions_reviewer_id_fkey" FOREIGN KEY ("reviewer_id") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_review_comments" ADD CONSTRAINT "question_review_comments_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_review_comments" ADD CONSTRAINT "question_review_comments_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
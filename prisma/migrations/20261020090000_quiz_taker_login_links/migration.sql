@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "quiz_takers" ADD COLUMN "login_token_hash" VARCHAR(64),
+ADD COLUMN "login_token_expires_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quiz_takers_login_token_hash_key" ON "quiz_takers"("login_token_hash");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "admins" ADD COLUMN "two_factor_last_used_step" INTEGER,
+ADD COLUMN "two_factor_challenge_hash" VARCHAR(64);
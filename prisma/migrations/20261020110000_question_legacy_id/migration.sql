@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN "legacy_id" VARCHAR(24);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "questions_legacy_id_key" ON "questions"("legacy_id");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "question_revisions" ADD COLUMN "explanation" TEXT,
+ADD COLUMN "explanation_media_id" UUID;
+
+-- The latest revision of each question holds its current explanation
+UPDATE "question_revisions" AS r
+SET "explanation" = q."explanation",
+    "explanation_media_id" = q."explanation_media_id"
+FROM "questions" AS q
+WHERE r."question_id" = q."id"
+  AND r."revision_number" = (
+    SELECT MAX(latest."revision_number")
+    FROM "question_revisions" AS latest
+    WHERE latest."question_id" = r."question_id"
+  );
@@ -0,0 +1,14 @@
+-- Subjects have no parent, and NULL parent_ids never clash in "topics_parent_id_slug_key",
+-- so subject names need their own index. Number any duplicates that slipped in first.
+UPDATE "topics" AS t
+SET "name" = LEFT(t."name", 140) || ' (' || d."rn" || ')',
+    "slug" = LEFT(t."slug", 140) || ' (' || d."rn" || ')'
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "slug" ORDER BY "created_at", "id") AS "rn"
+    FROM "topics"
+    WHERE "parent_id" IS NULL
+) AS d
+WHERE t."id" = d."id" AND d."rn" > 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "topics_subject_slug_key" ON "topics"("slug") WHERE "parent_id" IS NULL;
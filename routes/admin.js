@@ -1,10 +1,17 @@
 const express = require("express");
 const router = express.Router();
-const { verifyAdmin } = require("../middleware/auth");
+const { verifyAdmin, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS, isValidRole, getPermissionsForRole } = require("../utils/permissions");
 const prisma = require("../utils/database");
 const multer = require("multer");
 const XLSX = require("xlsx");
-// const { sendAccessCodeEmail } = require("../utils/emailService");
+const crypto = require("crypto");
+const { revokeAllSessions, hashToken } = require("../utils/tokenService");
+const { sendAdminInvitationEmail, sendAccessCodeEmail } = require("../utils/emailService");
+const { SETTINGS, getSetting, setSetting } = require("../utils/settings");
+const { AUDIT_ENTITIES, recordAudit } = require("../utils/auditLog");
+const { releaseExamSession } = require("../utils/examSession");
+const { loadTopicIndex, buildTopicBreakdown } = require("../utils/taxonomy");
 
 
 // Configure multer for file upload
@@ -40,12 +47,108 @@ const generateAccessCode = () => {
   return code;
 };
 
+// Generate an access code that no other quiz taker is using
+const generateUniqueAccessCode = async () => {
+  let accessCode;
+  let isUnique = false;
+  while (!isUnique) {
+    accessCode = generateAccessCode();
+
+    const existing = await prisma.quizTaker.findUnique({
+      where: { accessCode }
+    });
+
+    if (!existing) isUnique = true;
+  }
+  return accessCode;
+};
+
+// Only the last characters of a code are kept in the history
+const accessCodeHint = (accessCode) => (accessCode ? `***${accessCode.slice(-3)}` : null);
+
+// Record an access code change or delivery attempt
+const recordAccessCodeEvent = (quizTakerId, action, details = {}, client = prisma) => {
+  return client.accessCodeEvent.create({
+    data: {
+      quizTakerId,
+      action,
+      codeHint: accessCodeHint(details.accessCode),
+      reason: details.reason?.toString().substring(0, 500) || null,
+      error: details.error || null,
+      performedById: details.adminId || null,
+    },
+  });
+};
+
+// Email a quiz taker their current access code and record the outcome
+const sendAccessCodeAndRecord = async (quizTaker, adminId) => {
+  try {
+    await sendAccessCodeEmail(quizTaker.email, quizTaker.name, quizTaker.accessCode);
+    await recordAccessCodeEvent(quizTaker.id, "email_sent", {
+      accessCode: quizTaker.accessCode,
+      adminId,
+    });
+    return { sent: true };
+  } catch (error) {
+    console.error(`Failed to send access code email to ${quizTaker.email}:`, error);
+    await recordAccessCodeEvent(quizTaker.id, "email_failed", {
+      accessCode: quizTaker.accessCode,
+      error: error.message,
+      adminId,
+    });
+    return { sent: false, error: error.message };
+  }
+};
+
+// Replace a premium quiz taker's access code and log out sessions opened with the old one
+const regenerateAccessCode = async (quizTaker, adminId, reason) => {
+  const accessCode = await generateUniqueAccessCode();
+
+  const updatedQuizTaker = await prisma.$transaction(async (tx) => {
+    const updated = await tx.quizTaker.update({
+      where: { id: quizTaker.id },
+      data: {
+        accessCode,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+      },
+    });
+
+    await recordAccessCodeEvent(quizTaker.id, "regenerated", { accessCode, reason, adminId }, tx);
+
+    return updated;
+  });
+
+  await revokeAllSessions(quizTaker.id, "quiztaker");
+
+  return updatedQuizTaker;
+};
+
+// Quiz taker fields compared in the audit trail, with question sets flattened to IDs
+const auditQuizTaker = ({ questionSets, ...quizTaker }) => ({
+  ...quizTaker,
+  questionSetIds: (questionSets || []).map((qs) => qs.questionSetId),
+});
+
+// Grading state of a submission as shown in the audit trail
+const auditGrading = (submission) => ({
+  score: submission.score,
+  percentage: submission.percentage,
+  status: submission.status,
+  feedback: submission.feedback,
+  gradedById: submission.gradedById,
+  answerPoints: Object.fromEntries(
+    submission.answers.map((answer) => [answer.quizQuestionId, answer.pointsAwarded])
+  ),
+});
+
 // @route   POST /api/admin/bulk-upload-quiztakers
 // @desc    Bulk upload quiz takers from CSV/Excel file
 // @access  Private (Admin only)
 router.post(
   "/bulk-upload-quiztakers",
   verifyAdmin,
+  requirePermission(PERMISSIONS.QUIZTAKERS_WRITE),
   upload.single("file"),
   async (req, res) => {
     try {
@@ -69,6 +172,9 @@ router.post(
         });
       }
 
+      // Access code emails go out unless the form sets sendEmails=false
+      const sendEmails = req.body.sendEmails !== "false";
+
       const results = {
         total: data.length,
         successful: [],
@@ -177,17 +283,7 @@ router.post(
             });
 
             // Generate unique access code
-            let isUnique = false;
-            while (!isUnique) {
-              accessCode = generateAccessCode();
-              
-              // Changed from: QuizTaker.findOne({ accessCode })
-              const existing = await prisma.quizTaker.findUnique({
-                where: { accessCode }
-              });
-              
-              if (!existing) isUnique = true;
-            }
+            accessCode = await generateUniqueAccessCode();
           }
 
           // Create quiz taker with question sets
@@ -214,24 +310,34 @@ router.post(
               });
             }
 
+            if (accountType === "premium") {
+              await recordAccessCodeEvent(newQuizTaker.id, "issued", { accessCode, adminId: req.admin.id }, tx);
+            }
+
             return newQuizTaker;
           });
 
           // Send email to premium students with access code
-          // if (accountType === "premium" && accessCode) {
-          //   try {
-          //     await sendAccessCodeEmail(email, name, accessCode);
-          //   } catch (emailError) {
-          //     console.error(`Failed to send email to ${email}:`, emailError);
-          //     // Don't fail the creation if email fails, just log it
-          //   }
-          // }
+          // Don't fail the creation if email fails, the attempt is recorded
+          let emailResult;
+          if (accountType === "premium" && sendEmails) {
+            emailResult = await sendAccessCodeAndRecord(quizTaker, req.admin.id);
+          }
+
+          await recordAudit(req, {
+            action: "quiztaker.create",
+            entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+            entityId: quizTaker.id,
+            after: { ...quizTaker, questionSetIds },
+            metadata: { source: "bulk-upload", row: rowNumber },
+          });
 
           results.successful.push({
             row: rowNumber,
             email,
             accountType,
             ...(accountType === "premium" && { accessCode }),
+            ...(emailResult && { emailSent: emailResult.sent }),
           });
         } catch (error) {
           results.failed.push({
@@ -267,7 +373,7 @@ router.post(
 // @route   GET /api/admin/download-template
 // @desc    Download CSV template for bulk upload
 // @access  Private (Admin only)
-router.get("/download-template", verifyAdmin, (req, res) => {
+router.get("/download-template", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), (req, res) => {
   try {
     const template = [
       {
@@ -317,7 +423,7 @@ router.get("/download-template", verifyAdmin, (req, res) => {
 // @route   POST /api/admin/quiztaker
 // @desc    Create a new quiz taker (single)
 // @access  Private (Admin only)
-router.post("/quiztaker", verifyAdmin, async (req, res) => {
+router.post("/quiztaker", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
   try {
     const { email, name, accountType, questionSetIds } = req.body;
 
@@ -356,17 +462,7 @@ router.post("/quiztaker", verifyAdmin, async (req, res) => {
 
     // Generate access code for premium students
     if (accountType === "premium") {
-      let isUnique = false;
-      while (!isUnique) {
-        accessCode = generateAccessCode();
-        
-        // Changed from: QuizTaker.findOne({ accessCode })
-        const existing = await prisma.quizTaker.findUnique({
-          where: { accessCode }
-        });
-        
-        if (!existing) isUnique = true;
-      }
+      accessCode = await generateUniqueAccessCode();
     }
 
     // Create quiz taker with optional question sets
@@ -393,6 +489,10 @@ router.post("/quiztaker", verifyAdmin, async (req, res) => {
         });
       }
 
+      if (accountType === "premium") {
+        await recordAccessCodeEvent(newQuizTaker.id, "issued", { accessCode, adminId: req.admin.id }, tx);
+      }
+
       // Fetch the complete quiz taker with relations
       return tx.quizTaker.findUnique({
         where: { id: newQuizTaker.id },
@@ -411,6 +511,13 @@ router.post("/quiztaker", verifyAdmin, async (req, res) => {
       });
     });
 
+    await recordAudit(req, {
+      action: "quiztaker.create",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      after: auditQuizTaker(quizTaker),
+    });
+
     res.status(201).json({
       success: true,
       message: "Quiz taker created successfully",
@@ -429,7 +536,7 @@ router.post("/quiztaker", verifyAdmin, async (req, res) => {
 // @route   GET /api/admin/quiztakers
 // @desc    Get all quiz takers with optional filters
 // @access  Private (Admin only)
-router.get("/quiztakers", verifyAdmin, async (req, res) => {
+router.get("/quiztakers", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_READ), async (req, res) => {
   try {
     const { accountType, search, page = 1, limit = 50 } = req.query;
 
@@ -507,7 +614,7 @@ router.get("/quiztakers", verifyAdmin, async (req, res) => {
 // @route   GET /api/admin/quiztaker/:id
 // @desc    Get single quiz taker
 // @access  Private (Admin only)
-router.get("/quiztaker/:id", verifyAdmin, async (req, res) => {
+router.get("/quiztaker/:id", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_READ), async (req, res) => {
   try {
     // Changed from: QuizTaker.findById(req.params.id).populate()
     const quizTaker = await prisma.quizTaker.findUnique({
@@ -565,14 +672,15 @@ router.get("/quiztaker/:id", verifyAdmin, async (req, res) => {
 // @route   PUT /api/admin/quiztaker/:id
 // @desc    Update quiz taker
 // @access  Private (Admin only)
-router.put("/quiztaker/:id", verifyAdmin, async (req, res) => {
+router.put("/quiztaker/:id", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
   try {
     const { email, name, isActive, questionSetIds } = req.body;
 
     // Check if quiz taker exists
     // Changed from: QuizTaker.findById(req.params.id)
     const existingQuizTaker = await prisma.quizTaker.findUnique({
-      where: { id: req.params.id }
+      where: { id: req.params.id },
+      include: { questionSets: true },
     });
 
     if (!existingQuizTaker) {
@@ -633,6 +741,14 @@ router.put("/quiztaker/:id", verifyAdmin, async (req, res) => {
         }
       }
 
+      // Deactivated accounts lose all their sessions immediately
+      if (isActive === false) {
+        await tx.authSession.updateMany({
+          where: { quizTakerId: req.params.id, revokedAt: null },
+          data: { revokedAt: new Date() },
+        });
+      }
+
       // Fetch updated quiz taker with relations
       return tx.quizTaker.findUnique({
         where: { id: req.params.id },
@@ -651,6 +767,14 @@ router.put("/quiztaker/:id", verifyAdmin, async (req, res) => {
       });
     });
 
+    await recordAudit(req, {
+      action: "quiztaker.update",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      before: auditQuizTaker(existingQuizTaker),
+      after: auditQuizTaker(quizTaker),
+    });
+
     res.json({
       success: true,
       message: "Quiz taker updated successfully",
@@ -669,12 +793,13 @@ router.put("/quiztaker/:id", verifyAdmin, async (req, res) => {
 // @route   DELETE /api/admin/quiztaker/:id
 // @desc    Delete quiz taker
 // @access  Private (Admin only)
-router.delete("/quiztaker/:id", verifyAdmin, async (req, res) => {
+router.delete("/quiztaker/:id", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_DELETE), async (req, res) => {
   try {
     // Check if quiz taker exists
     // Changed from: QuizTaker.findById(req.params.id)
     const quizTaker = await prisma.quizTaker.findUnique({
-      where: { id: req.params.id }
+      where: { id: req.params.id },
+      include: { questionSets: true },
     });
 
     if (!quizTaker) {
@@ -690,6 +815,13 @@ router.delete("/quiztaker/:id", verifyAdmin, async (req, res) => {
       where: { id: req.params.id }
     });
 
+    await recordAudit(req, {
+      action: "quiztaker.delete",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      before: auditQuizTaker(quizTaker),
+    });
+
     res.json({
       success: true,
       message: "Quiz taker deleted successfully",
@@ -704,31 +836,275 @@ router.delete("/quiztaker/:id", verifyAdmin, async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/quiztakers/assign
-// @desc    Assign quiz to multiple quiz takers (bulk operation)
+// @route   POST /api/admin/quiztaker/:id/unlock
+// @desc    Clear a quiz taker's failed login attempts and lockout
 // @access  Private (Admin only)
-router.post("/quiztakers/assign", verifyAdmin, async (req, res) => {
+router.post("/quiztaker/:id/unlock", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
   try {
-    const { quizId, quizTakerIds } = req.body;
+    const quizTaker = await prisma.quizTaker.findUnique({
+      where: { id: req.params.id }
+    });
 
-    // Validation
-    if (!quizId || !quizTakerIds || !Array.isArray(quizTakerIds)) {
+    if (!quizTaker) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz taker not found",
+      });
+    }
+
+    const updatedQuizTaker = await prisma.quizTaker.update({
+      where: { id: req.params.id },
+      data: {
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+      },
+      select: {
+        id: true,
+        email: true,
+        accountType: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
+      },
+    });
+
+    await recordAudit(req, {
+      action: "quiztaker.unlock",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      before: {
+        failedLoginAttempts: quizTaker.failedLoginAttempts,
+        lockedUntil: quizTaker.lockedUntil,
+      },
+      after: {
+        failedLoginAttempts: updatedQuizTaker.failedLoginAttempts,
+        lockedUntil: updatedQuizTaker.lockedUntil,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Quiz taker unlocked successfully",
+      quizTaker: updatedQuizTaker,
+    });
+  } catch (error) {
+    console.error("Unlock quiz taker error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztaker/:id/revoke-sessions
+// @desc    Log a quiz taker out of every device
+// @access  Private (Admin only)
+router.post("/quiztaker/:id/revoke-sessions", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
+  try {
+    const quizTaker = await prisma.quizTaker.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!quizTaker) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz taker not found",
+      });
+    }
+
+    const { count } = await revokeAllSessions(quizTaker.id, "quiztaker");
+
+    await recordAudit(req, {
+      action: "quiztaker.revoke_sessions",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      metadata: { revokedCount: count },
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${count} session(s) for ${quizTaker.email}`,
+      revokedCount: count,
+    });
+  } catch (error) {
+    console.error("Revoke quiz taker sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztaker/:id/regenerate-access-code
+// @desc    Issue a new access code to a premium quiz taker
+// @access  Private (Admin only)
+router.post("/quiztaker/:id/regenerate-access-code", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
+  try {
+    const { reason, sendEmail = false } = req.body;
+
+    const quizTaker = await prisma.quizTaker.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!quizTaker) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz taker not found",
+      });
+    }
+
+    if (quizTaker.accountType !== "premium") {
       return res.status(400).json({
         success: false,
-        message: "Please provide quizId and quizTakerIds array",
+        message: "Only premium quiz takers have access codes",
       });
     }
 
-    // Check if quiz exists
-    // Changed from: Quiz.findById(quizId)
-    const quiz = await prisma.quiz.findUnique({
-      where: { id: quizId }
+    const updatedQuizTaker = await regenerateAccessCode(quizTaker, req.admin.id, reason);
+
+    await recordAudit(req, {
+      action: "quiztaker.regenerate_access_code",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      before: { accessCode: quizTaker.accessCode },
+      after: { accessCode: updatedQuizTaker.accessCode },
+      metadata: { reason: reason || null },
     });
 
-    if (!quiz) {
+    let emailResult;
+    if (sendEmail) {
+      emailResult = await sendAccessCodeAndRecord(updatedQuizTaker, req.admin.id);
+    }
+
+    res.json({
+      success: true,
+      message: "Access code regenerated successfully",
+      quizTaker: {
+        id: updatedQuizTaker.id,
+        email: updatedQuizTaker.email,
+        accessCode: updatedQuizTaker.accessCode,
+      },
+      ...(emailResult && { emailSent: emailResult.sent, emailError: emailResult.error }),
+    });
+  } catch (error) {
+    console.error("Regenerate access code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztaker/:id/resend-access-code
+// @desc    Email a premium quiz taker their current access code
+// @access  Private (Admin only)
+router.post("/quiztaker/:id/resend-access-code", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
+  try {
+    const quizTaker = await prisma.quizTaker.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!quizTaker) {
       return res.status(404).json({
         success: false,
-        message: "Quiz not found",
+        message: "Quiz taker not found",
+      });
+    }
+
+    if (quizTaker.accountType !== "premium" || !quizTaker.accessCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Only premium quiz takers have access codes",
+      });
+    }
+
+    const { sent, error } = await sendAccessCodeAndRecord(quizTaker, req.admin.id);
+
+    await recordAudit(req, {
+      action: "quiztaker.send_access_code",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: quizTaker.id,
+      metadata: { sent, ...(error && { error }) },
+    });
+
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: "Failed to send access code email",
+        error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Access code sent to ${quizTaker.email}`,
+    });
+  } catch (error) {
+    console.error("Resend access code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/quiztaker/:id/access-code-history
+// @desc    List access code regenerations and emails for a quiz taker
+// @access  Private (Admin only)
+router.get("/quiztaker/:id/access-code-history", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_READ), async (req, res) => {
+  try {
+    const quizTaker = await prisma.quizTaker.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, email: true },
+    });
+
+    if (!quizTaker) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz taker not found",
+      });
+    }
+
+    const events = await prisma.accessCodeEvent.findMany({
+      where: { quizTakerId: quizTaker.id },
+      include: {
+        performedBy: {
+          select: { id: true, email: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json({
+      success: true,
+      quizTaker,
+      count: events.length,
+      events,
+    });
+  } catch (error) {
+    console.error("Get access code history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztakers/regenerate-access-codes
+// @desc    Issue new access codes to multiple premium quiz takers (bulk operation)
+// @access  Private (Admin only)
+router.post("/quiztakers/regenerate-access-codes", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
+  try {
+    const { quizTakerIds, reason, sendEmail = false } = req.body;
+
+    if (!quizTakerIds || !Array.isArray(quizTakerIds) || quizTakerIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide quizTakerIds array",
       });
     }
 
@@ -739,12 +1115,8 @@ router.post("/quiztakers/assign", verifyAdmin, async (req, res) => {
 
     for (const takerId of quizTakerIds) {
       try {
-        // Changed from: QuizTaker.findById(takerId)
         const quizTaker = await prisma.quizTaker.findUnique({
-          where: { id: takerId },
-          include: {
-            assignedQuizzes: true
-          }
+          where: { id: takerId }
         });
 
         if (!quizTaker) {
@@ -752,38 +1124,37 @@ router.post("/quiztakers/assign", verifyAdmin, async (req, res) => {
           continue;
         }
 
-        // Only allow assigning to premium students
         if (quizTaker.accountType !== "premium") {
           results.failed.push({
             takerId,
             email: quizTaker.email,
-            reason: "Can only assign quizzes to premium students",
+            reason: "Only premium quiz takers have access codes",
           });
           continue;
         }
 
-        // Check if quiz is already assigned
-        // Changed from checking array with .some()
-        const alreadyAssigned = quizTaker.assignedQuizzes.some(
-          (aq) => aq.quizId === quizId
-        );
+        const updatedQuizTaker = await regenerateAccessCode(quizTaker, req.admin.id, reason);
 
-        if (alreadyAssigned) {
-          results.failed.push({ takerId, reason: "Quiz already assigned" });
-          continue;
+        await recordAudit(req, {
+          action: "quiztaker.regenerate_access_code",
+          entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+          entityId: quizTaker.id,
+          before: { accessCode: quizTaker.accessCode },
+          after: { accessCode: updatedQuizTaker.accessCode },
+          metadata: { reason: reason || null, bulk: true },
+        });
+
+        let emailResult;
+        if (sendEmail) {
+          emailResult = await sendAccessCodeAndRecord(updatedQuizTaker, req.admin.id);
         }
 
-        // Assign quiz
-        // Changed from: pushing to array then save()
-        await prisma.assignedQuiz.create({
-          data: {
-            quizTakerId: takerId,
-            quizId: quizId,
-            status: "pending",
-          }
+        results.success.push({
+          takerId,
+          email: updatedQuizTaker.email,
+          accessCode: updatedQuizTaker.accessCode,
+          ...(emailResult && { emailSent: emailResult.sent }),
         });
-
-        results.success.push({ takerId, email: quizTaker.email });
       } catch (error) {
         results.failed.push({ takerId, reason: error.message });
       }
@@ -791,10 +1162,11 @@ router.post("/quiztakers/assign", verifyAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      message: `Quiz assigned to ${results.success.length} quiz taker(s)`,
+      message: `Access codes regenerated for ${results.success.length} quiz taker(s)`,
       results,
     });
   } catch (error) {
+    console.error("Bulk regenerate access codes error:", error);
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -803,10 +1175,256 @@ router.post("/quiztakers/assign", verifyAdmin, async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/quiztakers/unassign
+// @route   POST /api/admin/quiztakers/resend-access-codes
+// @desc    Email multiple premium quiz takers their current access codes (bulk operation)
+// @access  Private (Admin only)
+router.post("/quiztakers/resend-access-codes", verifyAdmin, requirePermission(PERMISSIONS.QUIZTAKERS_WRITE), async (req, res) => {
+  try {
+    const { quizTakerIds } = req.body;
+
+    if (!quizTakerIds || !Array.isArray(quizTakerIds) || quizTakerIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide quizTakerIds array",
+      });
+    }
+
+    const results = {
+      success: [],
+      failed: [],
+    };
+
+    for (const takerId of quizTakerIds) {
+      try {
+        const quizTaker = await prisma.quizTaker.findUnique({
+          where: { id: takerId }
+        });
+
+        if (!quizTaker) {
+          results.failed.push({ takerId, reason: "Quiz taker not found" });
+          continue;
+        }
+
+        if (quizTaker.accountType !== "premium" || !quizTaker.accessCode) {
+          results.failed.push({
+            takerId,
+            email: quizTaker.email,
+            reason: "Only premium quiz takers have access codes",
+          });
+          continue;
+        }
+
+        const { sent, error } = await sendAccessCodeAndRecord(quizTaker, req.admin.id);
+
+        await recordAudit(req, {
+          action: "quiztaker.send_access_code",
+          entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+          entityId: quizTaker.id,
+          metadata: { sent, bulk: true, ...(error && { error }) },
+        });
+
+        if (!sent) {
+          results.failed.push({ takerId, email: quizTaker.email, reason: error });
+          continue;
+        }
+
+        results.success.push({ takerId, email: quizTaker.email });
+      } catch (error) {
+        results.failed.push({ takerId, reason: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Access code sent to ${results.success.length} quiz taker(s)`,
+      results,
+    });
+  } catch (error) {
+    console.error("Bulk resend access codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztaker/:id/quizzes/:quizId/release-session
+// @desc    Release a quiz attempt bound to another device so the student can continue elsewhere
+// @access  Private (Admin only)
+router.post("/quiztaker/:id/quizzes/:quizId/release-session", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_ASSIGN), async (req, res) => {
+  try {
+    const assignedQuiz = await prisma.assignedQuiz.findFirst({
+      where: {
+        quizTakerId: req.params.id,
+        quizId: req.params.quizId,
+      },
+      include: {
+        examSession: {
+          select: {
+            id: true,
+            userAgent: true,
+            ipAddress: true,
+            lastUsedAt: true,
+          },
+        },
+      },
+    });
+
+    if (!assignedQuiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz is not assigned to this quiz taker",
+      });
+    }
+
+    if (!assignedQuiz.examSessionId) {
+      return res.status(400).json({
+        success: false,
+        message: "This quiz is not bound to any device",
+      });
+    }
+
+    await releaseExamSession(assignedQuiz.id);
+
+    await recordAudit(req, {
+      action: "quiz.release_exam_session",
+      entityType: AUDIT_ENTITIES.QUIZ_TAKER,
+      entityId: req.params.id,
+      before: { examSessionId: assignedQuiz.examSessionId },
+      after: { examSessionId: null },
+      metadata: {
+        quizId: req.params.quizId,
+        device: assignedQuiz.examSession,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: "Exam session released. The quiz can now be continued from another device.",
+    });
+  } catch (error) {
+    console.error("Release exam session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztakers/assign
+// @desc    Assign quiz to multiple quiz takers (bulk operation)
+// @access  Private (Admin only)
+router.post("/quiztakers/assign", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_ASSIGN), async (req, res) => {
+  try {
+    const { quizId, quizTakerIds } = req.body;
+
+    // Validation
+    if (!quizId || !quizTakerIds || !Array.isArray(quizTakerIds)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide quizId and quizTakerIds array",
+      });
+    }
+
+    // Check if quiz exists
+    // Changed from: Quiz.findById(quizId)
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+
+    const results = {
+      success: [],
+      failed: [],
+    };
+
+    for (const takerId of quizTakerIds) {
+      try {
+        // Changed from: QuizTaker.findById(takerId)
+        const quizTaker = await prisma.quizTaker.findUnique({
+          where: { id: takerId },
+          include: {
+            assignedQuizzes: true
+          }
+        });
+
+        if (!quizTaker) {
+          results.failed.push({ takerId, reason: "Quiz taker not found" });
+          continue;
+        }
+
+        // Only allow assigning to premium students
+        if (quizTaker.accountType !== "premium") {
+          results.failed.push({
+            takerId,
+            email: quizTaker.email,
+            reason: "Can only assign quizzes to premium students",
+          });
+          continue;
+        }
+
+        // Check if quiz is already assigned
+        // Changed from checking array with .some()
+        const alreadyAssigned = quizTaker.assignedQuizzes.some(
+          (aq) => aq.quizId === quizId
+        );
+
+        if (alreadyAssigned) {
+          results.failed.push({ takerId, reason: "Quiz already assigned" });
+          continue;
+        }
+
+        // Assign quiz
+        // Changed from: pushing to array then save()
+        await prisma.assignedQuiz.create({
+          data: {
+            quizTakerId: takerId,
+            quizId: quizId,
+            status: "pending",
+          }
+        });
+
+        results.success.push({ takerId, email: quizTaker.email });
+      } catch (error) {
+        results.failed.push({ takerId, reason: error.message });
+      }
+    }
+
+    if (results.success.length > 0) {
+      await recordAudit(req, {
+        action: "quiz.assign",
+        entityType: AUDIT_ENTITIES.QUIZ,
+        entityId: quizId,
+        metadata: { quizTakerIds: results.success.map((r) => r.takerId) },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Quiz assigned to ${results.success.length} quiz taker(s)`,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/quiztakers/unassign
 // @desc    Unassign quiz from multiple quiz takers (bulk operation)
 // @access  Private (Admin only)
-router.post("/quiztakers/unassign", verifyAdmin, async (req, res) => {
+router.post("/quiztakers/unassign", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_ASSIGN), async (req, res) => {
   try {
     const { quizId, quizTakerIds } = req.body;
 
@@ -910,6 +1528,15 @@ router.post("/quiztakers/unassign", verifyAdmin, async (req, res) => {
       }
     }
 
+    if (results.success.length > 0) {
+      await recordAudit(req, {
+        action: "quiz.unassign",
+        entityType: AUDIT_ENTITIES.QUIZ,
+        entityId: quizId,
+        metadata: { quizTakerIds: results.success.map((r) => r.quizTakerId) },
+      });
+    }
+
     res.json({
       success: true,
       message: `Quiz unassigned from ${results.success.length} quiz taker(s)`,
@@ -928,7 +1555,7 @@ router.post("/quiztakers/unassign", verifyAdmin, async (req, res) => {
 // @route   GET /api/admin/submissions
 // @desc    Get all quiz submissions (with filter for account type)
 // @access  Private (Admin only)
-router.get("/submissions", verifyAdmin, async (req, res) => {
+router.get("/submissions", verifyAdmin, requirePermission(PERMISSIONS.SUBMISSIONS_READ), async (req, res) => {
   try {
     const { accountType, page = 1, limit = 50 } = req.query;
 
@@ -993,9 +1620,9 @@ router.get("/submissions", verifyAdmin, async (req, res) => {
 });
 
 // @route   GET /api/admin/submission/:id
-// @desc    Get single submission
+// @desc    Get single submission, with the student's score per topic
 // @access  Private (Admin only)
-router.get("/submission/:id", verifyAdmin, async (req, res) => {
+router.get("/submission/:id", verifyAdmin, requirePermission(PERMISSIONS.SUBMISSIONS_READ), async (req, res) => {
   try {
     // Changed from: QuizSubmission.findById(req.params.id).populate()
     const submission = await prisma.quizSubmission.findUnique({
@@ -1031,9 +1658,30 @@ router.get("/submission/:id", verifyAdmin, async (req, res) => {
       });
     }
 
+    // Every question counts towards its topic, answered or not
+    const [quizQuestions, topicIndex] = await Promise.all([
+      prisma.quizQuestion.findMany({
+        where: { quizQuestionSet: { quizId: submission.quizId } },
+        select: { id: true, topicId: true, points: true },
+      }),
+      loadTopicIndex(),
+    ]);
+    const answersByQuestion = new Map(submission.answers.map((ans) => [ans.quizQuestionId, ans]));
+
     res.json({
       success: true,
-      submission,
+      submission: {
+        ...submission,
+        topicBreakdown: buildTopicBreakdown(
+          quizQuestions.map((q) => ({
+            topicId: q.topicId,
+            points: q.points,
+            answered: answersByQuestion.has(q.id),
+            pointsAwarded: answersByQuestion.get(q.id)?.pointsAwarded || 0,
+          })),
+          topicIndex,
+        ),
+      },
     });
   } catch (error) {
     console.error("Get submission error:", error);
@@ -1048,7 +1696,7 @@ router.get("/submission/:id", verifyAdmin, async (req, res) => {
 // @route   PUT /api/admin/grade-essay/:submissionId
 // @desc    Grade essay questions manually
 // @access  Private (Admin only)
-router.put("/grade-essay/:submissionId", verifyAdmin, async (req, res) => {
+router.put("/grade-essay/:submissionId", verifyAdmin, requirePermission(PERMISSIONS.SUBMISSIONS_GRADE), async (req, res) => {
   try {
     const { grades, feedback } = req.body;
 
@@ -1130,6 +1778,15 @@ router.put("/grade-essay/:submissionId", verifyAdmin, async (req, res) => {
       });
     });
 
+    await recordAudit(req, {
+      action: "submission.grade",
+      entityType: AUDIT_ENTITIES.SUBMISSION,
+      entityId: submission.id,
+      before: auditGrading(submission),
+      after: auditGrading(updatedSubmission),
+      metadata: { quizTakerId: submission.quizTakerId, quizId: submission.quizId },
+    });
+
     res.json({
       success: true,
       message: "Essay graded successfully",
@@ -1145,4 +1802,494 @@ router.put("/grade-essay/:submissionId", verifyAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/roles
+// @desc    List admin roles and the permissions each grants
+// @access  Private (admins:manage)
+router.get("/roles", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), (req, res) => {
+  res.json({
+    success: true,
+    roles: Object.values(ROLES).map((role) => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+    })),
+  });
+});
+
+// @route   GET /api/admin/admins
+// @desc    List all admins with their roles
+// @access  Private (admins:manage)
+router.get("/admins", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const admins = await prisma.admin.findMany({
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    res.json({
+      success: true,
+      count: admins.length,
+      admins: admins.map((admin) => ({
+        ...admin,
+        permissions: getPermissionsForRole(admin.role),
+      })),
+    });
+  } catch (error) {
+    console.error("Get admins error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/admins/:id/role
+// @desc    Change an admin's role
+// @access  Private (admins:manage)
+router.put("/admins/:id/role", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Object.values(ROLES).join(", ")}`,
+      });
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: "Admin not found",
+      });
+    }
+
+    // Never leave the system without a super-admin
+    if (admin.role === ROLES.SUPER_ADMIN && role !== ROLES.SUPER_ADMIN) {
+      const superAdminCount = await prisma.admin.count({
+        where: { role: ROLES.SUPER_ADMIN }
+      });
+
+      if (superAdminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot change the role of the last super-admin",
+        });
+      }
+    }
+
+    const updatedAdmin = await prisma.admin.update({
+      where: { id: req.params.id },
+      data: { role },
+      select: {
+        id: true,
+        email: true,
+        role: true,
+      },
+    });
+
+    await recordAudit(req, {
+      action: "admin.change_role",
+      entityType: AUDIT_ENTITIES.ADMIN,
+      entityId: admin.id,
+      before: { role: admin.role },
+      after: { role: updatedAdmin.role },
+      metadata: { email: admin.email },
+    });
+
+    res.json({
+      success: true,
+      message: "Admin role updated successfully",
+      admin: {
+        ...updatedAdmin,
+        permissions: getPermissionsForRole(updatedAdmin.role),
+      },
+    });
+  } catch (error) {
+    console.error("Update admin role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+const INVITATION_TTL_HOURS = parseInt(process.env.ADMIN_INVITATION_TTL_HOURS) || 72;
+
+// Derive a display status for an invitation
+const getInvitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return "accepted";
+  if (invitation.revokedAt) return "revoked";
+  if (invitation.expiresAt <= new Date()) return "expired";
+  return "pending";
+};
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a new admin by email
+// @access  Private (admins:manage)
+router.post("/invitations", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and role are required",
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Object.values(ROLES).join(", ")}`,
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingAdmin = await prisma.admin.findFirst({
+      where: { email: { equals: normalizedEmail, mode: 'insensitive' } }
+    });
+
+    if (existingAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: "An admin with this email already exists",
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+
+    const invitation = await prisma.$transaction(async (tx) => {
+      // A new invitation replaces any pending one for the same email
+      await tx.adminInvitation.updateMany({
+        where: { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+
+      return tx.adminInvitation.create({
+        data: {
+          email: normalizedEmail,
+          role,
+          tokenHash: hashToken(inviteToken),
+          invitedById: req.admin.id,
+          expiresAt,
+        },
+      });
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/admin/accept-invite?token=${inviteToken}`;
+
+    let emailSent = true;
+    try {
+      await sendAdminInvitationEmail(normalizedEmail, inviteUrl, role, expiresAt);
+    } catch (emailError) {
+      // Keep the invitation; the link can still be shared manually
+      emailSent = false;
+    }
+
+    await recordAudit(req, {
+      action: "invitation.create",
+      entityType: AUDIT_ENTITIES.INVITATION,
+      entityId: invitation.id,
+      after: invitation,
+      metadata: { emailSent },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? `Invitation sent to ${normalizedEmail}`
+        : `Invitation created but the email could not be sent to ${normalizedEmail}`,
+      emailSent,
+      invitation: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        status: getInvitationStatus(invitation),
+      },
+      ...(!emailSent && { inviteUrl }),
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/invitations
+// @desc    List admin invitations
+// @access  Private (admins:manage)
+router.get("/invitations", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const invitations = await prisma.adminInvitation.findMany({
+      include: {
+        invitedBy: {
+          select: {
+            id: true,
+            email: true,
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    const result = invitations
+      .map(({ tokenHash, ...invitation }) => ({
+        ...invitation,
+        status: getInvitationStatus(invitation),
+      }))
+      .filter((invitation) => !status || invitation.status === status);
+
+    res.json({
+      success: true,
+      count: result.length,
+      invitations: result,
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending admin invitation
+// @access  Private (admins:manage)
+router.delete("/invitations/:id", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const invitation = await prisma.adminInvitation.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    if (getInvitationStatus(invitation) !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke an invitation that is ${getInvitationStatus(invitation)}`,
+      });
+    }
+
+    const revokedInvitation = await prisma.adminInvitation.update({
+      where: { id: req.params.id },
+      data: { revokedAt: new Date() },
+    });
+
+    await recordAudit(req, {
+      action: "invitation.revoke",
+      entityType: AUDIT_ENTITIES.INVITATION,
+      entityId: invitation.id,
+      before: invitation,
+      after: revokedInvitation,
+    });
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Browse the audit trail with optional filters
+// @access  Private (auditlogs:read)
+router.get("/audit-logs", verifyAdmin, requirePermission(PERMISSIONS.AUDIT_LOGS_READ), async (req, res) => {
+  try {
+    const {
+      actorId,
+      action,
+      entityType,
+      entityId,
+      dateFrom,
+      dateTo,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const where = {};
+
+    if (actorId) where.actorId = actorId;
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+
+    // "quiz." matches every quiz action, "quiz.delete" only deletes
+    if (action) {
+      where.action = action.endsWith(".") ? { startsWith: action } : action;
+    }
+
+    if (dateFrom || dateTo) {
+      where.createdAt = {};
+      if (dateFrom) where.createdAt.gte = new Date(dateFrom);
+      if (dateTo) where.createdAt.lte = new Date(dateTo);
+    }
+
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: {
+          createdAt: 'desc'
+        },
+        skip,
+        take,
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      page: Math.max(parseInt(page) || 1, 1),
+      pages: Math.ceil(total / take),
+      logs,
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/settings
+// @desc    Get system-wide security settings
+// @access  Private (admins:manage)
+router.get("/settings", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const adminTwoFactorRequired = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+    res.json({
+      success: true,
+      settings: {
+        adminTwoFactorRequired: adminTwoFactorRequired === true,
+      },
+    });
+  } catch (error) {
+    console.error("Get settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/two-factor
+// @desc    Make two-factor authentication mandatory (or optional) for all admins
+// @access  Private (admins:manage)
+router.put("/settings/two-factor", verifyAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "required must be true or false",
+      });
+    }
+
+    let sessionsRevoked = 0;
+
+    if (required) {
+      const currentAdmin = await prisma.admin.findUnique({
+        where: { id: req.admin.id },
+        select: { twoFactorEnabled: true },
+      });
+
+      // Avoid locking out the admin who flips the switch
+      if (!currentAdmin.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Enable two-factor authentication on your own account first",
+        });
+      }
+
+      // Admins without 2FA must enrol at their next login
+      const { count } = await prisma.authSession.updateMany({
+        where: {
+          revokedAt: null,
+          admin: { twoFactorEnabled: false },
+        },
+        data: { revokedAt: new Date() },
+      });
+
+      sessionsRevoked = count;
+    }
+
+    const previousValue = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+    await setSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, required, req.admin.id);
+
+    await recordAudit(req, {
+      action: "setting.update",
+      entityType: AUDIT_ENTITIES.SETTING,
+      entityId: SETTINGS.ADMIN_TWO_FACTOR_REQUIRED,
+      before: { value: previousValue },
+      after: { value: required },
+      metadata: { sessionsRevoked },
+    });
+
+    res.json({
+      success: true,
+      message: required
+        ? "Two-factor authentication is now mandatory for all admins"
+        : "Two-factor authentication is now optional",
+      settings: {
+        adminTwoFactorRequired: required,
+      },
+      sessionsRevoked,
+    });
+  } catch (error) {
+    console.error("Update two-factor setting error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,148 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../utils/database');
 const bcrypt = require('bcryptjs'); // You'll need this for password hashing
+const crypto = require('crypto');
+const { verifyAdmin, verifyQuizTaker, verifyAdminOrTwoFactorSetup } = require('../middleware/auth');
+const {
+  authIpLimiter,
+  loginIdentityLimiter,
+  twoFactorIdentityLimiter,
+} = require('../middleware/rateLimit');
+const { ROLES, getPermissionsForRole } = require('../utils/permissions');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  hashToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+} = require('../utils/tokenService');
+const { sendPasswordResetEmail, sendQuizTakerLoginEmail } = require('../utils/emailService');
+const { SETTINGS, getSetting } = require('../utils/settings');
+const {
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  useRecoveryCode,
+} = require('../utils/twoFactor');
 
+// Every auth endpoint is rate limited per IP
+router.use(authIpLimiter);
 
 
-// Generate JWT Token
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: '7d',
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const QUIZTAKER_LOGIN_LINK_TTL_MINUTES = parseInt(process.env.QUIZTAKER_LOGIN_LINK_TTL_MINUTES) || 15;
+
+// Record an accepted TOTP step. Matches nothing if this step or a later one was
+// already used, so each code works once even when requests race.
+const consumeTotpStep = async (adminId, step, { where = {}, data = {} } = {}) => {
+  const { count } = await prisma.admin.updateMany({
+    where: {
+      id: adminId,
+      ...where,
+      OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }],
+    },
+    data: { ...data, twoFactorLastUsedStep: step },
+  });
+
+  return count > 0;
+};
+
+// Start an admin session and send the standard login response
+const sendAdminTokens = async (req, res, admin, message, extra = {}) => {
+  const { token, refreshToken, expiresIn } = await issueTokens(admin.id, 'admin', req);
+
+  res.json({
+    success: true,
+    message,
+    token,
+    refreshToken,
+    expiresIn,
+    admin: {
+      id: admin.id,
+      email: admin.email,
+      role: admin.role,
+      permissions: getPermissionsForRole(admin.role),
+      twoFactorEnabled: admin.twoFactorEnabled,
+    },
+    ...extra,
+  });
+};
+
+// Quiz taker lockout settings
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.QUIZTAKER_MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.QUIZTAKER_LOCKOUT_MINUTES) || 15;
+
+// Constant-time string comparison for access codes
+const safeCompare = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const isLockedOut = (quizTaker) => {
+  return !!quizTaker.lockedUntil && quizTaker.lockedUntil > new Date();
+};
+
+const sendLockedOut = (res, lockedUntil) => {
+  return res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked due to too many failed login attempts. Try again later or contact admin.',
+    lockedUntil,
+  });
+};
+
+// Count a failed attempt and lock the account once the limit is reached.
+// The count is incremented in the database so parallel guesses all count.
+const registerFailedLogin = async (quizTaker) => {
+  // An expired lock starts a fresh count
+  await prisma.quizTaker.updateMany({
+    where: { id: quizTaker.id, lockedUntil: { lte: new Date() } },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+
+  const { failedLoginAttempts: attempts } = await prisma.quizTaker.update({
+    where: { id: quizTaker.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  let lockedUntil = null;
+  if (attempts >= MAX_LOGIN_ATTEMPTS) {
+    lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    await prisma.quizTaker.update({
+      where: { id: quizTaker.id },
+      data: { lockedUntil },
+    });
+  }
+
+  return {
+    lockedUntil,
+    attemptsRemaining: Math.max(MAX_LOGIN_ATTEMPTS - attempts, 0),
+  };
+};
+
+const registerSuccessfulLogin = async (quizTaker) => {
+  await prisma.quizTaker.update({
+    where: { id: quizTaker.id },
+    data: {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: new Date(),
+    },
   });
 };
 
 // @route   POST /api/auth/admin/login
 // @desc    Admin login
 // @access  Public
-router.post('/admin/login', async (req, res) => {
+router.post('/admin/login', loginIdentityLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -54,18 +180,170 @@ router.post('/admin/login', async (req, res) => {
       });
     }
 
+    // Second step: a TOTP or recovery code is needed before any token is issued
+    if (admin.twoFactorEnabled) {
+      const challengeToken = generateTwoFactorToken(admin.id, 'login');
+
+      // Only the latest challenge can be completed, and only once
+      await prisma.admin.update({
+        where: { id: admin.id },
+        data: { twoFactorChallengeHash: hashToken(challengeToken) },
+      });
+
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    const twoFactorMandatory = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+    if (twoFactorMandatory) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication must be set up before you can log in',
+        twoFactorSetupRequired: true,
+        setupToken: generateTwoFactorToken(admin.id, 'setup'),
+      });
+    }
+
     // Generate token
     // Changed from: admin._id to admin.id (UUIDs in Prisma)
-    const token = generateToken(admin.id, 'admin');
+    await sendAdminTokens(req, res, admin, 'Login successful');
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/login/2fa
+// @desc    Complete admin login with a TOTP code or a recovery code
+// @access  Public (requires the challenge token from /admin/login)
+router.post('/admin/login/2fa', twoFactorIdentityLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide the challenge token and a code' 
+      });
+    }
+
+    const decoded = verifyTwoFactorToken(challengeToken, 'login');
+
+    if (!decoded) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login challenge is invalid or has expired. Please log in again.' 
+      });
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: decoded.id }
+    });
+
+    if (!admin || !admin.twoFactorEnabled) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid credentials' 
+      });
+    }
+
+    const challengeHash = hashToken(challengeToken);
+
+    if (admin.twoFactorChallengeHash !== challengeHash) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login challenge is invalid or has expired. Please log in again.' 
+      });
+    }
+
+    // The challenge is cleared in the same write that accepts the code
+    const challengeUsed = {
+      where: { twoFactorChallengeHash: challengeHash },
+      data: { twoFactorChallengeHash: null },
+    };
+
+    if (code) {
+      const step = verifyTotp(admin.twoFactorSecret, code);
+
+      if (step === null || !(await consumeTotpStep(admin.id, step, challengeUsed))) {
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Invalid authentication code' 
+        });
+      }
+
+      return sendAdminTokens(req, res, admin, 'Login successful');
+    }
+
+    const remainingCodes = useRecoveryCode(admin.twoFactorRecoveryCodes, recoveryCode);
+
+    if (!remainingCodes) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid recovery code' 
+      });
+    }
+
+    // Recovery codes are single use. Only write if the codes are still the ones we
+    // checked, so two requests racing with the same code can't both log in.
+    const { count } = await prisma.admin.updateMany({
+      where: {
+        id: admin.id,
+        twoFactorRecoveryCodes: { equals: admin.twoFactorRecoveryCodes },
+        ...challengeUsed.where,
+      },
+      data: { twoFactorRecoveryCodes: remainingCodes, ...challengeUsed.data },
+    });
+
+    if (count === 0) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid recovery code' 
+      });
+    }
+
+    await sendAdminTokens(req, res, admin, 'Login successful', {
+      recoveryCodesRemaining: remainingCodes.length,
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   GET /api/auth/admin/2fa/status
+// @desc    Get the current admin's two-factor status
+// @access  Private (Admin only)
+router.get('/admin/2fa/status', verifyAdmin, async (req, res) => {
+  try {
+    const [admin, twoFactorMandatory] = await Promise.all([
+      prisma.admin.findUnique({
+        where: { id: req.admin.id },
+        select: { twoFactorEnabled: true, twoFactorEnabledAt: true, twoFactorRecoveryCodes: true },
+      }),
+      getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false),
+    ]);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        role: admin.role,
+      twoFactor: {
+        enabled: admin.twoFactorEnabled,
+        enabledAt: admin.twoFactorEnabledAt,
+        recoveryCodesRemaining: Array.isArray(admin.twoFactorRecoveryCodes)
+          ? admin.twoFactorRecoveryCodes.length
+          : 0,
+        required: twoFactorMandatory === true,
       },
     });
   } catch (error) {
@@ -77,68 +355,111 @@ router.post('/admin/login', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/admin/register
-// @desc    Register admin (for initial setup only)
-// @access  Public (You may want to restrict this in production)
-router.post('/admin/register', async (req, res) => {
+// @route   POST /api/auth/admin/2fa/setup
+// @desc    Start two-factor enrolment and get the otpauth URI / QR code
+// @access  Private (Admin, or the setup token from /admin/login)
+router.post('/admin/2fa/setup', verifyAdminOrTwoFactorSetup, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.admin.id }
+    });
 
-    // Validation
-    if (!email || !password) {
+    if (admin.twoFactorEnabled) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Please provide email and password' 
+        message: 'Two-factor authentication is already enabled' 
       });
     }
 
-    if (password.length < 6) {
+    // The secret stays pending until a code from it is verified
+    const secret = generateSecret();
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { twoFactorSecret: secret },
+    });
+
+    const { otpauthUrl, qrCode } = await buildEnrollment(admin.email, secret);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then verify a code',
+      secret,
+      otpauthUrl,
+      qrCode,
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/2fa/verify
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @access  Private (Admin, or the setup token from /admin/login)
+router.post('/admin/2fa/verify', verifyAdminOrTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Password must be at least 6 characters' 
+        message: 'Please provide the code from your authenticator app' 
       });
     }
 
-    // Check if admin already exists
-    // Changed from: Admin.findOne({ email })
-    const existingAdmin = await prisma.admin.findUnique({
-      where: { email }
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.admin.id }
     });
 
-    if (existingAdmin) {
+    if (admin.twoFactorEnabled) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Admin already exists' 
+        message: 'Two-factor authentication is already enabled' 
       });
     }
 
-    // Hash password
-    // NOTE: In Mongoose, you likely had a pre-save hook to hash passwords
-    // With Prisma, you need to hash manually before saving
-    const hashedPassword = await bcrypt.hash(password, 10);
+    if (!admin.twoFactorSecret) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Start two-factor setup first' 
+      });
+    }
+
+    const step = verifyTotp(admin.twoFactorSecret, code);
+
+    if (step === null || !(await consumeTotpStep(admin.id, step))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid authentication code' 
+      });
+    }
 
-    // Create admin
-    // Changed from: new Admin({ ... }) then admin.save()
-    const admin = await prisma.admin.create({
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const updatedAdmin = await prisma.admin.update({
+      where: { id: admin.id },
       data: {
-        email,
-        password: hashedPassword,
-        // role defaults to "admin" in schema, so no need to specify unless different
-      }
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorRecoveryCodes: hashes,
+      },
     });
 
-    // Generate token
-    const token = generateToken(admin.id, 'admin');
+    const message = 'Two-factor authentication enabled. Store your recovery codes somewhere safe.';
 
-    res.status(201).json({
+    // Admins enrolling during a mandatory-2FA login are logged in straight away
+    if (req.isTwoFactorSetup) {
+      return sendAdminTokens(req, res, updatedAdmin, message, { recoveryCodes: codes });
+    }
+
+    res.json({
       success: true,
-      message: 'Admin registered successfully',
-      token,
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        role: admin.role,
-      },
+      message,
+      recoveryCodes: codes,
     });
   } catch (error) {
     res.status(500).json({ 
@@ -149,56 +470,112 @@ router.post('/admin/register', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/quiztaker/login
-// @desc    Quiz taker login with access code
-// @access  Public
-router.post('/quiztaker/login', async (req, res) => {
+// @route   POST /api/auth/admin/2fa/recovery-codes
+// @desc    Replace the current admin's recovery codes
+// @access  Private (Admin only)
+router.post('/admin/2fa/recovery-codes', verifyAdmin, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { code } = req.body;
 
-    // Validation
-    if (!email) {
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.admin.id }
+    });
+
+    if (!admin.twoFactorEnabled) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Please provide a valid email address' 
+        message: 'Two-factor authentication is not enabled' 
       });
     }
 
-    // Check if quiz taker exists
-    // Changed from: QuizTaker.findOne({ email: email.trim() })
-    const quizTaker = await prisma.quizTaker.findFirst({
-      where: { 
-        email: email.trim()
-      }
-    });
+    const step = verifyTotp(admin.twoFactorSecret, code);
 
-    if (!quizTaker) {
+    if (step === null || !(await consumeTotpStep(admin.id, step))) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid access code' 
+        message: 'Invalid authentication code' 
       });
     }
 
-    // Check if account is active
-    if (!quizTaker.isActive) {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { twoFactorRecoveryCodes: hashes },
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/2fa/disable
+// @desc    Turn off two-factor authentication for the current admin
+// @access  Private (Admin only)
+router.post('/admin/2fa/disable', verifyAdmin, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your password and a current code' 
+      });
+    }
+
+    const twoFactorMandatory = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+    if (twoFactorMandatory) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Account is inactive. Contact admin.' 
+        message: 'Two-factor authentication is mandatory for all admins' 
       });
     }
 
-    // Generate token
-    const token = generateToken(quizTaker.id, 'quiztaker');
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.admin.id }
+    });
+
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    const isMatch = await bcrypt.compare(password, admin.password);
+
+    const step = isMatch ? verifyTotp(admin.twoFactorSecret, code) : null;
+
+    if (step === null || !(await consumeTotpStep(admin.id, step))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid password or authentication code' 
+      });
+    }
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorEnabledAt: null,
+      },
+    });
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      quizTaker: {
-        id: quizTaker.id,
-        email: quizTaker.email,
-        accessCode: quizTaker.accessCode,
-      },
+      message: 'Two-factor authentication disabled',
     });
   } catch (error) {
     res.status(500).json({ 
@@ -209,4 +586,798 @@ router.post('/quiztaker/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/admin/register
+// @desc    Register the first admin (further admins must be invited)
+// @access  Public (only while no admin exists)
+router.post('/admin/register', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validation
+    if (!email || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide email and password' 
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 6 characters' 
+      });
+    }
+
+    const registrationClosed = () => res.status(403).json({ 
+      success: false, 
+      message: 'Registration is closed. Ask a super-admin for an invitation.' 
+    });
+
+    // Open registration is only for bootstrapping the first super-admin. This check
+    // skips the hashing once that is done; the transaction below is the one that counts.
+    if (await prisma.admin.count() > 0) {
+      return registrationClosed();
+    }
+
+    // Hash password
+    // NOTE: In Mongoose, you likely had a pre-save hook to hash passwords
+    // With Prisma, you need to hash manually before saving
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Counting and creating in one serializable transaction means two simultaneous
+    // requests cannot both see an empty table: the loser fails with a serialization error
+    let admin;
+    try {
+      admin = await prisma.$transaction(async (tx) => {
+        if (await tx.admin.count() > 0) return null;
+
+        return tx.admin.create({
+          data: {
+            email,
+            password: hashedPassword,
+            role: ROLES.SUPER_ADMIN,
+          }
+        });
+      }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+    } catch (error) {
+      if (error.code !== 'P2034' && error.code !== 'P2002') throw error;
+      admin = null;
+    }
+
+    if (!admin) {
+      return registrationClosed();
+    }
+
+    // Generate token
+    const { token, refreshToken, expiresIn } = await issueTokens(admin.id, 'admin', req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin registered successfully',
+      token,
+      refreshToken,
+      expiresIn,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        permissions: getPermissionsForRole(admin.role),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/accept-invite
+// @desc    Accept an admin invitation and set a password
+// @access  Public (requires a valid invitation token)
+router.post('/admin/accept-invite', async (req, res) => {
+  try {
+    const { token: inviteToken, password } = req.body;
+
+    if (!inviteToken || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide the invitation token and a password' 
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 6 characters' 
+      });
+    }
+
+    const invitation = await prisma.adminInvitation.findUnique({
+      where: { tokenHash: hashToken(inviteToken) }
+    });
+
+    if (
+      !invitation ||
+      invitation.acceptedAt ||
+      invitation.revokedAt ||
+      invitation.expiresAt <= new Date()
+    ) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invitation is invalid or has expired' 
+      });
+    }
+
+    const existingAdmin = await prisma.admin.findUnique({
+      where: { email: invitation.email }
+    });
+
+    if (existingAdmin) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Admin already exists' 
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const admin = await prisma.$transaction(async (tx) => {
+      // Claim the invitation first so it cannot be used twice
+      const { count } = await tx.adminInvitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+
+      // Another request accepted it first
+      if (count === 0) return null;
+
+      return tx.admin.create({
+        data: {
+          email: invitation.email,
+          password: hashedPassword,
+          role: invitation.role,
+        }
+      });
+    });
+
+    if (!admin) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Invitation has already been used' 
+      });
+    }
+
+    const twoFactorMandatory = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+    if (twoFactorMandatory) {
+      return res.status(201).json({
+        success: true,
+        message: 'Invitation accepted. Set up two-factor authentication to log in.',
+        twoFactorSetupRequired: true,
+        setupToken: generateTwoFactorToken(admin.id, 'setup'),
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await issueTokens(admin.id, 'admin', req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      token,
+      refreshToken,
+      expiresIn,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        permissions: getPermissionsForRole(admin.role),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/forgot-password
+// @desc    Email a password reset link to an admin
+// @access  Public
+router.post('/admin/forgot-password', loginIdentityLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your email' 
+      });
+    }
+
+    // Same response whether or not the admin exists, so emails cannot be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+    };
+
+    const admin = await prisma.admin.findFirst({
+      where: { email: { equals: email.trim(), mode: 'insensitive' } }
+    });
+
+    if (!admin) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      },
+    });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/reset-password?token=${resetToken}`;
+
+    try {
+      await sendPasswordResetEmail(admin.email, resetUrl, PASSWORD_RESET_TTL_MINUTES);
+    } catch (emailError) {
+      // Logged by the email service; the response stays generic
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/admin/reset-password
+// @desc    Set a new admin password using a reset token
+// @access  Public (requires a valid reset token)
+router.post('/admin/reset-password', async (req, res) => {
+  try {
+    const { token: resetToken, password } = req.body;
+
+    if (!resetToken || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide the reset token and a new password' 
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 6 characters' 
+      });
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { passwordResetTokenHash: hashToken(resetToken) }
+    });
+
+    if (!admin || !admin.passwordResetExpiresAt || admin.passwordResetExpiresAt <= new Date()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset token is invalid or has expired' 
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        password: hashedPassword,
+        passwordResetTokenHash: null,
+        passwordResetExpiresAt: null,
+        passwordChangedAt: new Date(),
+      },
+    });
+
+    // Every existing session ends with the old password
+    await revokeAllSessions(admin.id, 'admin');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   PUT /api/auth/admin/change-password
+// @desc    Change the current admin's password
+// @access  Private (Admin only)
+router.put('/admin/change-password', verifyAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your current and new password' 
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password must be at least 6 characters' 
+      });
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.admin.id }
+    });
+
+    const isMatch = await bcrypt.compare(currentPassword, admin.password);
+
+    if (!isMatch) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Current password is incorrect' 
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        password: hashedPassword,
+        passwordResetTokenHash: null,
+        passwordResetExpiresAt: null,
+        passwordChangedAt: new Date(),
+      },
+    });
+
+    // Keep this session, end all others
+    await revokeAllSessions(admin.id, 'admin', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/quiztaker/login
+// @desc    Premium quiz taker login with email and access code
+// @access  Public
+router.post('/quiztaker/login', loginIdentityLimiter, async (req, res) => {
+  try {
+    const { email, accessCode } = req.body;
+
+    // Validation
+    if (!email || !accessCode) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your email and access code' 
+      });
+    }
+
+    const quizTaker = await prisma.quizTaker.findFirst({
+      where: { 
+        email: { equals: email.trim(), mode: 'insensitive' },
+        accountType: 'premium',
+      }
+    });
+
+    if (!quizTaker) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid email or access code' 
+      });
+    }
+
+    if (isLockedOut(quizTaker)) {
+      return sendLockedOut(res, quizTaker.lockedUntil);
+    }
+
+    const normalizedCode = String(accessCode).trim().toUpperCase();
+
+    if (!quizTaker.accessCode || !safeCompare(normalizedCode, quizTaker.accessCode)) {
+      const { lockedUntil, attemptsRemaining } = await registerFailedLogin(quizTaker);
+
+      if (lockedUntil) {
+        return sendLockedOut(res, lockedUntil);
+      }
+
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid email or access code',
+        attemptsRemaining,
+      });
+    }
+
+    // Check if account is active
+    if (!quizTaker.isActive) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is inactive. Contact admin.' 
+      });
+    }
+
+    await registerSuccessfulLogin(quizTaker);
+
+    // Generate token
+    const { token, refreshToken, expiresIn } = await issueTokens(quizTaker.id, 'quiztaker', req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      quizTaker: {
+        id: quizTaker.id,
+        email: quizTaker.email,
+        name: quizTaker.name,
+        accountType: quizTaker.accountType,
+        accessCode: quizTaker.accessCode,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/quiztaker/regular/login-link
+// @desc    Email a one-time login link to a regular quiz taker
+// @access  Public
+router.post('/quiztaker/regular/login-link', loginIdentityLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your email' 
+      });
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a login link has been sent',
+    };
+
+    const quizTaker = await prisma.quizTaker.findFirst({
+      where: { 
+        email: { equals: email.trim(), mode: 'insensitive' },
+        accountType: 'regular',
+      }
+    });
+
+    if (!quizTaker || !quizTaker.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const loginToken = crypto.randomBytes(32).toString('hex');
+
+    await prisma.quizTaker.update({
+      where: { id: quizTaker.id },
+      data: {
+        loginTokenHash: hashToken(loginToken),
+        loginTokenExpiresAt: new Date(Date.now() + QUIZTAKER_LOGIN_LINK_TTL_MINUTES * 60 * 1000),
+      },
+    });
+
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login/verify?token=${loginToken}`;
+
+    try {
+      await sendQuizTakerLoginEmail(quizTaker.email, quizTaker.name, loginUrl, QUIZTAKER_LOGIN_LINK_TTL_MINUTES);
+    } catch (emailError) {
+      // Logged by the email service; the response stays generic
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/quiztaker/regular/login
+// @desc    Regular quiz taker login with the token from an emailed login link
+// @access  Public (requires a valid login link token)
+router.post('/quiztaker/regular/login', loginIdentityLimiter, async (req, res) => {
+  try {
+    const { token: loginToken } = req.body;
+
+    if (!loginToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide the login token' 
+      });
+    }
+
+    const loginTokenHash = hashToken(String(loginToken));
+
+    const quizTaker = await prisma.quizTaker.findUnique({
+      where: { loginTokenHash }
+    });
+
+    if (!quizTaker || quizTaker.accountType !== 'regular') {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login link is invalid or has expired' 
+      });
+    }
+
+    if (isLockedOut(quizTaker)) {
+      return sendLockedOut(res, quizTaker.lockedUntil);
+    }
+
+    if (!quizTaker.isActive) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is inactive. Contact admin.' 
+      });
+    }
+
+    // Consume the link; of two requests racing with it only one gets a session
+    const consumed = await prisma.quizTaker.updateMany({
+      where: {
+        id: quizTaker.id,
+        loginTokenHash,
+        loginTokenExpiresAt: { gt: new Date() },
+      },
+      data: {
+        loginTokenHash: null,
+        loginTokenExpiresAt: null,
+      },
+    });
+
+    if (consumed.count === 0) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login link is invalid or has expired' 
+      });
+    }
+
+    await registerSuccessfulLogin(quizTaker);
+
+    const { token, refreshToken, expiresIn } = await issueTokens(quizTaker.id, 'quiztaker', req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      quizTaker: {
+        id: quizTaker.id,
+        email: quizTaker.email,
+        name: quizTaker.name,
+        accountType: quizTaker.accountType,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refresh token is required' 
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    if (!rotated) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    // Deactivated quiz takers cannot keep their sessions alive
+    if (rotated.role === 'quiztaker') {
+      const quizTaker = await prisma.quizTaker.findUnique({
+        where: { id: rotated.ownerId },
+        select: { isActive: true },
+      });
+
+      if (!quizTaker || !quizTaker.isActive) {
+        await revokeSession(rotated.sessionId);
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Account is inactive. Contact admin.' 
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session that owns the given refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refresh token is required' 
+      });
+    }
+
+    await prisma.authSession.updateMany({
+      where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+// Shared session handlers for admins and quiz takers
+const listSessions = (role) => async (req, res) => {
+  try {
+    const ownerId = role === 'admin' ? req.admin.id : req.quizTaker.id;
+    const sessions = await listActiveSessions(ownerId, role);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        ...session,
+        isCurrent: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+const endSession = (role) => async (req, res) => {
+  try {
+    const ownerId = role === 'admin' ? req.admin.id : req.quizTaker.id;
+
+    const { count } = await prisma.authSession.updateMany({
+      where: {
+        id: req.params.sessionId,
+        [role === 'admin' ? 'adminId' : 'quizTakerId']: ownerId,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+const logoutEverywhere = (role) => async (req, res) => {
+  try {
+    const ownerId = role === 'admin' ? req.admin.id : req.quizTaker.id;
+    const { count } = await revokeAllSessions(ownerId, role);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`,
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// @route   GET /api/auth/admin/sessions
+// @desc    List the current admin's active sessions
+// @access  Private (Admin only)
+router.get('/admin/sessions', verifyAdmin, listSessions('admin'));
+
+// @route   DELETE /api/auth/admin/sessions/:sessionId
+// @desc    Revoke one of the current admin's sessions
+// @access  Private (Admin only)
+router.delete('/admin/sessions/:sessionId', verifyAdmin, endSession('admin'));
+
+// @route   POST /api/auth/admin/logout-all
+// @desc    Revoke all of the current admin's sessions
+// @access  Private (Admin only)
+router.post('/admin/logout-all', verifyAdmin, logoutEverywhere('admin'));
+
+// @route   GET /api/auth/quiztaker/sessions
+// @desc    List the current quiz taker's active sessions
+// @access  Private (Quiz taker only)
+router.get('/quiztaker/sessions', verifyQuizTaker, listSessions('quiztaker'));
+
+// @route   DELETE /api/auth/quiztaker/sessions/:sessionId
+// @desc    Revoke one of the current quiz taker's sessions
+// @access  Private (Quiz taker only)
+router.delete('/quiztaker/sessions/:sessionId', verifyQuizTaker, endSession('quiztaker'));
+
+// @route   POST /api/auth/quiztaker/logout-all
+// @desc    Revoke all of the current quiz taker's sessions
+// @access  Private (Quiz taker only)
+router.post('/quiztaker/logout-all', verifyQuizTaker, logoutEverywhere('quiztaker'));
+
 module.exports = router;
\ No newline at end of file
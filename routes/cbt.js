@@ -3,7 +3,36 @@ const router = express.Router();
 const QuestionSet = require("../models/QuestionSet");
 const QuizTaker = require("../models/QuizTaker");
 const CBTSubmission = require("../models/CbtModel");
+const { gradeStructuredAnswer } = require("../utils/grading");
+const { presentMedia } = require("../utils/media");
 const mongoose = require("mongoose");
+const {
+  cbtStartIpLimiter,
+  cbtStartIdentityLimiter,
+} = require("../middleware/rateLimit");
+
+// Per-question outcome with its explanation, returned once a CBT is submitted
+async function buildReview(gradedAnswers, questionSets) {
+  const questions = new Map(
+    questionSets.flatMap((qs) => qs.questions.map((q) => [q._id.toString(), q])),
+  );
+  const explanationMedia = await presentMedia(
+    gradedAnswers.map((answer) => questions.get(answer.questionId.toString()).explanationMediaId),
+  );
+
+  return gradedAnswers.map((answer) => {
+    const question = questions.get(answer.questionId.toString());
+
+    return {
+      questionId: answer.questionId,
+      isCorrect: answer.isCorrect,
+      pointsAwarded: answer.pointsAwarded,
+      pointsPossible: answer.pointsPossible,
+      explanation: question.explanation || null,
+      explanationMedia: explanationMedia.get(question.explanationMediaId) || null,
+    };
+  });
+}
 
 // @route   GET /api/cbt/question-sets
 // @desc    Get all active question sets (subjects) for selection
@@ -31,7 +60,7 @@ router.get("/question-sets", async (req, res) => {
 // @route   POST /api/cbt/start-session
 // @desc    Start a new CBT session with selected question sets
 // @access  Public or with optional auth
-router.post("/start-session", async (req, res) => {
+router.post("/start-session", cbtStartIpLimiter, cbtStartIdentityLimiter, async (req, res) => {
   try {
     const { questionSetIds, email } = req.body;
 
@@ -169,7 +198,7 @@ router.get("/question-set/:id/questions", async (req, res) => {
     }
 
     // Remove correct answers from questions
-    const questionsWithoutAnswers = questionSet.questions.map((q) => ({
+    const questionsWithoutAnswers = questionSet.publishedQuestions().map((q) => ({
       _id: q._id,
       type: q.type,
       question: q.question,
@@ -231,7 +260,7 @@ router.post("/submit", async (req, res) => {
     questionSets.forEach((questionSet) => {
       totalPoints += questionSet.totalPoints;
 
-      questionSet.questions.forEach((question) => {
+      questionSet.publishedQuestions().forEach((question) => {
         const submittedAnswer = answers.find(
           (ans) => ans.questionId === question._id.toString(),
         );
@@ -279,18 +308,16 @@ router.post("/submit", async (req, res) => {
             break;
 
           case "fill-in-the-blanks":
-            const submittedAns = String(submittedAnswer.answer)
-              .trim()
-              .toLowerCase();
-            const correctAns = String(question.correctAnswer)
-              .trim()
-              .toLowerCase();
-            if (submittedAns === correctAns) {
-              answerObj.isCorrect = true;
-              answerObj.pointsAwarded = question.points;
-              totalScore += question.points;
-            }
+          case "multi-select":
+          case "matching":
+          case "ordering":
+          case "numeric": {
+            const result = gradeStructuredAnswer(question, submittedAnswer.answer);
+            answerObj.isCorrect = result.isCorrect;
+            answerObj.pointsAwarded = result.pointsAwarded;
+            totalScore += result.pointsAwarded;
             break;
+          }
 
           case "essay":
             // Essays need manual grading
@@ -362,6 +389,7 @@ router.post("/submit", async (req, res) => {
         percentage: submission.percentage,
         timeTaken: submission.timeTaken,
         submittedAt: submission.submittedAt,
+        review: await buildReview(gradedAnswers, questionSets),
       },
     });
   } catch (error) {
@@ -376,7 +404,7 @@ router.post("/submit", async (req, res) => {
 // @route   POST /api/cbt/start-single-subject
 // @desc    Start a single subject exam
 // @access  Public
-router.post("/start-single-subject", async (req, res) => {
+router.post("/start-single-subject", cbtStartIpLimiter, cbtStartIdentityLimiter, async (req, res) => {
   try {
     const { questionSetId, email } = req.body;
 
@@ -502,7 +530,7 @@ router.post("/submit-single-subject", async (req, res) => {
     let totalScore = 0;
     const totalPoints = questionSet.totalPoints;
 
-    questionSet.questions.forEach((question) => {
+    questionSet.publishedQuestions().forEach((question) => {
       const submittedAnswer = answers.find(
         (ans) => ans.questionId === question._id.toString(),
       );
@@ -541,18 +569,16 @@ router.post("/submit-single-subject", async (req, res) => {
           break;
 
         case "fill-in-the-blanks":
-          const submittedAns = String(submittedAnswer.answer)
-            .trim()
-            .toLowerCase();
-          const correctAns = String(question.correctAnswer)
-            .trim()
-            .toLowerCase();
-          if (submittedAns === correctAns) {
-            answerObj.isCorrect = true;
-            answerObj.pointsAwarded = question.points;
-            totalScore += question.points;
-          }
+        case "multi-select":
+        case "matching":
+        case "ordering":
+        case "numeric": {
+          const result = gradeStructuredAnswer(question, submittedAnswer.answer);
+          answerObj.isCorrect = result.isCorrect;
+          answerObj.pointsAwarded = result.pointsAwarded;
+          totalScore += result.pointsAwarded;
           break;
+        }
 
         case "essay":
           answerObj.isCorrect = null;
@@ -620,6 +646,7 @@ router.post("/submit-single-subject", async (req, res) => {
         percentage: submission.percentage,
         timeTaken: submission.timeTaken,
         submittedAt: submission.submittedAt,
+        review: await buildReview(gradedAnswers, [questionSet]),
       },
     });
   } catch (error) {
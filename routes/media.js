@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const multer = require('multer');
+const { verifyAdmin, verifyAdminOrQuizTaker, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const prisma = require('../utils/database');
+const { AUDIT_ENTITIES, recordAudit } = require('../utils/auditLog');
+const { getMediaStorage } = require('../utils/mediaStorage');
+const {
+  MEDIA_MAX_SIZE,
+  ALLOWED_MEDIA_TYPES,
+  validateMediaFile,
+  buildStorageKey,
+  signMediaUrl,
+  verifyMediaSignature,
+} = require('../utils/media');
+
+// Media has its own size limit and type checks, separate from the question file upload
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MEDIA_MAX_SIZE,
+    files: 1,
+  },
+});
+
+const uploadSingle = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File is larger than the ${MEDIA_MAX_SIZE / (1024 * 1024)}MB limit`,
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: err.message,
+    });
+  });
+};
+
+// A valid signed URL is enough on its own; otherwise an admin or quiz taker token is needed
+const verifyMediaAccess = (req, res, next) => {
+  const { expires, signature } = req.query;
+
+  if (signature) {
+    if (!verifyMediaSignature(req.params.id, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Media link is invalid or has expired',
+      });
+    }
+    return next();
+  }
+
+  return verifyAdminOrQuizTaker(req, res, next);
+};
+
+// Questions and quiz snapshots that still show a media file
+const findMediaReferences = async (mediaId) => {
+  const filter = {
+    OR: [
+      { attachments: { array_contains: [{ mediaId }] } },
+      { explanationMediaId: mediaId },
+    ],
+  };
+
+  const [questions, quizQuestions] = await Promise.all([
+    prisma.question.findMany({
+      where: filter,
+      select: { id: true, questionSetId: true },
+    }),
+    prisma.quizQuestion.count({ where: filter }),
+  ]);
+
+  return { questions, quizQuestions };
+};
+
+// @route   POST /api/media
+// @desc    Upload a media file (image, audio...) for use in question attachments
+// @access  Private (Admin only)
+router.post('/', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), uploadSingle, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file',
+        allowedTypes: ALLOWED_MEDIA_TYPES,
+      });
+    }
+
+    const errors = validateMediaFile(req.file);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid media file',
+        errors,
+        allowedTypes: ALLOWED_MEDIA_TYPES,
+      });
+    }
+
+    const storage = getMediaStorage();
+    const storageKey = buildStorageKey(req.file.mimetype);
+
+    await storage.save(storageKey, req.file.buffer);
+
+    let media;
+    try {
+      media = await prisma.mediaAsset.create({
+        data: {
+          storageProvider: storage.name,
+          storageKey,
+          originalName: req.file.originalname.slice(0, 255),
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+          checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+          uploadedById: req.admin.id,
+        },
+      });
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'media.upload',
+      entityType: AUDIT_ENTITIES.MEDIA,
+      entityId: media.id,
+      after: media,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Media uploaded successfully',
+      media: {
+        ...media,
+        url: signMediaUrl(media.id),
+      },
+    });
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/media
+// @desc    List uploaded media files
+// @access  Private (Admin only)
+router.get('/', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const { mimeType, search } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const where = {};
+    if (mimeType) where.mimeType = { startsWith: mimeType };
+    if (search) {
+      where.originalName = {
+        contains: search,
+        mode: 'insensitive',
+      };
+    }
+
+    const [media, total] = await Promise.all([
+      prisma.mediaAsset.findMany({
+        where,
+        include: {
+          uploadedBy: {
+            select: { id: true, email: true },
+          },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.mediaAsset.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      count: media.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      media: media.map((m) => ({ ...m, url: signMediaUrl(m.id) })),
+    });
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/media/:id
+// @desc    Serve a media file
+// @access  Signed URL, or Private (Admin or quiz taker)
+router.get('/:id', verifyMediaAccess, async (req, res) => {
+  try {
+    const media = await prisma.mediaAsset.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found',
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getMediaStorage().createReadStream(media.storageKey);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media file is missing from storage',
+      });
+    }
+
+    res.set({
+      'Content-Type': media.mimeType,
+      'Content-Length': media.size,
+      'Content-Disposition': `inline; filename="${encodeURIComponent(media.originalName)}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600',
+    });
+
+    stream.on('error', (error) => {
+      console.error('Error streaming media:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/media/:id
+// @desc    Delete a media file that no question or quiz uses
+// @access  Private (Admin only)
+router.delete('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_DELETE), async (req, res) => {
+  try {
+    const media = await prisma.mediaAsset.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found',
+      });
+    }
+
+    const references = await findMediaReferences(media.id);
+
+    if (references.questions.length > 0 || references.quizQuestions > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Media is still attached to questions or quizzes. Remove the attachments first.',
+        references: {
+          questions: references.questions,
+          quizQuestions: references.quizQuestions,
+        },
+      });
+    }
+
+    await prisma.mediaAsset.delete({ where: { id: media.id } });
+    await getMediaStorage().remove(media.storageKey);
+
+    await recordAudit(req, {
+      action: 'media.delete',
+      entityType: AUDIT_ENTITIES.MEDIA,
+      entityId: media.id,
+      before: media,
+    });
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,12 @@ const router = express.Router();
 const Quiz = require("../models/Quiz");
 const QuizTaker = require("../models/QuizTaker");
 const QuizSubmission = require("../models/QuizSubmission");
+const { gradeStructuredAnswer } = require("../utils/grading");
+const { presentMedia } = require("../utils/media");
+const {
+  publicSubmitIpLimiter,
+  publicSubmitIdentityLimiter,
+} = require("../middleware/rateLimit");
 
 // @route   POST /api/public/quiz/available
 // @desc    Get available open quizzes by question set combination
@@ -181,7 +187,7 @@ router.get("/:quizId/question-set/:questionSetOrder", async (req, res) => {
 // @route   POST /api/public/quiz/:quizId/submit
 // @desc    Submit quiz as regular student
 // @access  Public
-router.post("/:quizId/submit", async (req, res) => {
+router.post("/:quizId/submit", publicSubmitIpLimiter, publicSubmitIdentityLimiter, async (req, res) => {
   try {
     const {
       email,
@@ -418,20 +424,16 @@ router.post("/:quizId/submit", async (req, res) => {
               break;
 
             case "fill-in-the-blanks":
-              const submittedAns = String(submittedAnswer).trim().toLowerCase();
-              const correctAns = String(question.correctAnswer)
-                .trim()
-                .toLowerCase();
-
-              if (submittedAns === correctAns) {
-                answerObj.isCorrect = true;
-                answerObj.pointsAwarded = question.points;
-                totalScore += question.points;
-              } else {
-                answerObj.isCorrect = false;
-                answerObj.pointsAwarded = 0;
-              }
+            case "multi-select":
+            case "matching":
+            case "ordering":
+            case "numeric": {
+              const result = gradeStructuredAnswer(question, submittedAnswer);
+              answerObj.isCorrect = result.isCorrect;
+              answerObj.pointsAwarded = result.pointsAwarded;
+              totalScore += result.pointsAwarded;
               break;
+            }
 
             case "essay":
               answerObj.isCorrect = null; // Needs manual grading
@@ -601,6 +603,9 @@ router.get("/submission/:submissionId", async (req, res) => {
     // Include answers if allowed
     if (canViewAnswers) {
       const answersByQuestionSet = {};
+      const explanationMedia = await presentMedia(
+        quiz.questionSets.flatMap((qs) => qs.questions.map((q) => q.explanationMediaId)),
+      );
 
       submission.answers.forEach((answer) => {
         const questionSet = quiz.questionSets.find((qs) =>
@@ -631,6 +636,8 @@ router.get("/submission/:submissionId", async (req, res) => {
           isCorrect: answer.isCorrect,
           pointsAwarded: answer.pointsAwarded,
           pointsPossible: answer.pointsPossible,
+          explanation: question.explanation || null,
+          explanationMedia: explanationMedia.get(question.explanationMediaId) || null,
         });
       });
 
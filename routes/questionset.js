@@ -1,12 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const { verifyAdmin } = require('../middleware/auth');
+const { Prisma } = require('@prisma/client');
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, hasPermission } = require('../utils/permissions');
 const prisma = require('../utils/database');
+const { AUDIT_ENTITIES, recordAudit } = require('../utils/auditLog');
+const {
+  validateQuestion,
+  parseTags,
+  parseQuestionRows,
+  QUESTION_SHEET_COLUMNS,
+  toQuestionRow,
+  buildQuestionFilter,
+  questionPages,
+  recalculateQuestionSetTotals,
+  getNextOrderNum,
+  renumberQuestions,
+  createQuestionBatch,
+  getQuestionSetUsage,
+} = require('../utils/questionBank');
+const { QTI_EXPORT_TYPES, buildQtiPackage, readQtiPackage } = require('../utils/qti');
+const { TEXT_FORMATS, parseTextQuestions } = require('../utils/textFormats');
+const { diffRevisions, recordInitialRevisions, recordRevision } = require('../utils/questionRevisions');
+const { DEFAULT_THRESHOLD, findDuplicateClusters, loadQuestionsForScan } = require('../utils/duplicateDetection');
+const { MIN_RESPONSES, runItemAnalysis, summarizeItemAnalysis } = require('../utils/itemAnalysis');
+const { findMissingMediaIds, validateAttachments, presentAttachments } = require('../utils/media');
+const { loadTopicIndex, getTopicScopeIds, checkQuestionTopic } = require('../utils/taxonomy');
+const { syncLegacyQuestions, retireLegacyQuestions } = require('../utils/legacyQuestionSets');
+const {
+  SPLIT_MODES,
+  cloneQuestionSet,
+  groupQuestionsForSplit,
+  splitQuestionSet,
+  mergeQuestionSets,
+} = require('../utils/questionSetOperations');
+const {
+  QUESTION_STATUS,
+  REVIEW_TRANSITIONS,
+  REVIEWER_ACTIONS,
+  checkReviewTransition,
+  applyReviewAction,
+  hasStudentVisibleChanges,
+  reopenEditedQuestion,
+} = require('../utils/questionReview');
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
 
 // @route   POST /api/questionset/:id/questions/batch
 // @desc    Add new questions to existing question set with metadata
 // @access  Private (Admin only)
-router.post('/:id/questions/batch', verifyAdmin, async (req, res) => {
+router.post('/:id/questions/batch', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
   try {
     const { questions, metadata } = req.body;
 
@@ -17,14 +60,23 @@ router.post('/:id/questions/batch', verifyAdmin, async (req, res) => {
       });
     }
 
+    const invalid = [];
+    const validQuestions = questions.map((q, index) => {
+      const { data, errors } = validateQuestion(q);
+      if (errors.length > 0) invalid.push({ index, errors });
+      return data;
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some questions are invalid',
+        errors: invalid,
+      });
+    }
+
     const questionSet = await prisma.questionSet.findUnique({
       where: { id: req.params.id },
-      include: {
-        questions: {
-          orderBy: { orderNum: 'desc' },
-          take: 1,
-        },
-      },
     });
 
     if (!questionSet) {
@@ -34,59 +86,24 @@ router.post('/:id/questions/batch', verifyAdmin, async (req, res) => {
       });
     }
 
-    // Get next order number and batch number
-    const startOrderNum = questionSet.questions.length > 0 
-      ? questionSet.questions[0].orderNum + 1 
-      : 1;
-
-    // Get next batch number using raw query
-    const batchResult = await prisma.$queryRaw`
-      SELECT COALESCE(MAX(batch_number), 0) + 1 as next_batch
-      FROM questions 
-      WHERE question_set_id = ${req.params.id}::uuid
-    `;
-    const nextBatchNumber = metadata?.batchNumber || batchResult[0].next_batch;
-
-    // Prepare questions with metadata
-    const questionsToCreate = questions.map((q, index) => ({
-      questionSetId: req.params.id,
-      type: q.type,
-      question: q.question,
-      options: q.options || null,
-      correctAnswer: q.correctAnswer || null,
-      points: q.points || 1,
-      orderNum: startOrderNum + index,
-      
-      // Metadata fields
-      tags: metadata?.tags || ['new'],
-      batchNumber: nextBatchNumber,
-      version: metadata?.version || `v${nextBatchNumber}.0`,
-      addedDate: new Date(),
-      isArchived: false,
-      metadata: metadata?.additionalData || null,
-    }));
-
-    // Create questions
-    await prisma.question.createMany({
-      data: questionsToCreate,
-    });
+    const { batchNumber: nextBatchNumber, questionSet: updatedQuestionSet } =
+      await createQuestionBatch(req.params.id, validQuestions, metadata || {}, req.admin.id);
 
-    // Update question set totals
-    const updatedQuestionSet = await prisma.questionSet.update({
-      where: { id: req.params.id },
-      data: {
-        questionCount: {
-          increment: questions.length,
-        },
-        totalPoints: {
-          increment: questions.reduce((sum, q) => sum + (q.points || 1), 0),
-        },
+    await recordAudit(req, {
+      action: 'questionset.add_batch',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      before: {
+        questionCount: questionSet.questionCount,
+        totalPoints: questionSet.totalPoints,
       },
-      include: {
-        questions: {
-          where: { batchNumber: nextBatchNumber },
-          orderBy: { orderNum: 'asc' },
-        },
+      after: {
+        questionCount: updatedQuestionSet.questionCount,
+        totalPoints: updatedQuestionSet.totalPoints,
+      },
+      metadata: {
+        batchNumber: nextBatchNumber,
+        questionIds: updatedQuestionSet.questions.map((q) => q.id),
       },
     });
 
@@ -106,10 +123,268 @@ router.post('/:id/questions/batch', verifyAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/questionset/:id/questions/import
+// @desc    Import questions from a CSV/Excel file as a new batch (supports dry run)
+// @access  Private (Admin only)
+router.post('/:id/questions/import', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), (req, res) => {
+  const upload = req.app.get('upload');
+
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or Excel file',
+      });
+    }
+
+    try {
+      // Multipart fields arrive as strings
+      const dryRun = req.body.dryRun === 'true';
+      const skipInvalid = req.body.skipInvalid === 'true';
+      const batchTags = req.body.tags !== undefined ? parseTags(req.body.tags) : undefined;
+      const version = req.body.version?.trim() || undefined;
+
+      const questionSet = await prisma.questionSet.findUnique({
+        where: { id: req.params.id },
+      });
+
+      if (!questionSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question set not found',
+        });
+      }
+
+      const rows = readQuestionSheet(req.file);
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'File is empty or invalid format',
+        });
+      }
+
+      const { questions, errors } = parseQuestionRows(rows);
+
+      const report = {
+        totalRows: rows.length,
+        validRows: questions.length,
+        invalidRows: errors.length,
+        errors,
+      };
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          message: `${questions.length} of ${rows.length} rows are ready to import`,
+          report,
+          preview: questions,
+        });
+      }
+
+      if (errors.length > 0 && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          message: `${errors.length} row(s) are invalid. Fix them or set skipInvalid=true to import only the valid rows.`,
+          report,
+        });
+      }
+
+      if (questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid questions found in file',
+          report,
+        });
+      }
+
+      const { batchNumber, questionSet: updatedQuestionSet } = await createQuestionBatch(
+        questionSet.id,
+        questions,
+        { tags: batchTags, version },
+        req.admin.id,
+      );
+
+      await recordAudit(req, {
+        action: 'questionset.import_batch',
+        entityType: AUDIT_ENTITIES.QUESTION_SET,
+        entityId: questionSet.id,
+        before: {
+          questionCount: questionSet.questionCount,
+          totalPoints: questionSet.totalPoints,
+        },
+        after: {
+          questionCount: updatedQuestionSet.questionCount,
+          totalPoints: updatedQuestionSet.totalPoints,
+        },
+        metadata: {
+          batchNumber,
+          fileName: req.file.originalname,
+          importedRows: questions.length,
+          skippedRows: errors.length,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${questions.length} questions into batch ${batchNumber}`,
+        batchNumber,
+        report,
+        questionSet: updatedQuestionSet,
+      });
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+});
+
+// @route   POST /api/questionset/:id/questions/import-text
+// @desc    Import GIFT or Aiken questions as a new batch (file upload or { format, text } body; supports dry run)
+// @access  Private (Admin only)
+router.post('/:id/questions/import-text', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), (req, res) => {
+  const upload = req.app.get('upload');
+
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    try {
+      const text = req.file ? req.file.buffer.toString('utf-8') : req.body.text;
+      const extension = req.file?.originalname.split('.').pop().toLowerCase();
+      const format = (req.body.format || extension || '').toString().toLowerCase();
+      const dryRun = String(req.body.dryRun) === 'true';
+      const skipInvalid = String(req.body.skipInvalid) === 'true';
+      const batchTags = req.body.tags !== undefined ? parseTags(req.body.tags) : undefined;
+      const version = req.body.version?.toString().trim() || undefined;
+
+      if (!TEXT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be one of: ${TEXT_FORMATS.join(', ')}`,
+        });
+      }
+
+      if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload a file or provide the questions as text',
+        });
+      }
+
+      const questionSet = await prisma.questionSet.findUnique({
+        where: { id: req.params.id },
+      });
+
+      if (!questionSet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question set not found',
+        });
+      }
+
+      const { questions, errors } = parseTextQuestions(format, text);
+
+      const report = {
+        format,
+        totalQuestions: questions.length + errors.length,
+        validQuestions: questions.length,
+        invalidQuestions: errors.length,
+        errors,
+      };
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          message: `${questions.length} of ${report.totalQuestions} questions are ready to import`,
+          report,
+          preview: questions,
+        });
+      }
+
+      if (errors.length > 0 && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          message: `${errors.length} question(s) could not be parsed. Fix them or set skipInvalid=true to import only the valid questions.`,
+          report,
+        });
+      }
+
+      if (questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid questions found',
+          report,
+        });
+      }
+
+      const { batchNumber, questionSet: updatedQuestionSet } = await createQuestionBatch(
+        questionSet.id,
+        questions,
+        { tags: batchTags, version, additionalData: { source: format } },
+        req.admin.id,
+      );
+
+      await recordAudit(req, {
+        action: 'questionset.import_text',
+        entityType: AUDIT_ENTITIES.QUESTION_SET,
+        entityId: questionSet.id,
+        before: {
+          questionCount: questionSet.questionCount,
+          totalPoints: questionSet.totalPoints,
+        },
+        after: {
+          questionCount: updatedQuestionSet.questionCount,
+          totalPoints: updatedQuestionSet.totalPoints,
+        },
+        metadata: {
+          batchNumber,
+          format,
+          fileName: req.file?.originalname || null,
+          importedQuestions: questions.length,
+          skippedQuestions: errors.length,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${questions.length} questions into batch ${batchNumber}`,
+        batchNumber,
+        report,
+        questionSet: updatedQuestionSet,
+      });
+    } catch (error) {
+      console.error('Error importing text questions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+});
+
 // @route   GET /api/questionset/:id/questions/filter
-// @desc    Get questions with filtering options
+// @desc    Get questions with filtering options (topicId includes the topic's subtopics)
 // @access  Private (Admin only)
-router.get('/:id/questions/filter', verifyAdmin, async (req, res) => {
+router.get('/:id/questions/filter', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
   try {
     const {
       batch,
@@ -118,55 +393,28 @@ router.get('/:id/questions/filter', verifyAdmin, async (req, res) => {
       dateFrom,
       dateTo,
       archived,
+      status,
+      topicId,
     } = req.query;
 
-    // Build where clause
-    const where = {
-      questionSetId: req.params.id,
-    };
-
-    if (batch) {
-      where.batchNumber = parseInt(batch);
-    }
-
-    if (version) {
-      where.version = version;
-    }
-
-    if (dateFrom || dateTo) {
-      where.addedDate = {};
-      if (dateFrom) where.addedDate.gte = new Date(dateFrom);
-      if (dateTo) where.addedDate.lte = new Date(dateTo);
-    }
-
-    if (archived !== undefined) {
-      where.isArchived = archived === 'true';
-    }
+    const topicIds = topicId ? await getTopicScopeIds(topicId) : null;
 
-    // Handle tag filtering with raw query (for JSON contains)
-    let questions;
-    if (tags) {
-      const tagArray = tags.split(',').map(t => t.trim());
-      questions = await prisma.$queryRaw`
-        SELECT * FROM questions
-        WHERE question_set_id = ${req.params.id}::uuid
-        ${batch ? prisma.sql`AND batch_number = ${parseInt(batch)}` : prisma.sql``}
-        ${version ? prisma.sql`AND version = ${version}` : prisma.sql``}
-        ${archived !== undefined ? prisma.sql`AND is_archived = ${archived === 'true'}` : prisma.sql``}
-        AND tags @> ${JSON.stringify(tagArray)}::jsonb
-        ORDER BY order_num ASC
-      `;
-    } else {
-      questions = await prisma.question.findMany({
-        where,
-        orderBy: { orderNum: 'asc' },
+    if (topicIds?.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
       });
     }
 
+    const questions = await prisma.question.findMany({
+      where: buildQuestionFilter(req.params.id, req.query, topicIds),
+      orderBy: { orderNum: 'asc' },
+    });
+
     res.json({
       success: true,
       count: questions.length,
-      filters: { batch, version, tags, dateFrom, dateTo, archived },
+      filters: { batch, version, tags, dateFrom, dateTo, archived, status, topicId },
       questions,
     });
   } catch (error) {
@@ -179,34 +427,113 @@ router.get('/:id/questions/filter', verifyAdmin, async (req, res) => {
   }
 });
 
-// @route   GET /api/questionset/:id/batches
-// @desc    Get list of all batches in a question set
+// Spreadsheets are built in memory, so they are capped; CSV and JSON stream any size
+const MAX_XLSX_EXPORT_QUESTIONS = parseInt(process.env.MAX_XLSX_EXPORT_QUESTIONS) || 5000;
+
+// @route   GET /api/questionset/:id/questions/export
+// @desc    Export questions as XLSX, CSV or JSON in the import format (same filters as /questions/filter);
+//          CSV and JSON stream page by page, XLSX is capped at MAX_XLSX_EXPORT_QUESTIONS
 // @access  Private (Admin only)
-router.get('/:id/batches', verifyAdmin, async (req, res) => {
+router.get('/:id/questions/export', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
   try {
-    const batches = await prisma.$queryRaw`
-      SELECT 
-        batch_number,
-        version,
-        COUNT(*)::int as question_count,
-        SUM(points)::int as total_points,
-        MIN(added_date) as first_added,
-        MAX(added_date) as last_added,
-        array_agg(DISTINCT tag) FILTER (WHERE tag IS NOT NULL) as all_tags
-      FROM questions,
-        jsonb_array_elements_text(tags) as tag
-      WHERE question_set_id = ${req.params.id}::uuid
-      AND is_archived = false
-      GROUP BY batch_number, version
-      ORDER BY batch_number DESC
-    `;
+    const format = (req.query.format || 'xlsx').toLowerCase();
+    const includeAnswers = req.query.includeAnswers !== 'false';
 
-    res.json({
-      success: true,
-      batches,
+    if (!['xlsx', 'csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be one of: xlsx, csv, json',
+      });
+    }
+
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true },
     });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const topicIds = req.query.topicId ? await getTopicScopeIds(req.query.topicId) : null;
+
+    if (topicIds?.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
+      });
+    }
+
+    const where = buildQuestionFilter(questionSet.id, req.query, topicIds);
+    const fileName = `${exportFileBaseName(questionSet.title)}-questions.${format}`;
+
+    // Spreadsheets can't be streamed, so only CSV and JSON suit very large exports
+    if (format === 'xlsx') {
+      const total = await prisma.question.count({ where });
+
+      if (total > MAX_XLSX_EXPORT_QUESTIONS) {
+        return res.status(400).json({
+          success: false,
+          message: `XLSX exports are limited to ${MAX_XLSX_EXPORT_QUESTIONS} questions (${total} match). Use format=csv or format=json, or narrow the filters.`,
+        });
+      }
+
+      const rows = [];
+      for await (const page of questionPages(where)) {
+        rows.push(...page.map((q) => toQuestionRow(q, { includeAnswers })));
+      }
+
+      const worksheet = XLSX.utils.json_to_sheet(rows, { header: QUESTION_SHEET_COLUMNS });
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Questions');
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+      return res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    }
+
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+
+    if (format === 'json') {
+      const header = JSON.stringify({ questionSet, exportedAt: new Date(), includeAnswers });
+      await writeChunk(res, `${header.slice(0, -1)},"questions":[\n`);
+    } else {
+      await writeChunk(res, `${Papa.unparse([QUESTION_SHEET_COLUMNS])}\r\n`);
+    }
+
+    let first = true;
+    for await (const page of questionPages(where)) {
+      if (res.destroyed) return;
+
+      const chunk = format === 'json'
+        ? page.map((q) => JSON.stringify({
+          type: q.type,
+          question: q.question,
+          options: q.options || [],
+          correctAnswer: includeAnswers ? q.correctAnswer ?? null : null,
+          points: q.points,
+          tags: q.tags || [],
+          explanation: includeAnswers ? q.explanation ?? null : null,
+        })).join(',\n')
+        : Papa.unparse(page.map((q) => toQuestionRow(q, { includeAnswers })), { columns: QUESTION_SHEET_COLUMNS, header: false });
+
+      await writeChunk(res, format === 'json' ? `${first ? '' : ',\n'}${chunk}` : `${chunk}\r\n`);
+      first = false;
+    }
+
+    res.end(format === 'json' ? '\n]}\n' : '');
   } catch (error) {
-    console.error('Error fetching batches:', error);
+    console.error('Error exporting questions:', error);
+
+    // Part of the file is already sent; cut the download short rather than append JSON to it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -215,24 +542,51 @@ router.get('/:id/batches', verifyAdmin, async (req, res) => {
   }
 });
 
-// @route   PATCH /api/questionset/:id/questions/:questionId/archive
-// @desc    Archive/unarchive a question
+// @route   GET /api/questionset/:id/export/qti
+// @desc    Export a question set as a QTI 2.1 content package (zip); types without a QTI mapping
+//          are refused unless ?skipUnsupported=true, which leaves them out
 // @access  Private (Admin only)
-router.patch('/:id/questions/:questionId/archive', verifyAdmin, async (req, res) => {
+router.get('/:id/export/qti', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
   try {
-    const { archive } = req.body; // true to archive, false to unarchive
-
-    const question = await prisma.question.update({
-      where: { id: req.params.questionId },
-      data: { isArchived: archive === true },
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true },
     });
 
-    res.json({
-      success: true,
-      message: `Question ${archive ? 'archived' : 'unarchived'} successfully`,
-      question,
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const skipUnsupported = req.query.skipUnsupported === 'true';
+
+    const allQuestions = await prisma.question.findMany({
+      where: { questionSetId: questionSet.id, isArchived: false },
+      orderBy: { orderNum: 'asc' },
     });
+
+    const questions = allQuestions.filter((q) => QTI_EXPORT_TYPES.includes(q.type));
+    const unsupported = allQuestions
+      .filter((q) => !QTI_EXPORT_TYPES.includes(q.type))
+      .map((q) => ({ questionId: q.id, orderNum: q.orderNum, type: q.type }));
+
+    if (unsupported.length > 0 && !skipUnsupported) {
+      return res.status(400).json({
+        success: false,
+        message: `${unsupported.length} question(s) have types QTI export doesn't support (${QTI_EXPORT_TYPES.join(', ')} only). Set skipUnsupported=true to export the rest.`,
+        unsupported,
+      });
+    }
+
+    const zip = buildQtiPackage(questionSet, questions);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=${exportFileBaseName(questionSet.title)}-qti.zip`);
+    res.send(zip);
   } catch (error) {
+    console.error('Error exporting QTI package:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -241,30 +595,199 @@ router.patch('/:id/questions/:questionId/archive', verifyAdmin, async (req, res)
   }
 });
 
-// @route   PUT /api/questionset/:id/questions/:questionId/metadata
-// @desc    Update question metadata (tags, version, etc.)
+// @route   POST /api/questionset/qti/import
+// @desc    Import a QTI 2.1 content package into a new or existing question set (supports dry run)
+// @access  Private (Admin only)
+router.post('/qti/import', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), (req, res) => {
+  const upload = req.app.get('upload');
+
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a QTI package (zip)',
+      });
+    }
+
+    try {
+      const { questionSetId, title } = req.body;
+      const dryRun = req.body.dryRun === 'true';
+      const skipInvalid = req.body.skipInvalid === 'true';
+
+      let questionSet = null;
+      if (questionSetId) {
+        questionSet = await prisma.questionSet.findUnique({
+          where: { id: questionSetId },
+        });
+
+        if (!questionSet) {
+          return res.status(404).json({
+            success: false,
+            message: 'Question set not found',
+          });
+        }
+      }
+
+      const { title: packageTitle, totalItems, questions, errors } = readQtiPackage(req.file.buffer);
+
+      const report = {
+        totalItems,
+        mappedItems: questions.length,
+        unmappedItems: totalItems - questions.length,
+        errors,
+      };
+
+      if (totalItems === 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors[0]?.errors[0] || 'Package contains no items',
+          report,
+        });
+      }
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          message: `${questions.length} of ${totalItems} items can be imported`,
+          report,
+          preview: questions,
+        });
+      }
+
+      if (errors.length > 0 && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          message: `${errors.length} item(s) could not be mapped. Fix them or set skipInvalid=true to import only the mapped items.`,
+          report,
+        });
+      }
+
+      if (questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No importable items found in package',
+          report,
+        });
+      }
+
+      const questionData = questions.map(({ file, identifier, ...question }) => ({
+        ...question,
+        tags: ['qti-import'],
+        metadata: { source: 'qti', file, identifier },
+      }));
+
+      let result;
+      let batchNumber = null;
+
+      if (questionSet) {
+        ({ batchNumber, questionSet: result } = await createQuestionBatch(
+          questionSet.id,
+          questionData,
+          { tags: ['qti-import'], additionalData: { source: 'qti', fileName: req.file.originalname } },
+          req.admin.id,
+        ));
+      } else {
+        const setTitle = title?.trim() || packageTitle || req.file.originalname.replace(/\.zip$/i, '');
+        result = await createQuestionSet(req.admin.id, setTitle, questionData);
+      }
+
+      await recordAudit(req, {
+        action: 'questionset.import_qti',
+        entityType: AUDIT_ENTITIES.QUESTION_SET,
+        entityId: result.id,
+        before: questionSet && {
+          questionCount: questionSet.questionCount,
+          totalPoints: questionSet.totalPoints,
+        },
+        after: {
+          questionCount: result.questionCount,
+          totalPoints: result.totalPoints,
+        },
+        metadata: {
+          createdSet: !questionSet,
+          batchNumber,
+          fileName: req.file.originalname,
+          importedItems: questions.length,
+          skippedItems: errors.length,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${questions.length} of ${totalItems} QTI items`,
+        batchNumber,
+        report,
+        questionSet: result,
+      });
+    } catch (error) {
+      console.error('Error importing QTI package:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+});
+
+// @route   GET /api/questionset/:id/duplicates
+// @desc    Find exact and near-duplicate questions within this set (scope=set) or against every set (scope=all)
 // @access  Private (Admin only)
-router.put('/:id/questions/:questionId/metadata', verifyAdmin, async (req, res) => {
+router.get('/:id/duplicates', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
   try {
-    const { tags, batchNumber, version, metadata } = req.body;
+    const scope = req.query.scope === 'all' ? 'all' : 'set';
+    const includeArchived = req.query.includeArchived === 'true';
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_THRESHOLD;
 
-    const updateData = {};
-    if (tags !== undefined) updateData.tags = tags;
-    if (batchNumber !== undefined) updateData.batchNumber = batchNumber;
-    if (version !== undefined) updateData.version = version;
-    if (metadata !== undefined) updateData.metadata = metadata;
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Threshold must be a number between 0 and 1',
+      });
+    }
 
-    const question = await prisma.question.update({
-      where: { id: req.params.questionId },
-      data: updateData,
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const questions = await loadQuestionsForScan({
+      questionSetIds: scope === 'set' ? [questionSet.id] : undefined,
+      includeArchived,
     });
 
+    const focusIds = questions
+      .filter((q) => q.questionSetId === questionSet.id)
+      .map((q) => q.id);
+
+    const clusters = findDuplicateClusters(questions, { threshold, focusIds });
+
     res.json({
       success: true,
-      message: 'Question metadata updated successfully',
-      question,
+      scope,
+      threshold,
+      scannedQuestions: questions.length,
+      clusterCount: clusters.length,
+      duplicateQuestionCount: clusters.reduce((sum, c) => sum + c.size - 1, 0),
+      clusters,
     });
   } catch (error) {
+    console.error('Error detecting duplicate questions:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -273,545 +796,2286 @@ router.put('/:id/questions/:questionId/metadata', verifyAdmin, async (req, res)
   }
 });
 
-module.exports = router;
+// @route   POST /api/questionset/duplicates/resolve
+// @desc    Resolve a duplicate cluster: archive the duplicates, or also move their quiz copies,
+//          reviewer comments, tags and topic onto the kept question (merge)
+// @access  Private (Admin only)
+router.post('/duplicates/resolve', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { keepQuestionId, duplicateQuestionIds, action = 'archive' } = req.body;
+
+    if (!['archive', 'merge'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: "Action must be 'archive' or 'merge'",
+      });
+    }
+
+    if (!keepQuestionId || !Array.isArray(duplicateQuestionIds) || duplicateQuestionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'keepQuestionId and a non-empty duplicateQuestionIds array are required',
+      });
+    }
+
+    const duplicateIds = [...new Set(duplicateQuestionIds)];
+
+    if (duplicateIds.includes(keepQuestionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The kept question cannot also be listed as a duplicate',
+      });
+    }
 
+    const [keepQuestion, duplicates] = await Promise.all([
+      prisma.question.findUnique({ where: { id: keepQuestionId } }),
+      prisma.question.findMany({ where: { id: { in: duplicateIds } } }),
+    ]);
 
-// const express = require("express");
-// const router = express.Router();
-// const { verifyAdmin } = require("../middleware/auth");
-// const prisma = require("../utils/database");
-
-// // @route   POST /api/questionset/bulk-upload
-// // @desc    Create a new question set via bulk upload (Excel/CSV)
-// // @access  Private (Admin only)
-// router.post("/bulk-upload", verifyAdmin, async (req, res) => {
-//   const upload = req.app.get("upload");
-
-//   upload.single("file")(req, res, async (err) => {
-//     if (err) {
-//       return res.status(400).json({
-//         success: false,
-//         message: err.message,
-//       });
-//     }
-
-//     if (!req.file) {
-//       return res.status(400).json({
-//         success: false,
-//         message: "Please upload a CSV or Excel file",
-//       });
-//     }
-
-//     try {
-//       // Get title from form data
-//       const title = req.body.title?.trim();
-
-//       if (!title) {
-//         return res.status(400).json({
-//           success: false,
-//           message: "Question set title is required",
-//         });
-//       }
-
-//       let questions = [];
-//       const fileBuffer = req.file.buffer;
-//       const mimetype = req.file.mimetype;
-
-//       // Parse CSV file
-//       if (mimetype === "text/csv") {
-//         const Papa = require("papaparse");
-//         const csvString = fileBuffer.toString("utf-8");
-
-//         const result = Papa.parse(csvString, {
-//           header: true,
-//           skipEmptyLines: true,
-//           transformHeader: (header) => header.trim().toLowerCase(),
-//         });
-
-//         if (result.errors.length > 0) {
-//           return res.status(400).json({
-//             success: false,
-//             message: "Error parsing CSV file",
-//             errors: result.errors,
-//           });
-//         }
-
-//         questions = parseQuestions(result.data);
-//       }
-//       // Parse Excel file
-//       else {
-//         const XLSX = require("node-xlsx");
-//         const workbook = XLSX.read(fileBuffer, { type: "buffer" });
-//         const sheetName = workbook.SheetNames[0];
-//         const worksheet = workbook.Sheets[sheetName];
-//         const data = XLSX.utils.sheet_to_json(worksheet, {
-//           raw: false,
-//           defval: "",
-//         });
-
-//         // Normalize headers
-//         const normalizedData = data.map((row) => {
-//           const normalizedRow = {};
-//           Object.keys(row).forEach((key) => {
-//             normalizedRow[key.trim().toLowerCase()] = row[key];
-//           });
-//           return normalizedRow;
-//         });
-
-//         questions = parseQuestions(normalizedData);
-//       }
-
-//       if (questions.length === 0) {
-//         return res.status(400).json({
-//           success: false,
-//           message: "No valid questions found in file",
-//         });
-//       }
-
-//       // Create question set
-//       const questionSet = new QuestionSet({
-//         title,
-//         questions,
-//         createdBy: req.admin._id,
-//       });
-
-//       await questionSet.save();
-
-//       res.status(201).json({
-//         success: true,
-//         message: `Question set created successfully with ${questions.length} questions`,
-//         questionSet,
-//       });
-//     } catch (error) {
-//       res.status(500).json({
-//         success: false,
-//         message: "Server error",
-//         error: error.message,
-//       });
-//     }
-//   });
-// });
-
-// // @route   GET /api/questionset
-// // @desc    Get all question sets
-// // @access  Private (Admin only)
-// router.get("/", async (req, res) => {
-//   try {
-//     const { isActive, search } = req.query;
-
-//     const where = {};
-//     if (isActive !== undefined) where.isActive = isActive === "true";
-//     if (search) {
-//       where.title = {
-//         contains: search,
-//         mode: "insensitive",
-//       };
-//     }
-
-//     const questionSets = await prisma.questionSet.findMany({
-//       where,
-//       include: {
-//         createdBy: {
-//           select: { id: true, email: true },
-//         },
-//         _count: {
-//           select: { questions: true },
-//         },
-//       },
-//       orderBy: {
-//         createdAt: "desc",
-//       },
-//     });
-
-//     res.json({
-//       success: true,
-//       count: questionSets.length,
-//       questionSets,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   GET /api/questionset/:id
-// // @desc    Get single question set by ID
-// // @access  Private (Admin only)
-// router.get("/:id", verifyAdmin, async (req, res) => {
-//   try {
-//     const questionSet = await prisma.questionSet.findUnique({
-//       where: { id: req.params.id },
-//       include: {
-//         createdBy: {
-//           select: { email: true },
-//         },
-//         questions: {
-//           orderBy: { orderNum: 'asc'}
-//         }
-//       },
-//     });
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-
-//     res.json({
-//       success: true,
-//       questionSet,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   PUT /api/questionset/:id
-// // @desc    Update question set
-// // @access  Private (Admin only)
-// router.put("/:id", verifyAdmin, async (req, res) => {
-//   try {
-//     const { title, questions, isActive } = req.body;
-
-//     const questionSet = await prisma.questionSet.update({
-//       where: { id: req.params.id },
-//       data: {
-//         title,
-//         questions,
-//         isActive,
-//       },
-//     });
-
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-//     res.json({
-//       success: true,
-//       message: "Question set updated successfully",
-//       questionSet,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   DELETE /api/questionset/:id
-// // @desc    Delete question set
-// // @access  Private (Admin only)
-// router.delete("/:id", verifyAdmin, async (req, res) => {
-//   try {
-//     const questionSet = await QuestionSet.findById(req.params.id);
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-
-//     // Check if question set is being used in any quiz
-//     const Quiz = require("../models/Quiz");
-//     const quizzesUsingSet = await Quiz.countDocuments({
-//       "questionSets.questionSetId": req.params.id,
-//     });
-
-//     if (quizzesUsingSet > 0) {
-//       return res.status(400).json({
-//         success: false,
-//         message: `Cannot delete question set. It is being used in ${quizzesUsingSet} quiz(zes). Please remove it from those quizzes first or deactivate it instead.`,
-//       });
-//     }
-
-//     await questionSet.deleteOne();
-
-//     res.json({
-//       success: true,
-//       message: "Question set deleted successfully",
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   PATCH /api/questionset/:id/toggle-active
-// // @desc    Toggle question set active status
-// // @access  Private (Admin only)
-// router.patch("/:id/toggle-active", verifyAdmin, async (req, res) => {
-//   try {
-//     const questionSet = await QuestionSet.findById(req.params.id);
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-
-//     questionSet.isActive = !questionSet.isActive;
-//     await questionSet.save();
-
-//     res.json({
-//       success: true,
-//       message: `Question set ${questionSet.isActive ? "activated" : "deactivated"} successfully`,
-//       questionSet,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   POST /api/questionset/:id/questions
-// // @desc    Add questions to existing question set
-// // @access  Private (Admin only)
-// router.post("/:id/questions", verifyAdmin, async (req, res) => {
-//   try {
-//     const { questions } = req.body;
-
-//     if (!questions || !Array.isArray(questions)) {
-//       return res.status(400).json({
-//         success: false,
-//         message: "Questions array is required",
-//       });
-//     }
-
-//     const questionSet = await QuestionSet.findById(req.params.id);
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-
-//     // Add new questions with proper order
-//     const startOrder = questionSet.questions.length;
-//     questions.forEach((q, index) => {
-//       q.order = startOrder + index + 1;
-//     });
-
-//     questionSet.questions.push(...questions);
-//     await questionSet.save();
-
-//     res.json({
-//       success: true,
-//       message: "Questions added successfully",
-//       questionSet,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   PUT /api/questionset/:id/questions/:questionId
-// // @desc    Update a specific question in a question set
-// // @access  Private (Admin only)
-// router.put("/:id/questions/:questionId", verifyAdmin, async (req, res) => {
-//   try {
-//     const questionSet = await QuestionSet.findById(req.params.id);
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-
-//     const question = questionSet.questions.id(req.params.questionId);
-
-//     if (!question) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question not found",
-//       });
-//     }
-
-//     // Update question fields
-//     Object.assign(question, req.body);
-//     await questionSet.save();
-
-//     res.json({
-//       success: true,
-//       message: "Question updated successfully",
-//       questionSet,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   DELETE /api/questionset/:id/questions/:questionId
-// // @desc    Delete a specific question from a question set
-// // @access  Private (Admin only)
-// router.delete("/:id/questions/:questionId", verifyAdmin, async (req, res) => {
-//   try {
-//     const questionSet = await QuestionSet.findById(req.params.id);
-
-//     if (!questionSet) {
-//       return res.status(404).json({
-//         success: false,
-//         message: "Question set not found",
-//       });
-//     }
-
-//     questionSet.questions.pull(req.params.questionId);
-//     await questionSet.save();
-
-//     res.json({
-//       success: true,
-//       message: "Question deleted successfully",
-//       questionSet,
-//     });
-//   } catch (error) {
-//     res.status(500).json({
-//       success: false,
-//       message: "Server error",
-//       error: error.message,
-//     });
-//   }
-// });
-
-// // @route   GET /api/questionset/template/download
-// // @desc    Download CSV template for bulk upload
-// // @access  Private (Admin only)
-// router.get("/template/download", verifyAdmin, (req, res) => {
-//   const csvTemplate = `type,question,options,correctanswer,points
-// multiple-choice,What is 2+2?,1|2|3|4,4,1
-// true-false,JavaScript is a programming language,,true,1
-// essay,Explain the concept of closures in JavaScript,,,5
-// fill-in-the-blanks,The capital of France is ____,,Paris,1`;
-
-//   res.setHeader("Content-Type", "text/csv");
-//   res.setHeader(
-//     "Content-Disposition",
-//     "attachment; filename=questionset-template.csv",
-//   );
-//   res.send(csvTemplate);
-// });
-
-// // Helper function to parse questions from data
-// function parseQuestions(data) {
-//   const questions = [];
-//   const validTypes = [
-//     "multiple-choice",
-//     "essay",
-//     "true-false",
-//     "fill-in-the-blanks",
-//   ];
-
-//   data.forEach((row, index) => {
-//     try {
-//       const type = row.type?.trim().toLowerCase();
-//       const question = row.question?.trim();
-//       const points = parseInt(row.points) || 1;
-
-//       // Validate required fields
-//       if (!type || !question) {
-//         console.warn(`Skipping row ${index + 1}: Missing type or question`);
-//         return;
-//       }
-
-//       if (!validTypes.includes(type)) {
-//         console.warn(
-//           `Skipping row ${index + 1}: Invalid question type '${type}'`,
-//         );
-//         return;
-//       }
-
-//       const questionObj = {
-//         type,
-//         question,
-//         points,
-//         order: index + 1,
-//       };
-
-//       // Handle different question types
-//       if (type === "multiple-choice") {
-//         const optionsStr = row.options?.trim();
-//         if (!optionsStr) {
-//           console.warn(
-//             `Skipping row ${index + 1}: Multiple choice requires options`,
-//           );
-//           return;
-//         }
-
-//         questionObj.options = optionsStr
-//           .split("|")
-//           .map((opt) => opt.trim())
-//           .filter((opt) => opt);
-//         questionObj.correctAnswer =
-//           row.correctanswer?.trim() || row["correct answer"]?.trim();
-
-//         if (!questionObj.correctAnswer) {
-//           console.warn(`Skipping row ${index + 1}: Missing correct answer`);
-//           return;
-//         }
-//       } else if (type === "true-false") {
-//         const answer = (
-//           row.correctanswer?.trim() || row["correct answer"]?.trim()
-//         )?.toLowerCase();
-
-//         if (answer === "true" || answer === "t" || answer === "1") {
-//           questionObj.correctAnswer = true;
-//         } else if (answer === "false" || answer === "f" || answer === "0") {
-//           questionObj.correctAnswer = false;
-//         } else {
-//           console.warn(
-//             `Skipping row ${index + 1}: True/False requires 'true' or 'false' answer`,
-//           );
-//           return;
-//         }
-//       } else if (type === "fill-in-the-blanks") {
-//         questionObj.correctAnswer =
-//           row.correctanswer?.trim() || row["correct answer"]?.trim();
-
-//         if (!questionObj.correctAnswer) {
-//           console.warn(`Skipping row ${index + 1}: Missing correct answer`);
-//           return;
-//         }
-//       } else if (type === "essay") {
-//         questionObj.correctAnswer =
-//           row.correctanswer?.trim() || row["correct answer"]?.trim() || "";
-//       }
-
-//       questions.push(questionObj);
-//     } catch (error) {
-//       console.error(`Error parsing row ${index + 1}:`, error.message);
-//     }
-//   });
-
-//   return questions;
-// }
-
-// module.exports = router;
+    if (!keepQuestion || duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more questions not found',
+      });
+    }
+
+    const resolvedAt = new Date().toISOString();
+
+    const result = await prisma.$transaction(async (tx) => {
+      for (const duplicate of duplicates) {
+        await tx.question.update({
+          where: { id: duplicate.id },
+          data: {
+            isArchived: true,
+            metadata: {
+              ...duplicate.metadata,
+              duplicateOf: keepQuestion.id,
+              duplicateResolution: action,
+              duplicateResolvedAt: resolvedAt,
+              duplicateResolvedBy: req.admin.id,
+            },
+          },
+        });
+      }
+
+      let kept = keepQuestion;
+
+      // Merging moves what pointed at the duplicates onto the surviving question:
+      // quiz copies, reviewer discussion, tags and topic. Revisions, CBT answers and
+      // game history stay with the duplicates, which metadata.mergedFrom points to.
+      if (action === 'merge') {
+        await tx.quizQuestion.updateMany({
+          where: { originalQuestionId: { in: duplicateIds } },
+          data: { originalQuestionId: keepQuestion.id },
+        });
+
+        // Status-change entries stay behind; they describe the duplicate's own review
+        await tx.questionReviewComment.updateMany({
+          where: { questionId: { in: duplicateIds }, action: 'comment' },
+          data: { questionId: keepQuestion.id },
+        });
+
+        await tx.questionReviewComment.create({
+          data: {
+            questionId: keepQuestion.id,
+            authorId: req.admin.id,
+            action: 'merge',
+            body: `Merged duplicate(s) ${duplicateIds.join(', ')}`,
+          },
+        });
+
+        const tags = new Set(Array.isArray(keepQuestion.tags) ? keepQuestion.tags : []);
+        duplicates.forEach((d) => (Array.isArray(d.tags) ? d.tags : []).forEach((tag) => tags.add(tag)));
+        const mergedFrom = keepQuestion.metadata?.mergedFrom || [];
+        const topicId = keepQuestion.topicId || duplicates.find((d) => d.topicId)?.topicId || null;
+
+        kept = await tx.question.update({
+          where: { id: keepQuestion.id },
+          data: {
+            tags: [...tags],
+            topicId,
+            metadata: {
+              ...keepQuestion.metadata,
+              mergedFrom: [...new Set([...mergedFrom, ...duplicateIds])],
+            },
+          },
+        });
+      }
+
+      const affectedSetIds = [...new Set([keepQuestion.questionSetId, ...duplicates.map((d) => d.questionSetId)])];
+      for (const questionSetId of affectedSetIds) {
+        await recalculateQuestionSetTotals(tx, questionSetId);
+      }
+
+      return { kept, affectedSetIds };
+    });
+
+    await recordAudit(req, {
+      action: action === 'merge' ? 'question.merge_duplicates' : 'question.archive_duplicates',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: keepQuestion.id,
+      before: keepQuestion,
+      after: result.kept,
+      metadata: {
+        duplicateQuestionIds: duplicateIds,
+        questionSetIds: result.affectedSetIds,
+      },
+    });
+
+    await syncLegacyQuestions([keepQuestion.id, ...duplicateIds]);
+
+    res.json({
+      success: true,
+      message: `${duplicateIds.length} duplicate(s) ${action === 'merge' ? 'merged into' : 'archived in favour of'} the kept question`,
+      question: result.kept,
+      archivedQuestionIds: duplicateIds,
+      affectedQuestionSetIds: result.affectedSetIds,
+    });
+  } catch (error) {
+    console.error('Error resolving duplicate questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/item-analysis
+// @desc    Recompute item statistics (facility, discrimination, distractors, point-biserial) and store them on each question
+// @access  Private (Admin only)
+router.post('/:id/item-analysis', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const items = await runItemAnalysis(questionSet.id);
+    const summary = summarizeItemAnalysis(items);
+
+    await recordAudit(req, {
+      action: 'questionset.item_analysis',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      metadata: summary,
+    });
+
+    res.json({
+      success: true,
+      message: `Item analysis computed for ${summary.analysedCount} of ${summary.questionCount} questions`,
+      questionSet,
+      minResponses: MIN_RESPONSES,
+      summary,
+      items,
+    });
+  } catch (error) {
+    console.error('Error running item analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/:id/item-analysis
+// @desc    Get the stored item statistics of a question set (?recommendation=retire to list items to retire)
+// @access  Private (Admin only)
+router.get('/:id/item-analysis', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const { recommendation, includeArchived } = req.query;
+
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const questions = await prisma.question.findMany({
+      where: {
+        questionSetId: questionSet.id,
+        ...(includeArchived !== 'true' && { isArchived: false }),
+      },
+      orderBy: { orderNum: 'asc' },
+    });
+
+    const items = questions.map((q) => ({
+      questionId: q.id,
+      orderNum: q.orderNum,
+      type: q.type,
+      question: q.question,
+      isArchived: q.isArchived,
+      analysis: q.metadata?.itemAnalysis || null,
+    }));
+
+    res.json({
+      success: true,
+      questionSet,
+      minResponses: MIN_RESPONSES,
+      summary: summarizeItemAnalysis(items),
+      items: recommendation
+        ? items.filter((item) => item.analysis?.recommendation === recommendation)
+        : items,
+    });
+  } catch (error) {
+    console.error('Error fetching item analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/:id/batches
+// @desc    Get list of all batches in a question set
+// @access  Private (Admin only)
+router.get('/:id/batches', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const batches = await prisma.$queryRaw`
+      SELECT 
+        batch_number,
+        version,
+        COUNT(*)::int as question_count,
+        SUM(points)::int as total_points,
+        MIN(added_date) as first_added,
+        MAX(added_date) as last_added,
+        array_agg(DISTINCT tag) FILTER (WHERE tag IS NOT NULL) as all_tags
+      FROM questions,
+        jsonb_array_elements_text(tags) as tag
+      WHERE question_set_id = ${req.params.id}::uuid
+      AND is_archived = false
+      GROUP BY batch_number, version
+      ORDER BY batch_number DESC
+    `;
+
+    res.json({
+      success: true,
+      batches,
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/questionset/:id/questions/:questionId/archive
+// @desc    Archive/unarchive a question
+// @access  Private (Admin only)
+router.patch('/:id/questions/:questionId/archive', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { archive } = req.body; // true to archive, false to unarchive
+
+    const existingQuestion = await prisma.question.findUnique({
+      where: { id: req.params.questionId },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    // Archived questions don't count towards the set's totals
+    const question = await prisma.$transaction(async (tx) => {
+      const updated = await tx.question.update({
+        where: { id: req.params.questionId },
+        data: { isArchived: archive === true },
+      });
+
+      await recalculateQuestionSetTotals(tx, updated.questionSetId);
+
+      return updated;
+    });
+
+    await syncLegacyQuestions([question.id]);
+
+    await recordAudit(req, {
+      action: archive ? 'question.archive' : 'question.unarchive',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: question.id,
+      before: { isArchived: existingQuestion.isArchived },
+      after: { isArchived: question.isArchived },
+      metadata: { questionSetId: question.questionSetId },
+    });
+
+    res.json({
+      success: true,
+      message: `Question ${archive ? 'archived' : 'unarchived'} successfully`,
+      question,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/questionset/:id/questions/:questionId/metadata
+// @desc    Update question metadata (tags, version, etc.)
+// @access  Private (Admin only)
+router.put('/:id/questions/:questionId/metadata', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { tags, batchNumber, version, metadata } = req.body;
+
+    const updateData = {};
+    if (tags !== undefined) updateData.tags = parseTags(tags);
+    if (batchNumber !== undefined) updateData.batchNumber = batchNumber;
+    if (version !== undefined) updateData.version = version;
+    if (metadata !== undefined) updateData.metadata = metadata;
+
+    const existingQuestion = await prisma.question.findUnique({
+      where: { id: req.params.questionId },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const question = await prisma.question.update({
+      where: { id: req.params.questionId },
+      data: updateData,
+    });
+
+    await recordAudit(req, {
+      action: 'question.update_metadata',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: question.id,
+      before: existingQuestion,
+      after: question,
+      metadata: { questionSetId: question.questionSetId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Question metadata updated successfully',
+      question,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/questionset/:id/questions/topic
+// @desc    Link questions to a topic or subtopic (topicId: null unlinks them)
+// @access  Private (Admin only)
+router.patch('/:id/questions/topic', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { questionIds, topicId } = req.body;
+
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionIds must be a non-empty array',
+      });
+    }
+
+    if (topicId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'topicId is required (null to unlink)',
+      });
+    }
+
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    if (topicId) {
+      const topicError = checkQuestionTopic((await loadTopicIndex()).get(topicId), questionSet);
+
+      if (topicError) {
+        return res.status(400).json({
+          success: false,
+          message: topicError,
+        });
+      }
+    }
+
+    const questions = await prisma.question.findMany({
+      where: { id: { in: questionIds }, questionSetId: questionSet.id },
+      select: { id: true, topicId: true },
+    });
+
+    const foundIds = new Set(questions.map((q) => q.id));
+    const missing = questionIds.filter((id) => !foundIds.has(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some questions were not found in this question set',
+        questionIds: missing,
+      });
+    }
+
+    const result = await prisma.question.updateMany({
+      where: { id: { in: [...foundIds] } },
+      data: { topicId: topicId || null },
+    });
+
+    await recordAudit(req, {
+      action: 'question.link_topic',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      before: { topics: questions },
+      after: { topicId: topicId || null },
+      metadata: { questionCount: result.count },
+    });
+
+    res.json({
+      success: true,
+      message: topicId
+        ? `${result.count} question(s) linked to topic`
+        : `${result.count} question(s) unlinked from their topic`,
+      updatedCount: result.count,
+    });
+  } catch (error) {
+    console.error('Error linking questions to topic:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/review/queue
+// @desc    Questions waiting for review across all sets (?reviewerId=me for your own queue)
+// @access  Private (Admin only)
+router.get('/review/queue', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const { questionSetId } = req.query;
+    const reviewerId = req.query.reviewerId === 'me' ? req.admin.id : req.query.reviewerId;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const where = {
+      status: QUESTION_STATUS.IN_REVIEW,
+      isArchived: false,
+      ...(questionSetId && { questionSetId }),
+      ...(reviewerId && { reviewerId: reviewerId === 'none' ? null : reviewerId }),
+    };
+
+    const [questions, total] = await Promise.all([
+      prisma.question.findMany({
+        where,
+        include: {
+          questionSet: { select: { id: true, title: true } },
+          reviewer: { select: { id: true, email: true } },
+        },
+        orderBy: { updatedAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.question.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      count: questions.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      questions,
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/questions/review
+// @desc    Submit questions for review, or approve, reject or unpublish them (reviewers only)
+// @access  Private (Admin only)
+router.post('/:id/questions/review', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { questionIds, action, reviewerId } = req.body;
+    const comment = req.body.comment?.toString().trim() || null;
+
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionIds must be a non-empty array',
+      });
+    }
+
+    if (!REVIEW_TRANSITIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${Object.keys(REVIEW_TRANSITIONS).join(', ')}`,
+      });
+    }
+
+    if (REVIEWER_ACTIONS.includes(action) && !hasPermission(req.admin.role, PERMISSIONS.QUESTIONS_REVIEW)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${PERMISSIONS.QUESTIONS_REVIEW}`,
+      });
+    }
+
+    if (action === 'reject' && !comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'A comment explaining the rejection is required',
+      });
+    }
+
+    if (action === 'submit' && reviewerId) {
+      const reviewerError = await checkReviewer(reviewerId);
+
+      if (reviewerError) {
+        return res.status(400).json({
+          success: false,
+          message: reviewerError,
+        });
+      }
+    }
+
+    const questions = await prisma.question.findMany({
+      where: { id: { in: questionIds }, questionSetId: req.params.id },
+    });
+
+    const foundIds = new Set(questions.map((q) => q.id));
+    const missing = questionIds.filter((id) => !foundIds.has(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some questions were not found in this question set',
+        questionIds: missing,
+      });
+    }
+
+    const isSuperAdmin = req.admin.role === ROLES.SUPER_ADMIN;
+
+    // Whoever submitted a question for review can't also approve it
+    const selfSubmittedIds = new Set();
+    if (action === 'approve' && !isSuperAdmin) {
+      const latestSubmits = await prisma.questionReviewComment.findMany({
+        where: { questionId: { in: questionIds }, action: 'submit' },
+        orderBy: { createdAt: 'desc' },
+        distinct: ['questionId'],
+        select: { questionId: true, authorId: true },
+      });
+      latestSubmits
+        .filter((submit) => submit.authorId === req.admin.id)
+        .forEach((submit) => selfSubmittedIds.add(submit.questionId));
+    }
+
+    // An assigned reviewer owns the decision; super-admins can step in
+    const errors = questions
+      .map((question) => {
+        const error = checkReviewTransition(question, action)
+          || (['approve', 'reject'].includes(action)
+            && question.reviewerId
+            && question.reviewerId !== req.admin.id
+            && !isSuperAdmin
+            && 'Question is assigned to another reviewer')
+          || (selfSubmittedIds.has(question.id)
+            && 'You submitted this question for review, so someone else must approve it');
+        return error ? { questionId: question.id, error } : null;
+      })
+      .filter(Boolean);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some questions cannot be moved',
+        errors,
+      });
+    }
+
+    await prisma.$transaction((tx) => applyReviewAction(tx, questions, action, {
+      authorId: req.admin.id,
+      body: comment,
+      reviewerId,
+    }));
+
+    await syncLegacyQuestions(questions.map((q) => q.id));
+
+    await recordAudit(req, {
+      action: `question.review_${action}`,
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: req.params.id,
+      before: { questions: questions.map((q) => ({ id: q.id, status: q.status })) },
+      metadata: { questionCount: questions.length, comment, ...(reviewerId && { reviewerId }) },
+    });
+
+    res.json({
+      success: true,
+      message: `${questions.length} question(s) ${REVIEW_ACTION_LABELS[action]}`,
+      updatedCount: questions.length,
+    });
+  } catch (error) {
+    console.error('Error reviewing questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset
+// @desc    Create a question set, optionally with its first questions
+// @access  Private (Admin only)
+router.post('/', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { title, questions = [] } = req.body;
+
+    if (!title?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question set title is required',
+      });
+    }
+
+    if (!Array.isArray(questions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions must be an array',
+      });
+    }
+
+    const invalid = [];
+    const validQuestions = [];
+
+    questions.forEach((q, index) => {
+      const { data, errors } = validateQuestion(q);
+      if (errors.length > 0) {
+        invalid.push({ index, errors });
+      } else {
+        validQuestions.push({ ...data, tags: parseTags(q.tags), metadata: q.metadata });
+      }
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some questions are invalid',
+        errors: invalid,
+      });
+    }
+
+    const questionSet = await createQuestionSet(req.admin.id, title.trim(), validQuestions);
+
+    await recordAudit(req, {
+      action: 'questionset.create',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      after: { ...questionSet, questions: undefined },
+      metadata: { questionCount: validQuestions.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Question set created successfully with ${validQuestions.length} questions`,
+      questionSet,
+    });
+  } catch (error) {
+    console.error('Error creating question set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/bulk-upload
+// @desc    Create a new question set via bulk upload (Excel/CSV)
+// @access  Private (Admin only)
+router.post('/bulk-upload', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), (req, res) => {
+  const upload = req.app.get('upload');
+
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or Excel file',
+      });
+    }
+
+    try {
+      const title = req.body.title?.trim();
+
+      if (!title) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question set title is required',
+        });
+      }
+
+      const rows = readQuestionSheet(req.file);
+      const { questions, errors } = parseQuestionRows(rows);
+
+      if (questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid questions found in file',
+          errors,
+        });
+      }
+
+      const questionSet = await createQuestionSet(req.admin.id, title, questions);
+
+      await recordAudit(req, {
+        action: 'questionset.create',
+        entityType: AUDIT_ENTITIES.QUESTION_SET,
+        entityId: questionSet.id,
+        after: { ...questionSet, questions: undefined },
+        metadata: {
+          source: 'bulk-upload',
+          fileName: req.file.originalname,
+          questionCount: questions.length,
+          skippedRows: errors.length,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Question set created successfully with ${questions.length} questions`,
+        questionSet,
+        skipped: errors,
+      });
+    } catch (error) {
+      console.error('Error uploading question set:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+});
+
+// @route   GET /api/questionset/template/download
+// @desc    Download CSV template for bulk upload and batch import
+// @access  Private (Admin only)
+router.get('/template/download', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), (req, res) => {
+  const csvTemplate = `type,question,options,correctanswer,points,tags,explanation,rules
+multiple-choice,What is 2+2?,1|2|3|4,4,1,arithmetic,Adding two and two gives four,
+true-false,JavaScript is a programming language,,true,1,,,
+essay,Explain the concept of closures in JavaScript,,,5,javascript|advanced,,
+fill-in-the-blanks,The capital of France is ____,,Paris,1,geography,,
+fill-in-the-blanks,____ is the capital of ____,,Paris||France|French Republic,2,geography,,
+fill-in-the-blanks,The chemical symbol for sodium is ____,,Na,1,chemistry,,caseSensitive=true
+multi-select,Which of these are prime numbers?,2|3|4|6,2|3,2,arithmetic,,
+matching,Match each country to its capital,Madrid,France=Paris|Germany=Berlin,2,geography,,
+ordering,Put these numbers in ascending order,3|1|2,1|2|3,1,arithmetic,,
+numeric,What is the value of pi to two decimal places?,,3.14±0.005,1,,,`;
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader(
+    'Content-Disposition',
+    'attachment; filename=questionset-template.csv',
+  );
+  res.send(csvTemplate);
+});
+
+// @route   GET /api/questionset
+// @desc    Get all question sets (?subjectId=none for sets without a subject)
+// @access  Private (Admin only)
+router.get('/', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const { isActive, search, subjectId } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+    if (subjectId) where.subjectId = subjectId === 'none' ? null : subjectId;
+    if (search) {
+      where.title = {
+        contains: search,
+        mode: 'insensitive',
+      };
+    }
+
+    const questionSets = await prisma.questionSet.findMany({
+      where,
+      include: {
+        createdBy: {
+          select: { id: true, email: true },
+        },
+        subject: {
+          select: { id: true, name: true },
+        },
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json({
+      success: true,
+      count: questionSets.length,
+      questionSets,
+    });
+  } catch (error) {
+    console.error('Error fetching question sets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/:id
+// @desc    Get single question set by ID
+// @access  Private (Admin only)
+router.get('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const { includeArchived } = req.query;
+
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      include: {
+        createdBy: {
+          select: { id: true, email: true },
+        },
+        subject: {
+          select: { id: true, name: true },
+        },
+        questions: {
+          where: includeArchived === 'true' ? {} : { isArchived: false },
+          orderBy: { orderNum: 'asc' },
+        },
+      },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      questionSet,
+    });
+  } catch (error) {
+    console.error('Error fetching question set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/questionset/:id
+// @desc    Update question set details: title, isActive, subjectId (questions have their own routes)
+// @access  Private (Admin only)
+router.put('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { title, isActive, subjectId } = req.body;
+
+    const existingQuestionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!existingQuestionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    if (title !== undefined && !title?.toString().trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question set title cannot be empty',
+      });
+    }
+
+    if (subjectId) {
+      const index = await loadTopicIndex();
+      const subject = index.get(subjectId);
+
+      if (subject?.level !== 'subject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Subject not found',
+        });
+      }
+
+      // Questions already linked to another subject's topics would break the hierarchy
+      const linkedTopicIds = await prisma.question.findMany({
+        where: { questionSetId: existingQuestionSet.id, topicId: { not: null } },
+        select: { topicId: true },
+        distinct: ['topicId'],
+      });
+      const outside = linkedTopicIds.filter(({ topicId }) => index.get(topicId)?.subjectId !== subjectId);
+
+      if (outside.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Some questions are linked to topics of another subject. Relink or unlink them first.',
+          topicIds: outside.map(({ topicId }) => topicId),
+        });
+      }
+    }
+
+    const questionSet = await prisma.questionSet.update({
+      where: { id: req.params.id },
+      data: {
+        ...(title !== undefined && { title: title.toString().trim() }),
+        ...(isActive !== undefined && { isActive: isActive === true }),
+        ...(subjectId !== undefined && { subjectId: subjectId || null }),
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'questionset.update',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      before: existingQuestionSet,
+      after: questionSet,
+    });
+
+    res.json({
+      success: true,
+      message: 'Question set updated successfully',
+      questionSet,
+    });
+  } catch (error) {
+    console.error('Error updating question set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/clone
+// @desc    Deep-copy a question set into a new one, optionally only questions matching batch/tags/version
+// @access  Private (Admin only)
+router.post('/:id/clone', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { title, batch, tags, version, includeArchived } = req.body;
+
+    const source = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    if (title !== undefined && !title?.toString().trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question set title cannot be empty',
+      });
+    }
+
+    const questions = await prisma.question.findMany({
+      where: buildQuestionFilter(source.id, {
+        batch,
+        version,
+        tags,
+        ...(includeArchived !== true && { archived: 'false' }),
+      }),
+      orderBy: { orderNum: 'asc' },
+    });
+
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions match the filters',
+      });
+    }
+
+    const questionSet = await cloneQuestionSet(source, questions, {
+      title: title?.toString().trim() || `${source.title} (copy)`,
+      adminId: req.admin.id,
+    });
+
+    await recordAudit(req, {
+      action: 'questionset.clone',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      after: { ...questionSet, questions: undefined },
+      metadata: {
+        sourceQuestionSetId: source.id,
+        questionCount: questions.length,
+        filters: { batch, tags, version, includeArchived },
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Question set cloned with ${questions.length} questions`,
+      questionSet,
+    });
+  } catch (error) {
+    console.error('Error cloning question set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/split
+// @desc    Move questions into new sets, one per batch or tag; unmatched questions stay behind
+// @access  Private (Admin only)
+router.post('/:id/split', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { by, values } = req.body;
+
+    if (!SPLIT_MODES.includes(by)) {
+      return res.status(400).json({
+        success: false,
+        message: `Split by must be one of: ${SPLIT_MODES.join(', ')}`,
+      });
+    }
+
+    if (values !== undefined && !Array.isArray(values)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Values must be an array',
+      });
+    }
+
+    if (by === 'tag' && !values?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'List the tags to split out in values',
+      });
+    }
+
+    const source = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+      include: { questions: { orderBy: { orderNum: 'asc' } } },
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const groups = groupQuestionsForSplit(source.questions, by, by === 'tag' ? parseTags(values) : values);
+
+    if (groups.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No questions match the ${by === 'tag' ? 'tags' : 'batches'} given`,
+      });
+    }
+
+    if (groups.length === 1 && groups[0].questions.length === source.questions.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every question falls in the same group, so there is nothing to split',
+      });
+    }
+
+    const result = await splitQuestionSet(
+      source,
+      groups.map((group) => ({
+        title: `${source.title} - ${by === 'batch' ? `Batch ${group.value ?? 'none'}` : group.value}`,
+        questions: group.questions,
+      })),
+      req.admin.id,
+    );
+
+    const { questions, ...before } = source;
+    await recordAudit(req, {
+      action: 'questionset.split',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: source.id,
+      before,
+      after: result.source,
+      metadata: {
+        by,
+        questionSets: result.questionSets.map((qs) => ({ id: qs.id, questionCount: qs.questionCount })),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Question set split into ${result.questionSets.length} new sets`,
+      source: result.source,
+      questionSets: result.questionSets,
+    });
+  } catch (error) {
+    console.error('Error splitting question set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/merge
+// @desc    Move all questions of other sets to the end of this one (sources are deactivated unless deactivateSources is false)
+// @access  Private (Admin only)
+router.post('/:id/merge', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { questionSetIds, deactivateSources = true } = req.body;
+
+    if (!Array.isArray(questionSetIds) || questionSetIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionSetIds must be a non-empty array',
+      });
+    }
+
+    const sourceIds = [...new Set(questionSetIds)];
+
+    if (sourceIds.includes(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A question set cannot be merged into itself',
+      });
+    }
+
+    const [target, found] = await Promise.all([
+      prisma.questionSet.findUnique({ where: { id: req.params.id } }),
+      prisma.questionSet.findMany({
+        where: { id: { in: sourceIds } },
+        include: { questions: { orderBy: { orderNum: 'asc' } } },
+      }),
+    ]);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const sources = sourceIds.map((id) => found.find((qs) => qs.id === id)).filter(Boolean);
+
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some question sets to merge were not found',
+        questionSetIds: sourceIds.filter((id) => !found.some((qs) => qs.id === id)),
+      });
+    }
+
+    // Topic links must stay inside the target's subject
+    if (target.subjectId) {
+      const index = await loadTopicIndex();
+      const conflicts = sources
+        .flatMap((source) => source.questions)
+        .filter((q) => q.topicId && checkQuestionTopic(index.get(q.topicId), target))
+        .map((q) => q.id);
+
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Some questions are linked to topics outside this set's subject. Relink or unlink them first.",
+          questionIds: conflicts,
+        });
+      }
+    }
+
+    const result = await mergeQuestionSets(target, sources, { deactivateSources: deactivateSources !== false });
+    const movedCount = sources.reduce((sum, source) => sum + source.questions.length, 0);
+
+    await recordAudit(req, {
+      action: 'questionset.merge',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: target.id,
+      before: target,
+      after: { ...result.questionSet, questions: undefined },
+      metadata: {
+        sourceQuestionSetIds: sourceIds,
+        questionCount: movedCount,
+        deactivateSources: deactivateSources !== false,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `${movedCount} questions merged from ${sources.length} question set(s)`,
+      questionSet: result.questionSet,
+      sources: result.sources,
+    });
+  } catch (error) {
+    console.error('Error merging question sets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/questionset/:id
+// @desc    Delete question set
+// @access  Private (Admin only)
+router.delete('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_DELETE), async (req, res) => {
+  try {
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    // Quizzes, students and past exams keep pointing at the set
+    const usage = await getQuestionSetUsage(questionSet.id);
+
+    if (usage.quizSnapshots > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete question set. It is being used in ${usage.quizSnapshots} quiz(zes). Please remove it from those quizzes first or deactivate it instead.`,
+        usage,
+      });
+    }
+
+    if (usage.quizTakers > 0 || usage.cbtSubmissions > 0 || usage.gameSessions > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete question set. It is assigned to students or has exam history. Deactivate it instead.',
+        usage,
+      });
+    }
+
+    const legacyQuestions = await prisma.question.findMany({
+      where: { questionSetId: questionSet.id, legacyId: { not: null } },
+      select: { legacyId: true },
+    });
+
+    // Questions are removed by cascade
+    await prisma.questionSet.delete({
+      where: { id: req.params.id },
+    });
+
+    await retireLegacyQuestions(legacyQuestions.map((q) => q.legacyId));
+
+    await recordAudit(req, {
+      action: 'questionset.delete',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      before: questionSet,
+    });
+
+    res.json({
+      success: true,
+      message: 'Question set deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting question set:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/questionset/:id/toggle-active
+// @desc    Toggle question set active status
+// @access  Private (Admin only)
+router.patch('/:id/toggle-active', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const existingQuestionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!existingQuestionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const questionSet = await prisma.questionSet.update({
+      where: { id: req.params.id },
+      data: { isActive: !existingQuestionSet.isActive },
+    });
+
+    await recordAudit(req, {
+      action: 'questionset.toggle_active',
+      entityType: AUDIT_ENTITIES.QUESTION_SET,
+      entityId: questionSet.id,
+      before: { isActive: existingQuestionSet.isActive },
+      after: { isActive: questionSet.isActive },
+    });
+
+    res.json({
+      success: true,
+      message: `Question set ${questionSet.isActive ? 'activated' : 'deactivated'} successfully`,
+      questionSet,
+    });
+  } catch (error) {
+    console.error('Error toggling question set status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/questions
+// @desc    Add a single question, at the end or at a given position
+// @access  Private (Admin only)
+router.post('/:id/questions', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { order, tags, version, metadata, explanationMediaId, topicId } = req.body;
+
+    const questionSet = await prisma.questionSet.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!questionSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question set not found',
+      });
+    }
+
+    const { data, errors } = validateQuestion(req.body);
+
+    if (order !== undefined && (!Number.isInteger(Number(order)) || Number(order) < 1)) {
+      errors.push('Order must be a positive whole number');
+    }
+
+    if (explanationMediaId && (await findMissingMediaIds([explanationMediaId])).length > 0) {
+      errors.push('Explanation media not found');
+    }
+
+    if (topicId) {
+      const topicError = checkQuestionTopic((await loadTopicIndex()).get(topicId), questionSet);
+      if (topicError) errors.push(topicError);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid question',
+        errors,
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const question = await tx.question.create({
+        data: {
+          ...data,
+          questionSetId: questionSet.id,
+          orderNum: await getNextOrderNum(tx, questionSet.id),
+          tags: parseTags(tags),
+          ...(version !== undefined && { version }),
+          metadata: metadata || null,
+          explanationMediaId: explanationMediaId || null,
+          topicId: topicId || null,
+        },
+      });
+
+      await recordInitialRevisions(tx, [question], req.admin.id);
+
+      // Slot it in at the requested position
+      if (order !== undefined) {
+        const others = await tx.question.findMany({
+          where: { questionSetId: questionSet.id, NOT: { id: question.id } },
+          orderBy: { orderNum: 'asc' },
+          select: { id: true },
+        });
+        const ids = others.map((q) => q.id);
+        ids.splice(Number(order) - 1, 0, question.id);
+        await renumberQuestions(tx, questionSet.id, ids);
+      }
+
+      const updatedQuestionSet = await recalculateQuestionSetTotals(tx, questionSet.id);
+      const createdQuestion = await tx.question.findUnique({ where: { id: question.id } });
+
+      return { question: createdQuestion, questionSet: updatedQuestionSet };
+    });
+
+    await recordAudit(req, {
+      action: 'question.create',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: result.question.id,
+      after: result.question,
+      metadata: { questionSetId: questionSet.id },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added successfully',
+      question: result.question,
+      questionSet: result.questionSet,
+    });
+  } catch (error) {
+    console.error('Error adding question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/questionset/:id/questions/:questionId
+// @desc    Update a specific question in a question set
+// @access  Private (Admin only)
+router.put('/:id/questions/:questionId', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { order, tags, version, metadata, explanationMediaId, topicId } = req.body;
+
+    const existingQuestion = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    // Validate the question as it will look after the update
+    const { data, errors } = validateQuestion({
+      type: req.body.type ?? existingQuestion.type,
+      question: req.body.question ?? existingQuestion.question,
+      options: req.body.options !== undefined ? req.body.options : existingQuestion.options,
+      correctAnswer: req.body.correctAnswer !== undefined ? req.body.correctAnswer : existingQuestion.correctAnswer,
+      points: req.body.points ?? existingQuestion.points,
+      explanation: req.body.explanation !== undefined ? req.body.explanation : existingQuestion.explanation,
+    });
+
+    if (explanationMediaId && (await findMissingMediaIds([explanationMediaId])).length > 0) {
+      errors.push('Explanation media not found');
+    }
+
+    if (topicId) {
+      const questionSet = await prisma.questionSet.findUnique({
+        where: { id: existingQuestion.questionSetId },
+        select: { subjectId: true },
+      });
+      const topicError = checkQuestionTopic((await loadTopicIndex()).get(topicId), questionSet);
+      if (topicError) errors.push(topicError);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid question',
+        errors,
+      });
+    }
+
+    // Option attachments point at an option by position, so it has to survive the edit
+    const optionCount = Array.isArray(data.options) ? data.options.length : 0;
+    const orphanedAttachments = (existingQuestion.attachments || [])
+      .filter((a) => a.optionIndex !== null && a.optionIndex !== undefined && a.optionIndex >= optionCount);
+
+    if (orphanedAttachments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some attachments are linked to options that would no longer exist. Update the attachments first.',
+        attachments: orphanedAttachments,
+      });
+    }
+
+    const isMoving = order !== undefined && Number(order) !== existingQuestion.orderNum;
+
+    if (isMoving && (!Number.isInteger(Number(order)) || Number(order) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must be a positive whole number',
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const updated = await tx.question.update({
+        where: { id: existingQuestion.id },
+        data: {
+          ...data,
+          ...(tags !== undefined && { tags: parseTags(tags) }),
+          ...(version !== undefined && { version }),
+          ...(metadata !== undefined && { metadata }),
+          ...(explanationMediaId !== undefined && { explanationMediaId: explanationMediaId || null }),
+          ...(topicId !== undefined && { topicId: topicId || null }),
+        },
+      });
+
+      // Only content changes make a new revision; tags, metadata and order don't
+      if (Object.keys(diffRevisions(existingQuestion, updated)).length > 0) {
+        await recordRevision(tx, updated, req.admin.id);
+      }
+
+      // Anything students see goes back through review before it goes live
+      if (hasStudentVisibleChanges(existingQuestion, updated)) {
+        await reopenEditedQuestion(tx, existingQuestion, req.admin.id);
+      }
+
+      if (isMoving) {
+        const others = await tx.question.findMany({
+          where: { questionSetId: existingQuestion.questionSetId, NOT: { id: existingQuestion.id } },
+          orderBy: { orderNum: 'asc' },
+          select: { id: true },
+        });
+        const ids = others.map((q) => q.id);
+        ids.splice(Number(order) - 1, 0, existingQuestion.id);
+        await renumberQuestions(tx, existingQuestion.questionSetId, ids);
+      }
+
+      const updatedQuestionSet = await recalculateQuestionSetTotals(tx, existingQuestion.questionSetId);
+      const question = await tx.question.findUnique({ where: { id: existingQuestion.id } });
+
+      return { question, questionSet: updatedQuestionSet };
+    });
+
+    await syncLegacyQuestions([existingQuestion.id]);
+
+    await recordAudit(req, {
+      action: 'question.update',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: existingQuestion.id,
+      before: existingQuestion,
+      after: result.question,
+      metadata: { questionSetId: existingQuestion.questionSetId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      question: result.question,
+      questionSet: result.questionSet,
+    });
+  } catch (error) {
+    console.error('Error updating question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/:id/questions/:questionId/revisions
+// @desc    List a question's revisions, newest first
+// @access  Private (Admin only)
+router.get('/:id/questions/:questionId/revisions', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const question = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+      select: { id: true },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const revisions = await prisma.questionRevision.findMany({
+      where: { questionId: question.id },
+      orderBy: { revisionNumber: 'desc' },
+      include: {
+        editedBy: {
+          select: { id: true, email: true },
+        },
+        _count: {
+          select: { quizQuestions: true },
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      currentRevision: revisions[0]?.revisionNumber || null,
+      revisions: revisions.map(({ _count, ...revision }) => ({
+        ...revision,
+        quizSnapshotCount: _count.quizQuestions,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching question revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/:id/questions/:questionId/revisions/diff
+// @desc    Diff two revisions of a question (?from=1&to=3; "to" defaults to the latest)
+// @access  Private (Admin only)
+router.get('/:id/questions/:questionId/revisions/diff', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if (!Number.isInteger(from) || (to !== null && !Number.isInteger(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from (and optional to) must be revision numbers',
+      });
+    }
+
+    const question = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+      select: { id: true },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      prisma.questionRevision.findUnique({
+        where: { questionId_revisionNumber: { questionId: question.id, revisionNumber: from } },
+      }),
+      to !== null
+        ? prisma.questionRevision.findUnique({
+          where: { questionId_revisionNumber: { questionId: question.id, revisionNumber: to } },
+        })
+        : prisma.questionRevision.findFirst({
+          where: { questionId: question.id },
+          orderBy: { revisionNumber: 'desc' },
+        }),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      from: fromRevision,
+      to: toRevision,
+      changes: diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    console.error('Error diffing question revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/questions/:questionId/revisions/:revisionNumber/rollback
+// @desc    Restore a question's content from an earlier revision (recorded as a new revision)
+// @access  Private (Admin only)
+router.post('/:id/questions/:questionId/revisions/:revisionNumber/rollback', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const existingQuestion = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const revisionNumber = parseInt(req.params.revisionNumber);
+    const revision = Number.isInteger(revisionNumber)
+      ? await prisma.questionRevision.findUnique({
+        where: { questionId_revisionNumber: { questionId: existingQuestion.id, revisionNumber } },
+      })
+      : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    if (Object.keys(diffRevisions(existingQuestion, revision)).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Question already matches revision ${revisionNumber}`,
+      });
+    }
+
+    // Media deleted since the revision can't be restored
+    const [missingMediaId] = await findMissingMediaIds([revision.explanationMediaId]);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const question = await tx.question.update({
+        where: { id: existingQuestion.id },
+        data: {
+          type: revision.type,
+          question: revision.question,
+          options: revision.options ?? Prisma.DbNull,
+          correctAnswer: revision.correctAnswer ?? Prisma.DbNull,
+          points: revision.points,
+          explanation: revision.explanation,
+          explanationMediaId: missingMediaId ? null : revision.explanationMediaId,
+        },
+      });
+
+      const newRevision = await recordRevision(tx, question, req.admin.id, {
+        source: 'rollback',
+        restoredFrom: revision.revisionNumber,
+      });
+      await reopenEditedQuestion(tx, existingQuestion, req.admin.id);
+      const questionSet = await recalculateQuestionSetTotals(tx, question.questionSetId);
+
+      return {
+        question: await tx.question.findUnique({ where: { id: question.id } }),
+        revision: newRevision,
+        questionSet,
+      };
+    });
+
+    await syncLegacyQuestions([existingQuestion.id]);
+
+    await recordAudit(req, {
+      action: 'question.rollback',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: existingQuestion.id,
+      before: existingQuestion,
+      after: result.question,
+      metadata: {
+        questionSetId: existingQuestion.questionSetId,
+        restoredFrom: revision.revisionNumber,
+        revisionNumber: result.revision.revisionNumber,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `Question rolled back to revision ${revision.revisionNumber}`,
+      question: result.question,
+      revision: result.revision,
+      questionSet: result.questionSet,
+    });
+  } catch (error) {
+    console.error('Error rolling back question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/questionset/:id/questions/:questionId/attachments
+// @desc    Replace a question's media attachments (whole question or per option)
+// @access  Private (Admin only)
+router.put('/:id/questions/:questionId/attachments', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const existingQuestion = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const { data, errors } = await validateAttachments(req.body.attachments, existingQuestion.options);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attachments',
+        errors,
+      });
+    }
+
+    const question = await prisma.$transaction(async (tx) => {
+      const updated = await tx.question.update({
+        where: { id: existingQuestion.id },
+        data: { attachments: data },
+      });
+
+      // Students see attachments, so new ones are reviewed before they go live
+      if (hasStudentVisibleChanges(existingQuestion, updated)) {
+        await reopenEditedQuestion(tx, existingQuestion, req.admin.id);
+        return tx.question.findUnique({ where: { id: updated.id } });
+      }
+
+      return updated;
+    });
+
+    await syncLegacyQuestions([existingQuestion.id]);
+
+    await recordAudit(req, {
+      action: 'question.attachments.update',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: question.id,
+      before: existingQuestion,
+      after: question,
+      metadata: { questionSetId: question.questionSetId },
+    });
+
+    const [attachments] = await presentAttachments([question.attachments]);
+
+    res.json({
+      success: true,
+      message: 'Attachments updated successfully',
+      question: { ...question, attachments },
+    });
+  } catch (error) {
+    console.error('Error updating attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/questionset/:id/questions/:questionId/review
+// @desc    Get a question's review status, reviewer and comment history
+// @access  Private (Admin only)
+router.get('/:id/questions/:questionId/review', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const question = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+      select: {
+        id: true,
+        status: true,
+        publishedAt: true,
+        reviewer: { select: { id: true, email: true } },
+        reviewComments: {
+          include: { author: { select: { id: true, email: true } } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const { reviewComments, ...review } = question;
+
+    res.json({
+      success: true,
+      review,
+      comments: reviewComments,
+    });
+  } catch (error) {
+    console.error('Error fetching question review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/questionset/:id/questions/:questionId/review/comments
+// @desc    Add a review comment to a question
+// @access  Private (Admin only)
+router.post('/:id/questions/:questionId/review/comments', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const body = req.body.body?.toString().trim();
+
+    if (!body) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot be empty',
+      });
+    }
+
+    const question = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+      select: { id: true },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    const comment = await prisma.questionReviewComment.create({
+      data: {
+        questionId: question.id,
+        authorId: req.admin.id,
+        action: 'comment',
+        body,
+      },
+      include: { author: { select: { id: true, email: true } } },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      comment,
+    });
+  } catch (error) {
+    console.error('Error adding review comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/questionset/:id/questions/:questionId/reviewer
+// @desc    Assign a reviewer to a question (reviewerId: null to unassign)
+// @access  Private (Admin only)
+router.put('/:id/questions/:questionId/reviewer', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { reviewerId } = req.body;
+
+    if (reviewerId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'reviewerId is required (null to unassign)',
+      });
+    }
+
+    const existingQuestion = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+    });
+
+    if (!existingQuestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    if (reviewerId) {
+      const reviewerError = await checkReviewer(reviewerId);
+
+      if (reviewerError) {
+        return res.status(400).json({
+          success: false,
+          message: reviewerError,
+        });
+      }
+    }
+
+    const question = await prisma.$transaction(async (tx) => {
+      const updated = await tx.question.update({
+        where: { id: existingQuestion.id },
+        data: { reviewerId: reviewerId || null },
+        include: { reviewer: { select: { id: true, email: true } } },
+      });
+
+      await tx.questionReviewComment.create({
+        data: {
+          questionId: existingQuestion.id,
+          authorId: req.admin.id,
+          action: 'assign',
+          body: updated.reviewer ? `Assigned to ${updated.reviewer.email}` : 'Reviewer unassigned',
+        },
+      });
+
+      return updated;
+    });
+
+    await recordAudit(req, {
+      action: 'question.assign_reviewer',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: question.id,
+      before: { reviewerId: existingQuestion.reviewerId },
+      after: { reviewerId: question.reviewerId },
+      metadata: { questionSetId: existingQuestion.questionSetId },
+    });
+
+    res.json({
+      success: true,
+      message: question.reviewer ? 'Reviewer assigned' : 'Reviewer unassigned',
+      question,
+    });
+  } catch (error) {
+    console.error('Error assigning reviewer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/questionset/:id/questions/:questionId
+// @desc    Delete a specific question from a question set
+// @access  Private (Admin only)
+router.delete('/:id/questions/:questionId', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_DELETE), async (req, res) => {
+  try {
+    const question = await prisma.question.findFirst({
+      where: {
+        id: req.params.questionId,
+        questionSetId: req.params.id,
+      },
+    });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+
+    // Quiz snapshots keep their own copy; their link back is cleared by the FK
+    const questionSet = await prisma.$transaction(async (tx) => {
+      await tx.question.delete({
+        where: { id: question.id },
+      });
+
+      await renumberQuestions(tx, question.questionSetId);
+
+      return recalculateQuestionSetTotals(tx, question.questionSetId);
+    });
+
+    await retireLegacyQuestions([question.legacyId]);
+
+    await recordAudit(req, {
+      action: 'question.delete',
+      entityType: AUDIT_ENTITIES.QUESTION,
+      entityId: question.id,
+      before: question,
+      metadata: { questionSetId: question.questionSetId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Question deleted successfully',
+      questionSet,
+    });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// Write part of a streamed response, waiting while the client catches up
+function writeChunk(res, chunk) {
+  return new Promise((resolve) => {
+    if (res.write(chunk)) return resolve();
+
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Outcome of each review action, for response messages
+const REVIEW_ACTION_LABELS = {
+  submit: 'submitted for review',
+  approve: 'published',
+  reject: 'sent back to draft',
+  unpublish: 'unpublished',
+};
+
+// Reviewers must be admins allowed to approve questions
+async function checkReviewer(reviewerId) {
+  const reviewer = await prisma.admin.findUnique({
+    where: { id: reviewerId },
+    select: { role: true },
+  });
+
+  if (!reviewer) return 'Reviewer not found';
+  if (!hasPermission(reviewer.role, PERMISSIONS.QUESTIONS_REVIEW)) {
+    return 'Reviewer is not allowed to review questions';
+  }
+  return null;
+}
+
+// Create a question set and its first batch of questions
+async function createQuestionSet(adminId, title, questions) {
+  return prisma.$transaction(async (tx) => {
+    const questionSet = await tx.questionSet.create({
+      data: {
+        title,
+        createdById: adminId,
+      },
+    });
+
+    if (questions.length > 0) {
+      const created = await tx.question.createManyAndReturn({
+        data: questions.map((q, index) => ({
+          questionSetId: questionSet.id,
+          type: q.type,
+          question: q.question,
+          options: q.options || null,
+          correctAnswer: q.correctAnswer ?? null,
+          points: q.points,
+          explanation: q.explanation || null,
+          orderNum: index + 1,
+          tags: q.tags || [],
+          batchNumber: 1,
+          version: 'v1.0',
+          metadata: q.metadata || null,
+        })),
+      });
+
+      await recordInitialRevisions(tx, created, adminId);
+    }
+
+    await recalculateQuestionSetTotals(tx, questionSet.id);
+
+    return tx.questionSet.findUnique({
+      where: { id: questionSet.id },
+      include: {
+        questions: {
+          orderBy: { orderNum: 'asc' },
+        },
+      },
+    });
+  });
+}
+
+// File name stem for downloads, e.g. "Biology: Cells" -> "biology-cells"
+function exportFileBaseName(title) {
+  return title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'questionset';
+}
+
+// Read the first sheet of an uploaded CSV/Excel file into rows with lower-cased headers.
+// JSON files (as written by the export) may hold an array or { questions: [...] }.
+function readQuestionSheet(file) {
+  if (file.mimetype === 'application/json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(file.buffer.toString('utf-8'));
+    } catch (error) {
+      return [];
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed?.questions;
+
+    if (!Array.isArray(items)) return [];
+
+    return items.map((item) => {
+      const normalizedRow = {};
+      Object.keys(item || {}).forEach((key) => {
+        normalizedRow[key.trim().toLowerCase()] = item[key];
+      });
+      return normalizedRow;
+    });
+  }
+
+  if (file.mimetype === 'text/csv') {
+    const result = Papa.parse(file.buffer.toString('utf-8'), {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim().toLowerCase(),
+    });
+    return result.data;
+  }
+
+  const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const data = XLSX.utils.sheet_to_json(worksheet, {
+    raw: false,
+    defval: '',
+  });
+
+  return data.map((row) => {
+    const normalizedRow = {};
+    Object.keys(row).forEach((key) => {
+      normalizedRow[key.trim().toLowerCase()] = row[key];
+    });
+    return normalizedRow;
+  });
+}
+
+module.exports = router;
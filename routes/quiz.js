@@ -1,9 +1,24 @@
 const express = require("express");
 const router = express.Router();
-const { verifyAdmin } = require("../middleware/auth");
+const { verifyAdmin, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const prisma = require("../utils/database");
+const { AUDIT_ENTITIES, recordAudit } = require("../utils/auditLog");
+const { getLatestRevisionIds } = require("../utils/questionRevisions");
+const { loadTopicIndex, buildTopicBreakdown } = require("../utils/taxonomy");
+const { QUESTION_STATUS } = require("../utils/questionReview");
+
+// Quiz fields compared in the audit trail; question snapshots are reduced to set IDs
+const auditQuiz = ({ questionSets, ...quiz }) => ({
+  ...quiz,
+  ...(questionSets && {
+    questionSetIds: [...questionSets]
+      .sort((a, b) => a.orderNum - b.orderNum)
+      .map((qs) => qs.questionSetId),
+  }),
+});
 
-router.post("/", verifyAdmin, async (req, res) => {
+router.post("/", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_WRITE), async (req, res) => {
   try {
     const { questionSetCombination, questionFilters, settings } = req.body;
 
@@ -33,8 +48,9 @@ router.post("/", verifyAdmin, async (req, res) => {
         isActive: true,
       },
       include: {
+        // Only reviewed questions reach students
         questions: {
-          where: { isArchived: false },
+          where: { isArchived: false, status: QUESTION_STATUS.PUBLISHED },
           orderBy: { orderNum: "asc" },
         },
       },
@@ -112,7 +128,7 @@ router.post("/", verifyAdmin, async (req, res) => {
 
         if (questionsToInclude.length === 0) {
           throw new Error(
-            `No questions found matching filters for question set: ${questionSet.title}`,
+            `No published questions found matching filters for question set: ${questionSet.title}`,
           );
         }
 
@@ -123,6 +139,10 @@ router.post("/", verifyAdmin, async (req, res) => {
           options: q.options,
           correctAnswer: q.correctAnswer,
           points: q.points,
+          attachments: q.attachments,
+          explanation: q.explanation,
+          explanationMediaId: q.explanationMediaId,
+          topicId: q.topicId,
           order: q.orderNum,
           originalQuestionId: q.id,
         }));
@@ -140,6 +160,11 @@ router.post("/", verifyAdmin, async (req, res) => {
     // Calculate total points
     const totalPoints = quizQuestionSets.reduce((sum, qqs) => sum + qqs.totalPoints, 0);
 
+    // Record which revision of each question the snapshot copies
+    const revisionIds = await getLatestRevisionIds(
+      quizQuestionSets.flatMap((qqs) => qqs.questions.map((q) => q.originalQuestionId)),
+    );
+
     // Create quiz with filtered question snapshots
     const quiz = await prisma.quiz.create({
       data: {
@@ -168,11 +193,16 @@ router.post("/", verifyAdmin, async (req, res) => {
             questions: {
               create: qqs.questions.map((q, idx) => ({
                 originalQuestionId: q.originalQuestionId,
+                originalRevisionId: revisionIds.get(q.originalQuestionId) || null,
                 type: q.type,
                 question: q.question,
                 options: q.options || null,
                 correctAnswer: q.correctAnswer || null,
                 points: q.points,
+                attachments: q.attachments || [],
+                explanation: q.explanation || null,
+                explanationMediaId: q.explanationMediaId || null,
+                topicId: q.topicId || null,
                 orderNum: idx + 1,
               })),
             },
@@ -188,6 +218,14 @@ router.post("/", verifyAdmin, async (req, res) => {
       },
     });
 
+    await recordAudit(req, {
+      action: "quiz.create",
+      entityType: AUDIT_ENTITIES.QUIZ,
+      entityId: quiz.id,
+      after: auditQuiz(quiz),
+      metadata: { questionFilters: questionFilters || null },
+    });
+
     res.status(201).json({
       success: true,
       message: "Quiz created successfully with filtered questions",
@@ -207,7 +245,7 @@ router.post("/", verifyAdmin, async (req, res) => {
 // @route   POST /api/quiz/preview-questions
 // @desc    Preview questions that will be included based on filters (before creating quiz)
 // @access  Private (Admin only)
-router.post("/preview-questions", verifyAdmin, async (req, res) => {
+router.post("/preview-questions", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_WRITE), async (req, res) => {
   try {
     const { questionSetId, filter } = req.body;
 
@@ -221,6 +259,7 @@ router.post("/preview-questions", verifyAdmin, async (req, res) => {
     const where = {
       questionSetId: questionSetId,
       isArchived: false,
+      status: QUESTION_STATUS.PUBLISHED,
     };
 
     // Apply filters
@@ -310,7 +349,7 @@ router.post("/preview-questions", verifyAdmin, async (req, res) => {
 // @route   GET /api/quiz
 // @desc    Get all quizzes
 // @access  Private (Admin only)
-router.get("/", verifyAdmin, async (req, res) => {
+router.get("/", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_READ), async (req, res) => {
   try {
     const { isActive, isQuizChallenge, isOpenQuiz } = req.query;
 
@@ -367,7 +406,7 @@ router.get("/", verifyAdmin, async (req, res) => {
 // @route   GET /api/quiz/:id
 // @desc    Get single quiz by ID
 // @access  Private (Admin only)
-router.get("/:id", verifyAdmin, async (req, res) => {
+router.get("/:id", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_READ), async (req, res) => {
   try {
     const quiz = await prisma.quiz.findUnique({
       where: { id: req.params.id },
@@ -407,7 +446,7 @@ router.get("/:id", verifyAdmin, async (req, res) => {
 // @route   PUT /api/quiz/:id
 // @desc    Update quiz settings (not question sets)
 // @access  Private (Admin only)
-router.put("/:id", verifyAdmin, async (req, res) => {
+router.put("/:id", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_WRITE), async (req, res) => {
   try {
     const { settings, isActive } = req.body;
 
@@ -463,6 +502,14 @@ router.put("/:id", verifyAdmin, async (req, res) => {
       }
     });
 
+    await recordAudit(req, {
+      action: "quiz.update",
+      entityType: AUDIT_ENTITIES.QUIZ,
+      entityId: quiz.id,
+      before: quiz,
+      after: auditQuiz({ ...updatedQuiz, questionSets: undefined }),
+    });
+
     res.json({
       success: true,
       message: "Quiz updated successfully",
@@ -481,7 +528,7 @@ router.put("/:id", verifyAdmin, async (req, res) => {
 // @route   PUT /api/quiz/:id/question-sets
 // @desc    Replace question sets in a quiz (recreates snapshots)
 // @access  Private (Admin only)
-router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
+router.put("/:id/question-sets", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_WRITE), async (req, res) => {
   try {
     const { questionSetIds } = req.body;
 
@@ -498,7 +545,12 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
 
     // Changed from: Quiz.findById()
     const quiz = await prisma.quiz.findUnique({
-      where: { id: req.params.id }
+      where: { id: req.params.id },
+      include: {
+        questionSets: {
+          select: { questionSetId: true, orderNum: true }
+        }
+      }
     });
 
     if (!quiz) {
@@ -517,7 +569,7 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
       },
       include: {
         questions: {
-          where: { isArchived: false },
+          where: { isArchived: false, status: QUESTION_STATUS.PUBLISHED },
           orderBy: { orderNum: 'asc' }
         }
       }
@@ -544,6 +596,10 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
         options: q.options,
         correctAnswer: q.correctAnswer,
         points: q.points,
+        attachments: q.attachments,
+        explanation: q.explanation,
+        explanationMediaId: q.explanationMediaId,
+        topicId: q.topicId,
         orderNum: q.orderNum,
         originalQuestionId: q.id,
       }));
@@ -562,6 +618,11 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
     // Calculate new total points
     const newTotalPoints = quizQuestionSets.reduce((sum, qqs) => sum + qqs.totalPoints, 0);
 
+    // Record which revision of each question the snapshot copies
+    const revisionIds = await getLatestRevisionIds(
+      quizQuestionSets.flatMap((qqs) => qqs.questions.map((q) => q.originalQuestionId)),
+    );
+
     // Use transaction to replace question sets atomically
     const updatedQuiz = await prisma.$transaction(async (tx) => {
       // Delete existing quiz question sets (cascade will delete questions)
@@ -595,11 +656,16 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
           data: questions.map(q => ({
             quizQuestionSetId: quizQS.id,
             originalQuestionId: q.originalQuestionId,
+            originalRevisionId: revisionIds.get(q.originalQuestionId) || null,
             type: q.type,
             question: q.question,
             options: q.options,
             correctAnswer: q.correctAnswer,
             points: q.points,
+            attachments: q.attachments || [],
+            explanation: q.explanation || null,
+            explanationMediaId: q.explanationMediaId || null,
+            topicId: q.topicId || null,
             orderNum: q.orderNum,
           }))
         });
@@ -619,6 +685,20 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
       });
     });
 
+    await recordAudit(req, {
+      action: "quiz.replace_question_sets",
+      entityType: AUDIT_ENTITIES.QUIZ,
+      entityId: quiz.id,
+      before: {
+        questionSetIds: auditQuiz(quiz).questionSetIds,
+        totalPoints: quiz.totalPoints,
+      },
+      after: {
+        questionSetIds: auditQuiz(updatedQuiz).questionSetIds,
+        totalPoints: updatedQuiz.totalPoints,
+      },
+    });
+
     res.json({
       success: true,
       message: "Quiz question sets updated successfully",
@@ -637,7 +717,7 @@ router.put("/:id/question-sets", verifyAdmin, async (req, res) => {
 // @route   DELETE /api/quiz/:id
 // @desc    Delete quiz
 // @access  Private (Admin only)
-router.delete("/:id", verifyAdmin, async (req, res) => {
+router.delete("/:id", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_DELETE), async (req, res) => {
   try {
     // Changed from: Quiz.findById()
     const quiz = await prisma.quiz.findUnique({
@@ -656,6 +736,13 @@ router.delete("/:id", verifyAdmin, async (req, res) => {
       where: { id: req.params.id }
     });
 
+    await recordAudit(req, {
+      action: "quiz.delete",
+      entityType: AUDIT_ENTITIES.QUIZ,
+      entityId: quiz.id,
+      before: quiz,
+    });
+
     res.json({
       success: true,
       message: "Quiz deleted successfully",
@@ -673,7 +760,7 @@ router.delete("/:id", verifyAdmin, async (req, res) => {
 // @route   PATCH /api/quiz/:id/toggle-active
 // @desc    Toggle quiz active status
 // @access  Private (Admin only)
-router.patch("/:id/toggle-active", verifyAdmin, async (req, res) => {
+router.patch("/:id/toggle-active", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_WRITE), async (req, res) => {
   try {
     // Changed from: Quiz.findById()
     const quiz = await prisma.quiz.findUnique({
@@ -693,6 +780,14 @@ router.patch("/:id/toggle-active", verifyAdmin, async (req, res) => {
       data: { isActive: !quiz.isActive }
     });
 
+    await recordAudit(req, {
+      action: "quiz.toggle_active",
+      entityType: AUDIT_ENTITIES.QUIZ,
+      entityId: quiz.id,
+      before: { isActive: quiz.isActive },
+      after: { isActive: updatedQuiz.isActive },
+    });
+
     res.json({
       success: true,
       message: `Quiz ${updatedQuiz.isActive ? "activated" : "deactivated"} successfully`,
@@ -709,9 +804,9 @@ router.patch("/:id/toggle-active", verifyAdmin, async (req, res) => {
 });
 
 // @route   GET /api/quiz/:id/statistics
-// @desc    Get quiz statistics (total questions, points per set, etc.)
+// @desc    Get quiz statistics (total questions, points per set, per-topic averages, etc.)
 // @access  Private (Admin only)
-router.get("/:id/statistics", verifyAdmin, async (req, res) => {
+router.get("/:id/statistics", verifyAdmin, requirePermission(PERMISSIONS.QUIZZES_READ), async (req, res) => {
   try {
     // Changed from: Quiz.findById().populate()
     const quiz = await prisma.quiz.findUnique({
@@ -737,6 +832,25 @@ router.get("/:id/statistics", verifyAdmin, async (req, res) => {
       });
     }
 
+    // Points earned per question across finished attempts, for the topic breakdown
+    const [answerTotals, submissionCount, topicIndex] = await Promise.all([
+      prisma.submissionAnswer.groupBy({
+        by: ["quizQuestionId"],
+        where: {
+          quizQuestion: { quizQuestionSet: { quizId: quiz.id } },
+          submission: { status: { not: "in-progress" } },
+        },
+        _sum: { pointsAwarded: true },
+      }),
+      prisma.quizSubmission.count({
+        where: { quizId: quiz.id, status: { not: "in-progress" } },
+      }),
+      loadTopicIndex(),
+    ]);
+    const pointsByQuestion = new Map(
+      answerTotals.map((a) => [a.quizQuestionId, a._sum.pointsAwarded || 0]),
+    );
+
     // Calculate total duration in seconds
     const totalDurationInSeconds = 
       (quiz.durationHours * 3600) + 
@@ -756,6 +870,17 @@ router.get("/:id/statistics", verifyAdmin, async (req, res) => {
         totalPoints: qs.totalPoints,
         order: qs.orderNum,
       })),
+      // pointsAwarded is the average per finished submission
+      submissionCount,
+      topicBreakdown: buildTopicBreakdown(
+        quiz.questionSets.flatMap((qs) => qs.questions.map((q) => ({
+          topicId: q.topicId,
+          points: q.points,
+          answered: pointsByQuestion.has(q.id),
+          pointsAwarded: submissionCount > 0 ? (pointsByQuestion.get(q.id) || 0) / submissionCount : 0,
+        }))),
+        topicIndex,
+      ),
       duration: totalDurationInSeconds,
     };
 
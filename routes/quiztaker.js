@@ -2,6 +2,14 @@ const express = require("express");
 const router = express.Router();
 const { verifyQuizTaker } = require("../middleware/auth");
 const prisma = require('../utils/database');
+const {
+  EXAM_SESSION_CONFLICT_MESSAGE,
+  canUseExamSession,
+  claimExamSession,
+} = require("../utils/examSession");
+const { presentMedia, presentAttachments } = require("../utils/media");
+const { STRUCTURED_QUESTION_TYPES, gradeStructuredAnswer } = require("../utils/grading");
+const { loadTopicIndex, buildTopicBreakdown } = require("../utils/taxonomy");
 
 // @route   GET /api/quiztaker/dashboard
 // @desc    Get quiz taker dashboard data
@@ -145,6 +153,13 @@ router.get("/quiz/:quizId", verifyQuizTaker, async (req, res) => {
       });
     }
 
+    if (!(await canUseExamSession(assignedQuiz, req.sessionId))) {
+      return res.status(409).json({
+        success: false,
+        message: EXAM_SESSION_CONFLICT_MESSAGE,
+      });
+    }
+
     // Changed from: Quiz.findById()
     const quiz = await prisma.quiz.findUnique({
       where: { id: req.params.quizId },
@@ -242,6 +257,14 @@ router.get("/quiz/:quizId/question-set/:questionSetOrder", verifyQuizTaker, asyn
       });
     }
 
+    // Questions are only served to the device that owns the attempt
+    if (!(await claimExamSession(assignedQuiz, req.sessionId))) {
+      return res.status(409).json({
+        success: false,
+        message: EXAM_SESSION_CONFLICT_MESSAGE,
+      });
+    }
+
     // Changed from: Quiz.findById()
     const quiz = await prisma.quiz.findUnique({
       where: { id: req.params.quizId },
@@ -277,11 +300,14 @@ router.get("/quiz/:quizId/question-set/:questionSetOrder", verifyQuizTaker, asyn
       });
     }
 
-    const questionsWithoutAnswers = questionSet.questions.map((q) => ({
+    const attachments = await presentAttachments(questionSet.questions.map((q) => q.attachments));
+
+    const questionsWithoutAnswers = questionSet.questions.map((q, index) => ({
       id: q.id,
       type: q.type,
       question: q.question,
       options: q.options,
+      attachments: attachments[index],
       points: q.points,
       order: q.orderNum,
     }));
@@ -353,6 +379,13 @@ router.post("/quiz/:quizId/set-question-order", verifyQuizTaker, async (req, res
       });
     }
 
+    if (!(await claimExamSession(assignedQuiz, req.sessionId))) {
+      return res.status(409).json({
+        success: false,
+        message: EXAM_SESSION_CONFLICT_MESSAGE,
+      });
+    }
+
     if (assignedQuiz.status === "in-progress" && assignedQuiz.questionSetProgress.length > 0) {
       const anyCompleted = assignedQuiz.questionSetProgress.some(
         qsp => qsp.status === 'completed'
@@ -415,11 +448,16 @@ router.post("/quiz/:quizId/set-question-order", verifyQuizTaker, async (req, res
 });
 
 // Helper function to auto-grade an answer
-function autoGradeAnswer(questionType, userAnswer, correctAnswer) {
+function autoGradeAnswer(questionType, userAnswer, correctAnswer, points) {
   if (questionType === 'essay') {
     return { isCorrect: null, pointsAwarded: 0 }; // Needs manual grading
   }
 
+  // Fill-in-the-blanks, multi-select and matching can earn part of the points
+  if (STRUCTURED_QUESTION_TYPES.includes(questionType)) {
+    return gradeStructuredAnswer({ type: questionType, correctAnswer, points }, userAnswer);
+  }
+
   if (questionType === 'multiple-choice') {
     const isCorrect = userAnswer === correctAnswer;
     return { isCorrect };
@@ -430,13 +468,6 @@ function autoGradeAnswer(questionType, userAnswer, correctAnswer) {
     return { isCorrect };
   }
 
-  if (questionType === 'fill-in-the-blank') {
-    const normalizedUserAnswer = String(userAnswer).trim().toLowerCase();
-    const normalizedCorrectAnswer = String(correctAnswer).trim().toLowerCase();
-    const isCorrect = normalizedUserAnswer === normalizedCorrectAnswer;
-    return { isCorrect };
-  }
-
   return { isCorrect: false };
 }
 
@@ -461,6 +492,21 @@ router.post("/quiz/:quizId/submit", verifyQuizTaker, async (req, res) => {
       });
     }
 
+    // Reject submissions from any device other than the one that owns the attempt
+    const boundAssignment = await prisma.assignedQuiz.findFirst({
+      where: {
+        quizTakerId: req.quizTaker.id,
+        quizId: req.params.quizId
+      }
+    });
+
+    if (boundAssignment && !(await claimExamSession(boundAssignment, req.sessionId))) {
+      return res.status(409).json({
+        success: false,
+        message: EXAM_SESSION_CONFLICT_MESSAGE,
+      });
+    }
+
     // Use Prisma transactions for atomic operations
     const result = await prisma.$transaction(async (tx) => {
       // Get assigned quiz with lock
@@ -478,6 +524,13 @@ router.post("/quiz/:quizId/submit", verifyQuizTaker, async (req, res) => {
         throw new Error("This quiz is not assigned to you");
       }
 
+      // Another device took over between the claim and this transaction
+      if (assignedQuiz.examSessionId !== req.sessionId) {
+        const conflict = new Error(EXAM_SESSION_CONFLICT_MESSAGE);
+        conflict.status = 409;
+        throw conflict;
+      }
+
       // Get quiz with questions
       const quiz = await tx.quiz.findUnique({
         where: { id: req.params.quizId },
@@ -565,10 +618,11 @@ router.post("/quiz/:quizId/submit", verifyQuizTaker, async (req, res) => {
         const gradeResult = autoGradeAnswer(
           question.type,
           answerData.answer,
-          question.correctAnswer
+          question.correctAnswer,
+          question.points
         );
 
-        const pointsAwarded = gradeResult.isCorrect === true ? question.points : 0;
+        const pointsAwarded = gradeResult.pointsAwarded ?? (gradeResult.isCorrect === true ? question.points : 0);
         
         if (question.type === 'essay') {
           hasEssay = true;
@@ -668,11 +722,14 @@ router.post("/quiz/:quizId/submit", verifyQuizTaker, async (req, res) => {
           }
         });
 
+        // The device binding ends with the attempt
         await tx.assignedQuiz.update({
           where: { id: assignedQuiz.id },
           data: {
             status: 'completed',
-            completedAt: endTime
+            completedAt: endTime,
+            examSessionId: null,
+            examSessionClaimedAt: null
           }
         });
 
@@ -723,6 +780,14 @@ router.post("/quiz/:quizId/submit", verifyQuizTaker, async (req, res) => {
     });
 
   } catch (error) {
+    // Errors raised inside the transaction may carry their own status (e.g. a device conflict)
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Submit quiz error:", error);
     res.status(500).json({
       success: false,
@@ -799,9 +864,24 @@ router.get("/submission/:submissionId", verifyQuizTaker, async (req, res) => {
       },
     };
 
+    // Score per topic, so students can see where they're weak
+    const answersByQuestion = new Map(submission.answers.map((ans) => [ans.quizQuestionId, ans]));
+    responseData.submission.topicBreakdown = buildTopicBreakdown(
+      quiz.questionSets.flatMap((qs) => qs.questions.map((q) => ({
+        topicId: q.topicId,
+        points: q.points,
+        answered: answersByQuestion.has(q.id),
+        pointsAwarded: answersByQuestion.get(q.id)?.pointsAwarded || 0,
+      }))),
+      await loadTopicIndex(),
+    );
+
     // Include answers if allowed - organized by question set
     if (canViewAnswers) {
       const answersByQuestionSet = [];
+      const explanationMedia = await presentMedia(
+        quiz.questionSets.flatMap((qs) => qs.questions.map((q) => q.explanationMediaId)),
+      );
 
       // Iterate through ALL question sets in the quiz
       for (const questionSet of quiz.questionSets) {
@@ -829,6 +909,8 @@ router.get("/submission/:submissionId", verifyQuizTaker, async (req, res) => {
               pointsAwarded: submittedAnswer.pointsAwarded,
               pointsPossible: submittedAnswer.pointsPossible,
               wasAnswered: true,
+              explanation: question.explanation,
+              explanationMedia: explanationMedia.get(question.explanationMediaId) || null,
             });
           } else {
             // Question was NOT answered - show as unanswered
@@ -841,6 +923,8 @@ router.get("/submission/:submissionId", verifyQuizTaker, async (req, res) => {
               pointsAwarded: 0,
               pointsPossible: question.points,
               wasAnswered: false,
+              explanation: question.explanation,
+              explanationMedia: explanationMedia.get(question.explanationMediaId) || null,
             });
           }
         }
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { verifyQuizTaker } = require('../middleware/auth');
+const { presentMedia } = require('../utils/media');
 
 const GameSession = require('../models/GameSession');
 const QuestionSet = require('../models/QuestionSet');
@@ -56,7 +57,7 @@ router.post('/start', verifyQuizTaker, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Question set not found or inactive' });
     }
 
-    const mcQuestions = questionSet.questions.filter(q => q.type === 'multiple-choice');
+    const mcQuestions = questionSet.publishedQuestions().filter(q => q.type === 'multiple-choice');
 
     if (mcQuestions.length === 0) {
       return res.status(400).json({ success: false, message: 'No multiple-choice questions found' });
@@ -125,7 +126,7 @@ router.get('/session/:sessionId/question', verifyQuizTaker, async (req, res) =>
 
     const usedQuestionIds = gameSession.usedQuestionIds || []; // or from populated usedQuestions
 
-    const availableQuestions = questionSet.questions
+    const availableQuestions = questionSet.publishedQuestions()
       .filter(q => q.type === 'multiple-choice' && !usedQuestionIds.includes(q._id.toString()))
       .sort((a, b) => a.order - b.order);
 
@@ -194,7 +195,7 @@ router.post('/session/:sessionId/answer', verifyQuizTaker, async (req, res) => {
     const questionSet = await QuestionSet.findById(gameSession.questionSetId);
     const question = questionSet?.questions.id(questionId);
 
-    if (!question) return res.status(404).json({ success: false, message: 'Question not found' });
+    if (!question || question.status !== 'published') return res.status(404).json({ success: false, message: 'Question not found' });
 
     const usedQuestionIds = gameSession.usedQuestionIds || [];
     if (usedQuestionIds.includes(questionId)) {
@@ -249,11 +250,15 @@ router.post('/session/:sessionId/answer', verifyQuizTaker, async (req, res) => {
       { new: true }
     );
 
+    const explanationMedia = await presentMedia([question.explanationMediaId]);
+
     res.json({
       success: true,
       result: {
         isCorrect,
         correctAnswer: question.correctAnswer,
+        explanation: question.explanation || null,
+        explanationMedia: explanationMedia.get(question.explanationMediaId) || null,
         pointsChange: Math.round(pointsChange * 100) / 100,
         newScore: updatedSession.currentScore,
         status: updatedSession.status,
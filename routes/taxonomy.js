@@ -0,0 +1,350 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAdmin, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const prisma = require('../utils/database');
+const { AUDIT_ENTITIES, recordAudit } = require('../utils/auditLog');
+const {
+  TOPIC_LEVELS,
+  normalizeTopicName,
+  topicSlug,
+  childLevel,
+  loadTopicIndex,
+} = require('../utils/taxonomy');
+
+// Sent when the unique index catches a sibling created by a concurrent request
+const DUPLICATE_TOPIC_MESSAGE = 'A topic with this name already exists here';
+
+// A sibling already using the name (case and spacing ignored)
+const findSibling = (parentId, name, excludeId = null) => prisma.topic.findFirst({
+  where: {
+    parentId,
+    slug: topicSlug(name),
+    ...(excludeId && { NOT: { id: excludeId } }),
+  },
+});
+
+// @route   GET /api/taxonomy
+// @desc    Get the taxonomy as a subject > topic > subtopic tree (?level=topic for a flat list of one level)
+// @access  Private (Admin only)
+router.get('/', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const { level, search } = req.query;
+
+    if (level && !TOPIC_LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: `Level must be one of: ${TOPIC_LEVELS.join(', ')}`,
+      });
+    }
+
+    const [topics, index] = await Promise.all([
+      prisma.topic.findMany({
+        where: {
+          ...(level && { level }),
+          ...(search && { name: { contains: search, mode: 'insensitive' } }),
+        },
+        include: {
+          _count: {
+            select: { questions: true, questionSets: true, children: true },
+          },
+        },
+        orderBy: { name: 'asc' },
+      }),
+      loadTopicIndex(),
+    ]);
+
+    const withPath = topics.map((topic) => ({ ...topic, path: index.get(topic.id)?.path }));
+
+    if (level || search) {
+      return res.json({
+        success: true,
+        count: withPath.length,
+        topics: withPath,
+      });
+    }
+
+    const byParent = new Map();
+    withPath.forEach((topic) => {
+      if (!byParent.has(topic.parentId)) byParent.set(topic.parentId, []);
+      byParent.get(topic.parentId).push(topic);
+    });
+    const buildTree = (parentId) => (byParent.get(parentId) || [])
+      .map((topic) => ({ ...topic, children: buildTree(topic.id) }));
+
+    res.json({
+      success: true,
+      count: withPath.length,
+      subjects: buildTree(null),
+    });
+  } catch (error) {
+    console.error('Error fetching taxonomy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/taxonomy
+// @desc    Create a subject (no parentId), a topic (subject parent) or a subtopic (topic parent)
+// @access  Private (Admin only)
+router.post('/', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { parentId, description } = req.body;
+    const name = normalizeTopicName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required',
+      });
+    }
+
+    const parent = parentId
+      ? await prisma.topic.findUnique({ where: { id: parentId } })
+      : null;
+
+    if (parentId && !parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent topic not found',
+      });
+    }
+
+    const level = childLevel(parent);
+
+    if (!level) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subtopics cannot have children',
+      });
+    }
+
+    const existing = await findSibling(parent?.id || null, name);
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${level} named '${existing.name}' already exists here`,
+        topic: existing,
+      });
+    }
+
+    const topic = await prisma.topic.create({
+      data: {
+        name,
+        slug: topicSlug(name),
+        level,
+        parentId: parent?.id || null,
+        description: description?.toString().trim() || null,
+        createdById: req.admin.id,
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'topic.create',
+      entityType: AUDIT_ENTITIES.TOPIC,
+      entityId: topic.id,
+      after: topic,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${level.charAt(0).toUpperCase()}${level.slice(1)} created successfully`,
+      topic,
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: DUPLICATE_TOPIC_MESSAGE,
+      });
+    }
+
+    console.error('Error creating topic:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/taxonomy/:id
+// @desc    Get a topic with its children, question sets (subjects) and question count
+// @access  Private (Admin only)
+router.get('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_READ), async (req, res) => {
+  try {
+    const topic = await prisma.topic.findUnique({
+      where: { id: req.params.id },
+      include: {
+        parent: { select: { id: true, name: true, level: true } },
+        children: {
+          include: { _count: { select: { questions: true, children: true } } },
+          orderBy: { name: 'asc' },
+        },
+        questionSets: {
+          select: { id: true, title: true, questionCount: true, isActive: true },
+          orderBy: { title: 'asc' },
+        },
+        _count: { select: { questions: true } },
+      },
+    });
+
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
+      });
+    }
+
+    const index = await loadTopicIndex();
+
+    res.json({
+      success: true,
+      topic: { ...topic, path: index.get(topic.id).path },
+    });
+  } catch (error) {
+    console.error('Error fetching topic:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/taxonomy/:id
+// @desc    Rename a topic or update its description
+// @access  Private (Admin only)
+router.put('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_WRITE), async (req, res) => {
+  try {
+    const { description } = req.body;
+
+    const existingTopic = await prisma.topic.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!existingTopic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
+      });
+    }
+
+    const name = req.body.name !== undefined ? normalizeTopicName(req.body.name) : undefined;
+
+    if (name !== undefined && !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name cannot be empty',
+      });
+    }
+
+    if (name !== undefined) {
+      const sibling = await findSibling(existingTopic.parentId, name, existingTopic.id);
+
+      if (sibling) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${existingTopic.level} named '${sibling.name}' already exists here`,
+          topic: sibling,
+        });
+      }
+    }
+
+    const topic = await prisma.topic.update({
+      where: { id: existingTopic.id },
+      data: {
+        ...(name !== undefined && { name, slug: topicSlug(name) }),
+        ...(description !== undefined && { description: description?.toString().trim() || null }),
+      },
+    });
+
+    await recordAudit(req, {
+      action: 'topic.update',
+      entityType: AUDIT_ENTITIES.TOPIC,
+      entityId: topic.id,
+      before: existingTopic,
+      after: topic,
+    });
+
+    res.json({
+      success: true,
+      message: 'Topic updated successfully',
+      topic,
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: DUPLICATE_TOPIC_MESSAGE,
+      });
+    }
+
+    console.error('Error updating topic:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/taxonomy/:id
+// @desc    Delete a topic with no children, questions or question sets
+// @access  Private (Admin only)
+router.delete('/:id', verifyAdmin, requirePermission(PERMISSIONS.QUESTION_SETS_DELETE), async (req, res) => {
+  try {
+    const topic = await prisma.topic.findUnique({
+      where: { id: req.params.id },
+      include: {
+        _count: { select: { children: true, questions: true, questionSets: true } },
+      },
+    });
+
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
+      });
+    }
+
+    const { children, questions, questionSets } = topic._count;
+
+    if (children > 0 || questions > 0 || questionSets > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Topic is still in use. Move or delete its children, questions and question sets first.',
+        usage: { children, questions, questionSets },
+      });
+    }
+
+    // Quiz snapshots keep their questions; their topic link is cleared
+    await prisma.topic.delete({ where: { id: topic.id } });
+
+    const { _count, ...before } = topic;
+    await recordAudit(req, {
+      action: 'topic.delete',
+      entityType: AUDIT_ENTITIES.TOPIC,
+      entityId: topic.id,
+      before,
+    });
+
+    res.json({
+      success: true,
+      message: 'Topic deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting topic:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
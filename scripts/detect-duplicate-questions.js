@@ -0,0 +1,140 @@
+const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+const result = dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+if (result.error) {
+  // Fall back to the current directory
+  dotenv.config();
+}
+
+const mongoose = require('mongoose');
+const prisma = require('../utils/database');
+const { DEFAULT_THRESHOLD, findDuplicateClusters, loadQuestionsForScan } = require('../utils/duplicateDetection');
+const { recalculateQuestionSetTotals } = require('../utils/questionBank');
+const { syncLegacyQuestions } = require('../utils/legacyQuestionSets');
+
+// Usage:
+//   node scripts/detect-duplicate-questions.js
+//   THRESHOLD=0.9 QUESTION_SET_ID=<uuid> node scripts/detect-duplicate-questions.js
+//   DRY_RUN=false node scripts/detect-duplicate-questions.js   (archives exact duplicates, keeping the oldest)
+//     (needs MONGO_URI too, so the CBT and Scholars Wager copies are hidden as well)
+const DRY_RUN = process.env.DRY_RUN !== 'false';
+const THRESHOLD = Number(process.env.THRESHOLD) || DEFAULT_THRESHOLD;
+const QUESTION_SET_ID = process.env.QUESTION_SET_ID || null;
+const INCLUDE_ARCHIVED = process.env.INCLUDE_ARCHIVED === 'true';
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+if (!DRY_RUN && !MONGO_URI) {
+  console.error('\n❌ ERROR: MONGO_URI or MONGODB_URI environment variable is not set!\n');
+  process.exit(1);
+}
+
+const log = {
+  info: (msg) => console.log(`[${new Date().toISOString()}] [INFO] ${msg}`),
+  success: (msg) => console.log(`[${new Date().toISOString()}] [SUCCESS] ✅ ${msg}`),
+  warning: (msg) => console.log(`[${new Date().toISOString()}] [WARNING] ⚠️  ${msg}`),
+  error: (msg) => console.log(`[${new Date().toISOString()}] [ERROR] ❌ ${msg}`),
+};
+
+async function archiveExactDuplicates(clusters) {
+  const archived = [];
+
+  for (const cluster of clusters.filter((c) => c.exact && !c.answersDiffer)) {
+    const [keep, ...duplicates] = cluster.questions;
+
+    await prisma.$transaction(async (tx) => {
+      for (const duplicate of duplicates) {
+        const current = await tx.question.findUnique({ where: { id: duplicate.id } });
+
+        await tx.question.update({
+          where: { id: duplicate.id },
+          data: {
+            isArchived: true,
+            metadata: {
+              ...current.metadata,
+              duplicateOf: keep.id,
+              duplicateResolution: 'archive',
+              duplicateResolvedAt: new Date().toISOString(),
+            },
+          },
+        });
+      }
+
+      const setIds = new Set(cluster.questions.map((q) => q.questionSetId));
+      for (const questionSetId of setIds) {
+        await recalculateQuestionSetTotals(tx, questionSetId);
+      }
+    });
+
+    archived.push(...duplicates.map((d) => d.id));
+  }
+
+  await syncLegacyQuestions(archived);
+
+  return archived.length;
+}
+
+async function detectDuplicates() {
+  log.info('\n============================================================');
+  log.info('DUPLICATE QUESTION DETECTOR');
+  log.info('============================================================\n');
+
+  if (DRY_RUN) {
+    log.warning('RUNNING IN DRY RUN MODE - NO CHANGES WILL BE MADE');
+  } else {
+    log.warning('RUNNING IN LIVE MODE - EXACT DUPLICATES WILL BE ARCHIVED');
+    log.info('   Waiting 3 seconds... Press Ctrl+C to cancel');
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+
+  const questions = await loadQuestionsForScan({ includeArchived: INCLUDE_ARCHIVED });
+  const focusIds = QUESTION_SET_ID
+    ? questions.filter((q) => q.questionSetId === QUESTION_SET_ID).map((q) => q.id)
+    : null;
+
+  log.info(`📊 Scanning ${questions.length} questions (threshold ${THRESHOLD})...`);
+
+  const clusters = findDuplicateClusters(questions, { threshold: THRESHOLD, focusIds });
+  const exactClusters = clusters.filter((c) => c.exact);
+
+  log.info(`\n🔍 Clusters found: ${clusters.length}`);
+  log.info(`   Exact: ${exactClusters.length}`);
+  log.info(`   Near-duplicate: ${clusters.length - exactClusters.length}`);
+  log.info(`   Spanning several sets: ${clusters.filter((c) => c.crossSet).length}`);
+  log.info(`   With conflicting answer keys: ${clusters.filter((c) => c.answersDiffer).length}`);
+
+  const reportPath = path.resolve(__dirname, `../duplicate-report-${Date.now()}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify({
+    generatedAt: new Date(),
+    threshold: THRESHOLD,
+    questionSetId: QUESTION_SET_ID,
+    scannedQuestions: questions.length,
+    clusters,
+  }, null, 2));
+  log.success(`Report written to ${reportPath}`);
+
+  if (!DRY_RUN) {
+    const archived = await archiveExactDuplicates(exactClusters);
+    log.success(`Archived ${archived} exact duplicate(s)`);
+  }
+}
+
+async function main() {
+  try {
+    if (!DRY_RUN) await mongoose.connect(MONGO_URI);
+    await detectDuplicates();
+  } catch (error) {
+    log.error(`Script failed: ${error.message}`);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    await prisma.$disconnect();
+    log.info('\n✅ Script completed\n');
+  }
+}
+
+main();
@@ -0,0 +1,151 @@
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+const result = dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+if (result.error) {
+  // Fall back to the current directory
+  dotenv.config();
+}
+
+const mongoose = require('mongoose');
+const prisma = require('../utils/database');
+const QuestionSet = require('../models/QuestionSet');
+const { normalizeText } = require('../utils/duplicateDetection');
+const { syncLegacyQuestions, retireLegacyQuestions } = require('../utils/legacyQuestionSets');
+
+// Links questions migrated before questions.legacy_id existed to their MongoDB copies,
+// then copies every linked question's content and review status back to MongoDB so the
+// CBT and Scholars Wager flows only serve published questions. Safe to run again.
+//
+// Usage:
+//   node scripts/link-legacy-questions.js                        (dry run: report only)
+//   DRY_RUN=false node scripts/link-legacy-questions.js
+//   DRY_RUN=false KEEP_UNMATCHED=true node scripts/link-legacy-questions.js
+//     (MongoDB questions with no match in the bank are hidden unless KEEP_UNMATCHED=true)
+const DRY_RUN = process.env.DRY_RUN !== 'false';
+const KEEP_UNMATCHED = process.env.KEEP_UNMATCHED === 'true';
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+const SYNC_BATCH_SIZE = 200;
+
+if (!MONGO_URI) {
+  console.error('\n❌ ERROR: MONGO_URI or MONGODB_URI environment variable is not set!\n');
+  process.exit(1);
+}
+
+const log = {
+  info: (msg) => console.log(`[${new Date().toISOString()}] [INFO] ${msg}`),
+  success: (msg) => console.log(`[${new Date().toISOString()}] [SUCCESS] ✅ ${msg}`),
+  warning: (msg) => console.log(`[${new Date().toISOString()}] [WARNING] ⚠️  ${msg}`),
+  error: (msg) => console.log(`[${new Date().toISOString()}] [ERROR] ❌ ${msg}`),
+};
+
+const questionKey = (question) => `${question.type}\u0000${normalizeText(question.question)}`;
+
+/**
+ * Pair each unlinked MongoDB question with a bank question: the one at the same
+ * position in the set it was migrated into, or else the only one anywhere with the
+ * same type and text (it has been moved since). Ambiguous questions stay unmatched.
+ */
+async function matchQuestions() {
+  const [mongoSets, prismaSets, prismaQuestions] = await Promise.all([
+    QuestionSet.find({}),
+    prisma.questionSet.findMany({ select: { id: true, title: true, createdAt: true } }),
+    prisma.question.findMany({
+      select: { id: true, questionSetId: true, orderNum: true, type: true, question: true, legacyId: true },
+    }),
+  ]);
+
+  const linkedLegacyIds = new Set(prismaQuestions.filter((q) => q.legacyId).map((q) => q.legacyId));
+  const unlinkedByKey = new Map();
+  prismaQuestions.filter((q) => !q.legacyId).forEach((q) => {
+    const key = questionKey(q);
+    if (!unlinkedByKey.has(key)) unlinkedByKey.set(key, []);
+    unlinkedByKey.get(key).push(q);
+  });
+
+  const claimed = new Set();
+  const links = [];
+  const unmatched = [];
+
+  for (const mongoSet of mongoSets) {
+    // migrate-data.js copies the title and createdAt, which pins down the set
+    const candidates = prismaSets.filter((s) => s.title === mongoSet.title
+      && s.createdAt.getTime() === new Date(mongoSet.createdAt).getTime());
+    const prismaSetId = candidates.length === 1 ? candidates[0].id : null;
+
+    for (const mongoQuestion of mongoSet.questions) {
+      const legacyId = mongoQuestion._id.toString();
+      if (linkedLegacyIds.has(legacyId)) continue;
+
+      const available = (unlinkedByKey.get(questionKey(mongoQuestion)) || []).filter((q) => !claimed.has(q.id));
+      const match = available.find((q) => q.questionSetId === prismaSetId && q.orderNum === mongoQuestion.order)
+        || (available.length === 1 ? available[0] : null);
+
+      if (match) {
+        claimed.add(match.id);
+        links.push({ questionId: match.id, legacyId });
+      } else {
+        unmatched.push({ questionSet: mongoSet.title, legacyId, question: mongoQuestion.question });
+      }
+    }
+  }
+
+  return { links, unmatched, alreadyLinked: linkedLegacyIds.size };
+}
+
+async function linkLegacyQuestions() {
+  log.info('\n============================================================');
+  log.info('LEGACY QUESTION LINKER');
+  log.info('============================================================\n');
+
+  if (DRY_RUN) {
+    log.warning('RUNNING IN DRY RUN MODE - NO CHANGES WILL BE MADE');
+  }
+
+  const { links, unmatched, alreadyLinked } = await matchQuestions();
+
+  log.info(`🔗 Already linked: ${alreadyLinked}`);
+  log.info(`   Newly matched: ${links.length}`);
+  log.info(`   Unmatched MongoDB questions: ${unmatched.length}`);
+  unmatched.slice(0, 20).forEach((q) => log.warning(`   ${q.questionSet} / ${q.legacyId}: ${q.question.slice(0, 80)}`));
+
+  if (DRY_RUN) return;
+
+  for (const { questionId, legacyId } of links) {
+    await prisma.question.update({ where: { id: questionId }, data: { legacyId } });
+  }
+  log.success(`Linked ${links.length} question(s)`);
+
+  const linked = await prisma.question.findMany({
+    where: { legacyId: { not: null } },
+    select: { id: true },
+  });
+  for (let start = 0; start < linked.length; start += SYNC_BATCH_SIZE) {
+    await syncLegacyQuestions(linked.slice(start, start + SYNC_BATCH_SIZE).map((q) => q.id));
+  }
+  log.success(`Synced ${linked.length} question(s) to MongoDB`);
+
+  if (!KEEP_UNMATCHED && unmatched.length > 0) {
+    await retireLegacyQuestions(unmatched.map((q) => q.legacyId));
+    log.success(`Hid ${unmatched.length} unmatched question(s) from CBT and Scholars Wager`);
+  }
+}
+
+async function main() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    await linkLegacyQuestions();
+  } catch (error) {
+    log.error(`Script failed: ${error.message}`);
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    await prisma.$disconnect();
+    log.info('\n✅ Script completed\n');
+  }
+}
+
+main();
@@ -93,7 +93,12 @@ async function migrateQuestionSets() {
             options: question.options || null,
             correctAnswer: question.correctAnswer || null,
             points: question.points,
+            explanation: question.explanation || null,
             orderNum: question.order,
+            // Keep the review status; documents older than the workflow are live questions
+            status: question.status || 'published',
+            publishedAt: (question.status || 'published') === 'published' ? new Date() : null,
+            legacyId: question._id.toString(),
           },
         });
 
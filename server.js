@@ -17,13 +17,20 @@ const upload = multer({
     const allowedTypes = [
       'text/csv',
       'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/json',
+      'text/plain',
+      'application/zip',
+      'application/x-zip-compressed'
     ];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers rarely know a MIME type for GIFT/Aiken files
+    const isTextQuestionFile = /\.(gift|aiken|txt)$/i.test(file.originalname);
+
+    if (allowedTypes.includes(file.mimetype) || isTextQuestionFile) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV and Excel files are allowed'));
+      cb(new Error('Only CSV, Excel, JSON, text and zip files are allowed'));
     }
   }
 });
@@ -32,6 +39,11 @@ const upload = multer({
 // Make upload middleware available globally
 app.set('upload', upload);
 
+// Behind a reverse proxy, let req.ip come from X-Forwarded-For (used for rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware 
 app.use(cors());
 app.use(express.json());
@@ -47,6 +59,8 @@ app.use('/api/admin', require('./routes/admin'));
 app.use('/api/quiztaker', require('./routes/quiztaker'));
 app.use('/api/quiz', require('./routes/quiz'));
 app.use('/api/questionset', require('./routes/questionset'));
+app.use('/api/media', require('./routes/media'));
+app.use('/api/taxonomy', require('./routes/taxonomy'));
 // NEW: Public routes for regular students (no authentication required)
 app.use('/api/public/quiz', require('./routes/public.js'));
 app.use('/api/cbt', require('./routes/cbt.js'));
@@ -0,0 +1,115 @@
+// utils/auditLog.js
+const prisma = require('./database');
+
+// Entity types used in audit entries
+const AUDIT_ENTITIES = {
+  QUIZ_TAKER: 'quiztaker',
+  QUIZ: 'quiz',
+  QUESTION_SET: 'questionset',
+  QUESTION: 'question',
+  SUBMISSION: 'submission',
+  ADMIN: 'admin',
+  INVITATION: 'invitation',
+  SETTING: 'setting',
+  MEDIA: 'media',
+  TOPIC: 'topic',
+};
+
+// Secrets never copied into the audit trail
+const REDACTED_FIELDS = [
+  'password',
+  'passwordResetTokenHash',
+  'loginTokenHash',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorChallengeHash',
+  'tokenHash',
+  'refreshTokenHash',
+  'previousTokenHash',
+];
+
+// Fields recorded only by their last characters
+const MASKED_FIELDS = ['accessCode'];
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt'];
+
+const toPlain = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+const sanitize = (record) => {
+  const plain = toPlain(record);
+  if (!plain || typeof plain !== 'object') return {};
+
+  for (const field of [...REDACTED_FIELDS, ...IGNORED_FIELDS]) {
+    delete plain[field];
+  }
+
+  for (const field of MASKED_FIELDS) {
+    if (plain[field]) plain[field] = `***${String(plain[field]).slice(-3)}`;
+  }
+
+  return plain;
+};
+
+/**
+ * Field-level diff between two versions of a record
+ * @param {Object|null} before - Record before the change (null on create)
+ * @param {Object|null} after - Record after the change (null on delete)
+ * @returns {Object} { field: { from, to } } for every field that differs
+ */
+const diffRecords = (before, after) => {
+  const from = sanitize(before);
+  const to = sanitize(after);
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = {
+        from: from[field] === undefined ? null : from[field],
+        to: to[field] === undefined ? null : to[field],
+      };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Write an audit entry for an admin action.
+ * Failures are logged and swallowed so they never undo the action itself.
+ * @param {Object} req - Express request (actor, IP and user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'quiztaker.update'
+ * @param {string} entry.entityType - One of AUDIT_ENTITIES
+ * @param {string} [entry.entityId] - ID of the affected record
+ * @param {Object} [entry.before] - Record before the change
+ * @param {Object} [entry.after] - Record after the change
+ * @param {Object} [entry.metadata] - Extra context (bulk results, related IDs)
+ */
+const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, metadata }) => {
+  try {
+    const changes = diffRecords(before, after);
+
+    await prisma.auditLog.create({
+      data: {
+        actorId: req.admin?.id || null,
+        actorEmail: req.admin?.email || null,
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : null,
+        changes: Object.keys(changes).length > 0 ? changes : undefined,
+        metadata: metadata ? toPlain(metadata) : undefined,
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent')?.substring(0, 500) || null,
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log (${action}):`, error);
+  }
+};
+
+module.exports = {
+  AUDIT_ENTITIES,
+  diffRecords,
+  recordAudit,
+};
@@ -0,0 +1,234 @@
+// utils/duplicateDetection.js
+// Finds exact and near-duplicate questions by comparing normalised text and options
+const prisma = require('./database');
+
+const DEFAULT_THRESHOLD = 0.85;
+
+// Words shared by most questions say nothing about duplication
+const MAX_TOKEN_FREQUENCY = 200;
+
+/**
+ * Lower-case, strip accents and punctuation, collapse whitespace
+ * @param {*} value - Question text or option
+ */
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizeOptions = (options) => (Array.isArray(options)
+  ? options.map(normalizeText).filter((opt) => opt).sort()
+  : []);
+
+const trigrams = (text) => {
+  const padded = ` ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Sørensen–Dice coefficient of two sets
+const dice = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+};
+
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) return 1;
+  let shared = 0;
+  for (const item of setA) {
+    if (setB.has(item)) shared++;
+  }
+  return shared / union.size;
+};
+
+const prepare = (question) => {
+  const text = normalizeText(question.question);
+  const options = normalizeOptions(question.options);
+
+  return {
+    question,
+    text,
+    options,
+    grams: trigrams(text),
+    tokens: new Set(text.split(' ').filter((token) => token.length >= 3)),
+    fingerprint: `${question.type}|${text}|${options.join('|')}`,
+  };
+};
+
+/**
+ * Similarity of two prepared questions, 0..1
+ * Text counts for 75% when both have options, otherwise 100%;
+ * questions of different types are marked down.
+ */
+const scorePair = (a, b) => {
+  if (a.fingerprint === b.fingerprint) return 1;
+
+  const textScore = dice(a.grams, b.grams);
+  let score = a.options.length > 0 && b.options.length > 0
+    ? 0.75 * textScore + 0.25 * jaccard(a.options, b.options)
+    : textScore;
+
+  if (a.question.type !== b.question.type) score *= 0.9;
+
+  return Math.round(score * 1000) / 1000;
+};
+
+// Structured answer keys (lists, blanks, pairs) compare by their JSON form
+const answerText = (answer) => (answer !== null && typeof answer === 'object' ? JSON.stringify(answer) : answer);
+
+const sameAnswer = (a, b) => normalizeText(answerText(a.correctAnswer)) === normalizeText(answerText(b.correctAnswer));
+
+/**
+ * Group questions into duplicate clusters
+ * @param {Object[]} questions - Question records (id, type, question, options, correctAnswer, createdAt...)
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.85] - Minimum similarity for two questions to be duplicates
+ * @param {string[]} [options.focusIds] - Only report pairs involving at least one of these questions
+ * @returns {Object[]} Clusters, most similar first
+ */
+const findDuplicateClusters = (questions, { threshold = DEFAULT_THRESHOLD, focusIds = null } = {}) => {
+  const prepared = questions.map(prepare);
+  const focus = focusIds ? new Set(focusIds) : null;
+  const pairs = [];
+  const compared = new Set();
+
+  const compare = (i, j) => {
+    const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+    if (i === j || compared.has(key)) return;
+    compared.add(key);
+
+    const a = prepared[i];
+    const b = prepared[j];
+    if (focus && !focus.has(a.question.id) && !focus.has(b.question.id)) return;
+
+    const score = scorePair(a, b);
+    if (score >= threshold) {
+      pairs.push({ i, j, score, exact: a.fingerprint === b.fingerprint });
+    }
+  };
+
+  // Exact matches, whatever the wording length
+  const byFingerprint = new Map();
+  prepared.forEach((item, index) => {
+    const group = byFingerprint.get(item.fingerprint) || [];
+    group.forEach((other) => compare(other, index));
+    group.push(index);
+    byFingerprint.set(item.fingerprint, group);
+  });
+
+  // Fuzzy matches: only compare questions sharing a reasonably rare word
+  const index = new Map();
+  prepared.forEach((item, position) => {
+    for (const token of item.tokens) {
+      if (!index.has(token)) index.set(token, []);
+      index.get(token).push(position);
+    }
+  });
+
+  prepared.forEach((item, position) => {
+    const candidates = new Set();
+    for (const token of item.tokens) {
+      const postings = index.get(token);
+      if (postings.length > MAX_TOKEN_FREQUENCY) continue;
+      postings.forEach((other) => {
+        if (other > position) candidates.add(other);
+      });
+    }
+    candidates.forEach((other) => compare(position, other));
+  });
+
+  // Union-find over the matching pairs
+  const parent = prepared.map((_, position) => position);
+  const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+  pairs.forEach(({ i, j }) => {
+    parent[find(i)] = find(j);
+  });
+
+  const groups = new Map();
+  pairs.forEach((pair) => {
+    const root = find(pair.i);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+    const group = groups.get(root);
+    group.members.add(pair.i);
+    group.members.add(pair.j);
+    group.pairs.push(pair);
+  });
+
+  const clusters = [...groups.values()].map((group) => {
+    const members = [...group.members]
+      .map((position) => prepared[position].question)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const scores = group.pairs.map((pair) => pair.score);
+
+    return {
+      size: members.length,
+      exact: group.pairs.every((pair) => pair.exact),
+      maxScore: Math.max(...scores),
+      minScore: Math.min(...scores),
+      crossSet: new Set(members.map((q) => q.questionSetId)).size > 1,
+      answersDiffer: members.some((q) => !sameAnswer(q, members[0])),
+      // The oldest question is the natural one to keep
+      suggestedKeepId: members[0].id,
+      questions: members,
+      pairs: group.pairs.map((pair) => ({
+        questionId: prepared[pair.i].question.id,
+        otherQuestionId: prepared[pair.j].question.id,
+        score: pair.score,
+        exact: pair.exact,
+      })),
+    };
+  });
+
+  return clusters.sort((a, b) => b.maxScore - a.maxScore || b.size - a.size);
+};
+
+/**
+ * Load questions to scan for duplicates
+ * @param {Object} [options]
+ * @param {string[]} [options.questionSetIds] - Limit to these sets (all sets when omitted)
+ * @param {boolean} [options.includeArchived=false] - Also compare archived questions
+ */
+const loadQuestionsForScan = ({ questionSetIds, includeArchived = false } = {}) => {
+  return prisma.question.findMany({
+    where: {
+      ...(questionSetIds && { questionSetId: { in: questionSetIds } }),
+      ...(!includeArchived && { isArchived: false }),
+    },
+    select: {
+      id: true,
+      questionSetId: true,
+      type: true,
+      question: true,
+      options: true,
+      correctAnswer: true,
+      points: true,
+      tags: true,
+      isArchived: true,
+      createdAt: true,
+      questionSet: {
+        select: { title: true },
+      },
+    },
+    orderBy: [{ questionSetId: 'asc' }, { orderNum: 'asc' }],
+  });
+};
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeText,
+  findDuplicateClusters,
+  loadQuestionsForScan,
+};
@@ -191,6 +191,169 @@ const sendBulkWelcomeEmails = async (recipients) => {
   return results;
 };
 
+// Shared layout for account emails (invitations, password resets)
+const renderAccountEmail = (heading, contentHtml) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <style>
+      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+      .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+      .header { background-color: #2b73c5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+      .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; border-top: none; }
+      .button { display: inline-block; padding: 12px 30px; background-color: #2b73c5; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+      .footer { text-align: center; margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; color: #777; font-size: 12px; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>${heading}</h1>
+      </div>
+      <div class="content">
+        ${contentHtml}
+      </div>
+      <div class="footer">
+        <p>This is an automated email. Please do not reply to this message.</p>
+        <p>&copy; ${new Date().getFullYear()} BJOT Online. All rights reserved.</p>
+      </div>
+    </div>
+  </body>
+  </html>
+`;
+
+/**
+ * Send an admin invitation email
+ * @param {string} email - Invitee email
+ * @param {string} inviteUrl - Link to the accept-invite page (contains the token)
+ * @param {string} role - Role the invitee will receive
+ * @param {Date} expiresAt - When the invitation stops working
+ */
+const sendAdminInvitationEmail = async (email, inviteUrl, role, expiresAt) => {
+  try {
+    const mailOptions = {
+      from: `"BJOT Admin" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'You have been invited to BJOT Admin',
+      html: renderAccountEmail('BJOT Admin Invitation', `
+        <p>Hello,</p>
+        <p>You have been invited to join the BJOT admin dashboard as <strong>${role}</strong>.</p>
+        <p>Click the button below to set your password and activate your account.</p>
+        <div style="text-align: center;">
+          <a href="${inviteUrl}" class="button">Accept Invitation</a>
+        </div>
+        <p>This invitation can only be used once and expires on ${expiresAt.toUTCString()}.</p>
+        <p>If you were not expecting this invitation, you can ignore this email.</p>
+      `),
+      text: `
+Hello,
+
+You have been invited to join the BJOT admin dashboard as ${role}.
+
+Accept the invitation and set your password here:
+${inviteUrl}
+
+This invitation can only be used once and expires on ${expiresAt.toUTCString()}.
+
+Best regards,
+BJOT Tech Support Team
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`Invitation email sent to ${email}: ${info.messageId}`);
+    return info;
+  } catch (error) {
+    console.error(`Error sending invitation email to ${email}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send an admin password reset email
+ * @param {string} email - Admin email
+ * @param {string} resetUrl - Link to the reset page (contains the token)
+ * @param {number} expiresInMinutes - How long the link stays valid
+ */
+const sendPasswordResetEmail = async (email, resetUrl, expiresInMinutes) => {
+  try {
+    const mailOptions = {
+      from: `"BJOT Admin" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Reset your BJOT Admin password',
+      html: renderAccountEmail('Password Reset', `
+        <p>Hello,</p>
+        <p>We received a request to reset the password for your BJOT admin account.</p>
+        <div style="text-align: center;">
+          <a href="${resetUrl}" class="button">Reset Password</a>
+        </div>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you did not request a password reset, you can ignore this email. Your password will not change.</p>
+      `),
+      text: `
+Hello,
+
+We received a request to reset the password for your BJOT admin account.
+
+Reset your password here:
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not request a password reset, you can ignore this email.
+
+Best regards,
+BJOT Tech Support Team
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`Password reset email sent to ${email}: ${info.messageId}`);
+    return info;
+  } catch (error) {
+    console.error(`Error sending password reset email to ${email}:`, error);
+    throw error;
+  }
+};
+
+// One-time login link for regular (non-premium) quiz takers
+const sendQuizTakerLoginEmail = async (email, name, loginUrl, expiresInMinutes) => {
+  try {
+    const mailOptions = {
+      from: `"BJOT Admin" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Your BJOT login link',
+      html: renderAccountEmail('Log In to BJOT', `
+        <p>Hello ${name || 'there'},</p>
+        <p>Use the button below to log in and view your quizzes and results.</p>
+        <div style="text-align: center;">
+          <a href="${loginUrl}" class="button">Log In</a>
+        </div>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you did not ask to log in, you can ignore this email.</p>
+      `),
+      text: `
+Hello ${name || 'there'},
+
+Log in to view your quizzes and results here:
+${loginUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not ask to log in, you can ignore this email.
+
+Best regards,
+BJOT Tech Support Team
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`Login link email sent to ${email}: ${info.messageId}`);
+    return info;
+  } catch (error) {
+    console.error(`Error sending login link email to ${email}:`, error);
+    throw error;
+  }
+};
+
 // Verify email configuration on startup
 const verifyEmailConfig = async () => {
   try {
@@ -204,6 +367,9 @@ const verifyEmailConfig = async () => {
 module.exports = {
   sendAccessCodeEmail,
   sendBulkWelcomeEmails,
+  sendAdminInvitationEmail,
+  sendPasswordResetEmail,
+  sendQuizTakerLoginEmail,
   verifyEmailConfig,
   transporter,
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+// utils/examSession.js
+const prisma = require('./database');
+
+const EXAM_SESSION_CONFLICT_MESSAGE =
+  'This quiz is already in progress on another device. Ask an administrator to release it if that device is no longer in use.';
+
+// A binding only counts while the login session behind it can still be used
+const isBoundSessionActive = async (sessionId) => {
+  const session = await prisma.authSession.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+/**
+ * Check whether a login session may work on an assigned quiz
+ * @param {Object} assignedQuiz - AssignedQuiz record
+ * @param {string} sessionId - Caller's AuthSession ID (req.sessionId)
+ */
+const canUseExamSession = async (assignedQuiz, sessionId) => {
+  if (!assignedQuiz.examSessionId || assignedQuiz.examSessionId === sessionId) {
+    return true;
+  }
+
+  return !(await isBoundSessionActive(assignedQuiz.examSessionId));
+};
+
+/**
+ * Bind an assigned quiz to the caller's login session.
+ * Takes over bindings whose session was revoked or has expired.
+ * @param {Object} assignedQuiz - AssignedQuiz record
+ * @param {string} sessionId - Caller's AuthSession ID (req.sessionId)
+ * @returns {Promise<boolean>} false if another active device holds the quiz
+ */
+const claimExamSession = async (assignedQuiz, sessionId) => {
+  if (assignedQuiz.examSessionId === sessionId) {
+    return true;
+  }
+
+  if (!(await canUseExamSession(assignedQuiz, sessionId))) {
+    return false;
+  }
+
+  // Only claim if nobody else claimed it since the record was read
+  const { count } = await prisma.assignedQuiz.updateMany({
+    where: {
+      id: assignedQuiz.id,
+      examSessionId: assignedQuiz.examSessionId,
+    },
+    data: {
+      examSessionId: sessionId,
+      examSessionClaimedAt: new Date(),
+    },
+  });
+
+  return count === 1;
+};
+
+const releaseExamSession = async (assignedQuizId) => {
+  return prisma.assignedQuiz.update({
+    where: { id: assignedQuizId },
+    data: {
+      examSessionId: null,
+      examSessionClaimedAt: null,
+    },
+  });
+};
+
+module.exports = {
+  EXAM_SESSION_CONFLICT_MESSAGE,
+  canUseExamSession,
+  claimExamSession,
+  releaseExamSession,
+};
@@ -0,0 +1,237 @@
+// utils/grading.js
+// Scoring for fill-in-the-blanks and the structured question types, shared by every
+// exam flow (quiz taker, public quiz, CBT). Choice and essay questions are still graded inline.
+
+const vm = require('vm');
+
+// Question types graded here rather than inline
+const STRUCTURED_QUESTION_TYPES = ['fill-in-the-blanks', 'multi-select', 'matching', 'ordering', 'numeric'];
+
+const TOLERANCE_TYPES = ['absolute', 'relative'];
+
+// Guards against float noise such as 0.1 + 0.2 failing a zero tolerance
+const EPSILON = 1e-9;
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// Fill-in-the-blanks matching rules; the defaults reproduce the old trimmed, case-insensitive comparison
+const DEFAULT_BLANK_RULES = {
+  caseSensitive: false,
+  normalizeWhitespace: true,
+  ignorePunctuation: false,
+  regex: false,
+  numeric: false,
+};
+
+// Longest answer a regex pattern is run against
+const MAX_BLANK_ANSWER_LENGTH = 500;
+
+// Longest a regex answer check may run before it counts as a wrong answer
+const BLANK_PATTERN_TIMEOUT_MS = 50;
+
+/**
+ * Read a fill-in-the-blanks answer key in either stored form:
+ * a plain string (one blank, one answer) or { blanks: [[accepted...], ...], rules }
+ * @returns {{ blanks: string[][], rules: Object }}
+ */
+const readBlankAnswerKey = (correctAnswer) => {
+  if (correctAnswer && typeof correctAnswer === 'object' && !Array.isArray(correctAnswer)) {
+    return {
+      blanks: (correctAnswer.blanks || []).map((accepted) => (Array.isArray(accepted) ? accepted : [accepted]).map(String)),
+      rules: { ...DEFAULT_BLANK_RULES, ...correctAnswer.rules },
+    };
+  }
+
+  const accepted = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+  return { blanks: [accepted.map((a) => String(a ?? ''))], rules: { ...DEFAULT_BLANK_RULES } };
+};
+
+const normalizeBlank = (value, rules) => {
+  let text = String(value ?? '');
+  if (rules.ignorePunctuation) text = text.replace(/[^\p{L}\p{N}\s]/gu, '');
+  if (rules.normalizeWhitespace) text = text.trim().replace(/\s+/g, ' ');
+  return rules.caseSensitive ? text : text.toLowerCase();
+};
+
+const blankPatternSource = (pattern) => `^(?:${pattern})$`;
+const blankPatternFlags = (rules) => (rules.caseSensitive ? 'u' : 'iu');
+
+const blankPattern = (pattern, rules) => new RegExp(blankPatternSource(pattern), blankPatternFlags(rules));
+
+/**
+ * Whether a pattern repeats a group that itself repeats or alternates, e.g. (a+)+ or (a|ab)*.
+ * Those can backtrack exponentially on a near-miss answer.
+ */
+const hasNestedQuantifier = (pattern) => {
+  // One entry per open group: does it contain repetition or alternatives?
+  const groups = [false];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')' && groups.length > 1) {
+      const repeats = groups.pop();
+      const quantified = /^(?:[*+]|\{\d*,)/.test(pattern.slice(i + 1));
+      if (repeats && quantified) return true;
+      if (repeats || quantified) groups[groups.length - 1] = true;
+    } else if ('*+{|'.includes(char)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check a regex answer pattern before it is saved
+ * @returns {string|null} Error message
+ */
+const checkBlankPattern = (pattern, rules) => {
+  try {
+    blankPattern(pattern, rules);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (hasNestedQuantifier(pattern)) {
+    return 'a repeated group cannot contain its own repetition or alternatives, e.g. (a+)+, as checking answers could hang';
+  }
+
+  return null;
+};
+
+// Patterns run in a sandbox with a time limit, so one slow pattern can't stall every submission
+const patternSandbox = vm.createContext({});
+const patternTest = new vm.Script('new RegExp(source, flags).test(text)');
+
+const testBlankPattern = (pattern, rules, text) => {
+  Object.assign(patternSandbox, { source: blankPatternSource(pattern), flags: blankPatternFlags(rules), text });
+
+  try {
+    return patternTest.runInContext(patternSandbox, { timeout: BLANK_PATTERN_TIMEOUT_MS }) === true;
+  } catch (error) {
+    console.error(`Answer pattern '${pattern}' failed or timed out:`, error.message);
+    return false;
+  }
+};
+
+const blankMatches = (answer, accepted, rules) => {
+  const given = String(answer ?? '').trim();
+  if (given === '') return false;
+
+  // "3.0" and "3" are the same answer
+  if (rules.numeric) {
+    const number = Number(given);
+    const expected = Number(String(accepted).trim());
+    if (Number.isFinite(number) && Number.isFinite(expected) && Math.abs(number - expected) <= EPSILON) {
+      return true;
+    }
+  }
+
+  if (rules.regex) {
+    const text = normalizeBlank(given, { ...rules, caseSensitive: true });
+    return text.length <= MAX_BLANK_ANSWER_LENGTH && testBlankPattern(accepted, rules, text);
+  }
+
+  return normalizeBlank(given, rules) === normalizeBlank(accepted, rules);
+};
+
+// Share of blanks filled with an accepted answer; answer is a string, or one string per blank
+const fillInTheBlanksFraction = (answer, correctAnswer) => {
+  const { blanks, rules } = readBlankAnswerKey(correctAnswer);
+  if (blanks.length === 0) return 0;
+
+  const answers = Array.isArray(answer) ? answer : [answer];
+  const right = blanks.filter((accepted, index) =>
+    accepted.some((option) => blankMatches(answers[index], option, rules))).length;
+
+  return right / blanks.length;
+};
+
+// Share of a multi-select question earned: each wrong pick cancels a right one
+const multiSelectFraction = (answer, correctAnswer) => {
+  const correct = new Set((Array.isArray(correctAnswer) ? correctAnswer : []).map(normalize));
+  const selected = new Set((Array.isArray(answer) ? answer : [answer]).map(normalize).filter((a) => a));
+  if (correct.size === 0) return 0;
+
+  let right = 0;
+  let wrong = 0;
+  selected.forEach((choice) => (correct.has(choice) ? right++ : wrong++));
+
+  return Math.max(0, (right - wrong) / correct.size);
+};
+
+// Share of matching pairs answered correctly; answer is { prompt: choice }
+const matchingFraction = (answer, correctAnswer) => {
+  const pairs = Object.entries(correctAnswer || {});
+  if (pairs.length === 0 || !answer || typeof answer !== 'object') return 0;
+
+  const given = new Map(Object.entries(answer).map(([prompt, choice]) => [normalize(prompt), normalize(choice)]));
+  const right = pairs.filter(([prompt, choice]) => given.get(normalize(prompt)) === normalize(choice)).length;
+
+  return right / pairs.length;
+};
+
+// Ordering is all or nothing
+const orderingFraction = (answer, correctAnswer) => {
+  if (!Array.isArray(answer) || !Array.isArray(correctAnswer) || answer.length !== correctAnswer.length) return 0;
+  return answer.every((item, index) => normalize(item) === normalize(correctAnswer[index])) ? 1 : 0;
+};
+
+const numericFraction = (answer, correctAnswer) => {
+  if (answer === null || answer === undefined || String(answer).trim() === '') return 0;
+
+  const value = Number(String(answer).trim());
+  const expected = Number(correctAnswer?.value);
+  if (!Number.isFinite(value) || !Number.isFinite(expected)) return 0;
+
+  const tolerance = Number(correctAnswer.tolerance) || 0;
+  const allowed = correctAnswer.toleranceType === 'relative'
+    ? Math.abs(expected) * tolerance
+    : tolerance;
+
+  return Math.abs(value - expected) <= allowed + EPSILON ? 1 : 0;
+};
+
+const FRACTIONS = {
+  'fill-in-the-blanks': fillInTheBlanksFraction,
+  'multi-select': multiSelectFraction,
+  matching: matchingFraction,
+  ordering: orderingFraction,
+  numeric: numericFraction,
+};
+
+/**
+ * Grade an answer to a fill-in-the-blanks, multi-select, matching, ordering or numeric question
+ * @param {Object} question - { type, correctAnswer, points }
+ * @param {*} answer - The submitted answer
+ * @returns {{ isCorrect: boolean, pointsAwarded: number }} isCorrect only on full marks
+ */
+const gradeStructuredAnswer = (question, answer) => {
+  const fraction = FRACTIONS[question.type](answer, question.correctAnswer);
+
+  return {
+    isCorrect: fraction === 1,
+    pointsAwarded: roundPoints((question.points || 0) * fraction),
+  };
+};
+
+module.exports = {
+  STRUCTURED_QUESTION_TYPES,
+  TOLERANCE_TYPES,
+  DEFAULT_BLANK_RULES,
+  readBlankAnswerKey,
+  checkBlankPattern,
+  gradeStructuredAnswer,
+};
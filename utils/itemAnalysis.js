@@ -0,0 +1,316 @@
+// utils/itemAnalysis.js
+// Classical test theory statistics per question, from quiz and CBT answers
+const prisma = require('./database');
+
+// Share of attempts in each of the upper and lower groups
+const GROUP_FRACTION = 0.27;
+
+// Below this many responses the indices are too noisy to act on
+const MIN_RESPONSES = 30;
+
+const NO_ANSWER = '(no answer)';
+const OTHER_ANSWER = '(other)';
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 1000) / 1000);
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+// Pearson correlation; with a 0/1 item score this is the point-biserial
+const correlation = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const mx = mean(xs);
+  const my = mean(ys);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+
+  return vx === 0 || vy === 0 ? null : covariance / Math.sqrt(vx * vy);
+};
+
+const answerKey = (value) => (value === null || value === undefined || value === ''
+  ? null
+  : String(value).trim().toLowerCase());
+
+/**
+ * Turn a stored answer into a response record
+ * @param {Object} answer - SubmissionAnswer or CbtAnswer fields
+ * @param {Object} attempt - { id, score, totalPoints } of the whole submission
+ */
+const toResponse = (questionId, answer, attempt) => {
+  const itemScore = answer.pointsPossible > 0
+    ? answer.pointsAwarded / answer.pointsPossible
+    : answer.isCorrect ? 1 : 0;
+  const restPossible = attempt.totalPoints - answer.pointsPossible;
+
+  return {
+    questionId,
+    attemptId: attempt.id,
+    answer: answer.answer,
+    itemScore: Math.min(1, Math.max(0, itemScore)),
+    // Score on the rest of the test, so the item doesn't correlate with itself
+    restScore: restPossible > 0 ? (attempt.score - answer.pointsAwarded) / restPossible : null,
+  };
+};
+
+/**
+ * Load every graded response to the given questions
+ * Quiz answers are traced back through their snapshot's originalQuestionId.
+ * Ungraded answers (essays awaiting a grader, in-progress attempts) are skipped.
+ * @param {string[]} questionIds - Question IDs
+ * @returns {Promise<Map<string, Object[]>>} questionId -> responses
+ */
+const loadResponses = async (questionIds) => {
+  const [quizAnswers, cbtAnswers] = await Promise.all([
+    prisma.submissionAnswer.findMany({
+      where: {
+        quizQuestion: { originalQuestionId: { in: questionIds } },
+        submission: { status: { not: 'in-progress' } },
+        isCorrect: { not: null },
+      },
+      select: {
+        answer: true,
+        isCorrect: true,
+        pointsAwarded: true,
+        pointsPossible: true,
+        quizQuestion: { select: { originalQuestionId: true } },
+        submission: { select: { id: true, score: true, totalPoints: true } },
+      },
+    }),
+    prisma.cbtAnswer.findMany({
+      where: {
+        questionId: { in: questionIds },
+        cbtSubmission: { submittedAt: { not: null } },
+        isCorrect: { not: null },
+      },
+      select: {
+        questionId: true,
+        answer: true,
+        isCorrect: true,
+        pointsAwarded: true,
+        pointsPossible: true,
+        cbtSubmission: { select: { id: true, score: true, totalPoints: true } },
+      },
+    }),
+  ]);
+
+  const responses = new Map(questionIds.map((id) => [id, []]));
+
+  quizAnswers.forEach((a) => {
+    responses.get(a.quizQuestion.originalQuestionId)
+      ?.push(toResponse(a.quizQuestion.originalQuestionId, a, a.submission));
+  });
+  cbtAnswers.forEach((a) => {
+    responses.get(a.questionId)?.push(toResponse(a.questionId, a, a.cbtSubmission));
+  });
+
+  return responses;
+};
+
+/**
+ * Choice counts overall and in the upper/lower groups
+ * @param {Object} question - Question record (options, correctAnswer)
+ * @param {Object[]} responses - All responses
+ * @param {Set} upper - Responses in the upper group
+ * @param {Set} lower - Responses in the lower group
+ */
+const analyzeDistractors = (question, responses, upper, lower) => {
+  const choices = question.type === 'true-false'
+    ? ['true', 'false']
+    : (Array.isArray(question.options) ? question.options : []).map(String);
+  const correctKey = answerKey(question.correctAnswer);
+  const rows = new Map(choices.map((choice) => [answerKey(choice), {
+    option: choice,
+    isCorrect: answerKey(choice) === correctKey,
+    count: 0,
+    upperCount: 0,
+    lowerCount: 0,
+  }]));
+
+  const rowFor = (answer) => {
+    const key = answerKey(answer);
+    const label = key === null ? NO_ANSWER : OTHER_ANSWER;
+    if (key !== null && rows.has(key)) return rows.get(key);
+    if (!rows.has(label)) {
+      rows.set(label, { option: label, isCorrect: false, count: 0, upperCount: 0, lowerCount: 0 });
+    }
+    return rows.get(label);
+  };
+
+  responses.forEach((response) => {
+    const row = rowFor(response.answer);
+    row.count++;
+    if (upper.has(response)) row.upperCount++;
+    if (lower.has(response)) row.lowerCount++;
+  });
+
+  return [...rows.values()].map((row) => {
+    const upperProportion = upper.size > 0 ? row.upperCount / upper.size : null;
+    const lowerProportion = lower.size > 0 ? row.lowerCount / lower.size : null;
+    const discrimination = upperProportion !== null && lowerProportion !== null
+      ? upperProportion - lowerProportion
+      : null;
+    const proportion = responses.length > 0 ? row.count / responses.length : 0;
+    const flags = [];
+
+    if (!row.isCorrect && ![NO_ANSWER, OTHER_ANSWER].includes(row.option)) {
+      // A distractor nobody picks isn't doing its job
+      if (proportion < 0.05) flags.push('non_functioning');
+      // Strong candidates shouldn't prefer a wrong option
+      if (discrimination !== null && discrimination > 0) flags.push('attracts_high_scorers');
+    }
+
+    return {
+      ...row,
+      proportion: round(proportion),
+      upperProportion: round(upperProportion),
+      lowerProportion: round(lowerProportion),
+      discrimination: round(discrimination),
+      flags,
+    };
+  });
+};
+
+const difficultyLabel = (facility) => {
+  if (facility === null) return null;
+  if (facility > 0.7) return 'easy';
+  if (facility < 0.3) return 'hard';
+  return 'moderate';
+};
+
+/**
+ * Classical item statistics for one question
+ * @param {Object} question - Question record
+ * @param {Object[]} responses - Responses from loadResponses
+ */
+const analyzeItem = (question, responses) => {
+  const responseCount = responses.length;
+  const facility = mean(responses.map((r) => r.itemScore));
+
+  const ranked = responses
+    .filter((r) => r.restScore !== null)
+    .sort((a, b) => b.restScore - a.restScore);
+  const groupSize = ranked.length >= 2 ? Math.max(1, Math.round(ranked.length * GROUP_FRACTION)) : 0;
+  const upper = new Set(ranked.slice(0, groupSize));
+  const lower = new Set(groupSize > 0 ? ranked.slice(-groupSize) : []);
+  const discrimination = groupSize > 0
+    ? mean([...upper].map((r) => r.itemScore)) - mean([...lower].map((r) => r.itemScore))
+    : null;
+  const pointBiserial = correlation(ranked.map((r) => r.itemScore), ranked.map((r) => r.restScore));
+
+  const distractors = ['multiple-choice', 'true-false'].includes(question.type)
+    ? analyzeDistractors(question, responses, upper, lower)
+    : null;
+
+  const flags = [];
+  if (facility !== null && facility > 0.9) flags.push('too_easy');
+  if (facility !== null && facility < 0.2) flags.push('too_hard');
+  if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+  else if (discrimination !== null && discrimination < 0.2) flags.push('low_discrimination');
+  if (pointBiserial !== null && pointBiserial < 0.1) flags.push('low_point_biserial');
+  if (distractors?.some((d) => d.flags.length > 0)) flags.push('distractor_issues');
+
+  const reliable = responseCount >= MIN_RESPONSES;
+  let recommendation = null;
+  if (reliable) {
+    if (flags.includes('negative_discrimination') || (flags.includes('low_discrimination') && flags.includes('low_point_biserial'))) {
+      recommendation = 'retire';
+    } else if (flags.length > 0) {
+      recommendation = 'review';
+    } else {
+      recommendation = 'keep';
+    }
+  }
+
+  return {
+    responseCount,
+    reliable,
+    facility: round(facility),
+    difficulty: difficultyLabel(facility),
+    discrimination: round(discrimination),
+    upperGroupSize: upper.size,
+    lowerGroupSize: lower.size,
+    pointBiserial: round(pointBiserial),
+    distractors,
+    flags,
+    recommendation,
+  };
+};
+
+/**
+ * Recompute item statistics for every question in a set and store them
+ * on each question's metadata (itemAnalysis, derivedDifficulty)
+ * @param {string} questionSetId - Question set ID
+ * @returns {Promise<Object[]>} { questionId, orderNum, type, question, isArchived, analysis }
+ */
+const runItemAnalysis = async (questionSetId) => {
+  const questions = await prisma.question.findMany({
+    where: { questionSetId },
+    orderBy: { orderNum: 'asc' },
+  });
+
+  const responses = await loadResponses(questions.map((q) => q.id));
+  const computedAt = new Date().toISOString();
+
+  const results = questions.map((question) => ({
+    question,
+    analysis: { ...analyzeItem(question, responses.get(question.id)), computedAt },
+  }));
+
+  await prisma.$transaction(results.map(({ question, analysis }) => prisma.question.update({
+    where: { id: question.id },
+    data: {
+      metadata: {
+        ...question.metadata,
+        derivedDifficulty: analysis.difficulty,
+        itemAnalysis: analysis,
+      },
+    },
+  })));
+
+  return results.map(({ question, analysis }) => ({
+    questionId: question.id,
+    orderNum: question.orderNum,
+    type: question.type,
+    question: question.question,
+    isArchived: question.isArchived,
+    analysis,
+  }));
+};
+
+/**
+ * Set-level roll-up of per-question results
+ * @param {Object[]} items - Output of runItemAnalysis (or stored equivalents)
+ */
+const summarizeItemAnalysis = (items) => {
+  const analysed = items.filter((item) => item.analysis && item.analysis.responseCount > 0);
+  const countBy = (field) => analysed.reduce((counts, item) => {
+    const value = item.analysis[field];
+    if (value) counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    questionCount: items.length,
+    analysedCount: analysed.length,
+    meanFacility: round(mean(analysed.map((item) => item.analysis.facility))),
+    meanDiscrimination: round(mean(analysed.map((item) => item.analysis.discrimination).filter((d) => d !== null))),
+    byDifficulty: countBy('difficulty'),
+    byRecommendation: countBy('recommendation'),
+  };
+};
+
+module.exports = {
+  MIN_RESPONSES,
+  analyzeItem,
+  loadResponses,
+  runItemAnalysis,
+  summarizeItemAnalysis,
+};
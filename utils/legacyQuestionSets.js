@@ -0,0 +1,82 @@
+// utils/legacyQuestionSets.js
+// The CBT and Scholars Wager flows still read question sets from MongoDB. Questions
+// migrated from there remember their MongoDB _id (legacyId), and every change made in
+// the Prisma bank is copied back, so those flows serve the content a reviewer approved
+// and only while it is published.
+const QuestionSet = require('../models/QuestionSet');
+const prisma = require('./database');
+
+// Question fields mirrored onto the MongoDB copy (CBT results and Scholars Wager
+// answers show the explanation from there)
+const SYNCED_FIELDS = [
+  'type',
+  'question',
+  'options',
+  'correctAnswer',
+  'points',
+  'explanation',
+  'explanationMediaId',
+  'status',
+  'isArchived',
+];
+
+const SYNCED_SELECT = Object.fromEntries([...SYNCED_FIELDS, 'legacyId'].map((field) => [field, true]));
+
+/**
+ * Set fields on MongoDB question copies, saving each affected set once
+ * @param {Map<string, Object>} changesByLegacyId - MongoDB question _id -> fields to set
+ */
+const applyLegacyChanges = async (changesByLegacyId) => {
+  if (changesByLegacyId.size === 0) return;
+
+  const questionSets = await QuestionSet.find({
+    'questions._id': { $in: [...changesByLegacyId.keys()] },
+  });
+
+  for (const questionSet of questionSets) {
+    questionSet.questions.forEach((question) => {
+      const changes = changesByLegacyId.get(question._id.toString());
+      if (changes) question.set(changes);
+    });
+
+    // Saving recounts the set's published questions and points
+    await questionSet.save();
+  }
+};
+
+/**
+ * Copy the current content, review status and archive flag of migrated questions
+ * to their MongoDB copies
+ * @param {string[]} questionIds - Prisma question IDs; ones without a legacyId are skipped
+ */
+const syncLegacyQuestions = async (questionIds) => {
+  try {
+    const questions = await prisma.question.findMany({
+      where: { id: { in: questionIds }, legacyId: { not: null } },
+      select: SYNCED_SELECT,
+    });
+
+    await applyLegacyChanges(new Map(questions.map(({ legacyId, ...fields }) => [legacyId, fields])));
+  } catch (error) {
+    console.error('Failed to sync questions to MongoDB:', error);
+  }
+};
+
+/**
+ * Hide the MongoDB copies of deleted questions. They stay in their sets so past
+ * CBT submissions and game sessions can still look them up.
+ * @param {(string|null)[]} legacyIds - legacyId of each deleted question
+ */
+const retireLegacyQuestions = async (legacyIds) => {
+  try {
+    await applyLegacyChanges(new Map(legacyIds.filter(Boolean).map((id) => [id, { isArchived: true }])));
+  } catch (error) {
+    console.error('Failed to hide deleted questions in MongoDB:', error);
+  }
+};
+
+module.exports = {
+  SYNCED_FIELDS,
+  syncLegacyQuestions,
+  retireLegacyQuestions,
+};
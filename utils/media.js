@@ -0,0 +1,196 @@
+// utils/media.js
+const crypto = require('crypto');
+const path = require('path');
+const prisma = require('./database');
+
+const MEDIA_MAX_SIZE = (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+// Signed media URLs let <img>/<audio> tags load files without an Authorization header
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 60 * 60;
+
+// Leading bytes of each type we accept, so a renamed file can't pass as an image
+const SIGNATURES = {
+  'image/png': [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+  'image/jpeg': [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+  'image/gif': [{ offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }],
+  'image/webp': [{ offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] }, { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }],
+  'application/pdf': [{ offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] }],
+  'audio/mpeg': [{ offset: 0, bytes: [0x49, 0x44, 0x33] }],
+  'video/mp4': [{ offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] }],
+};
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'audio/mpeg': '.mp3',
+  'video/mp4': '.mp4',
+};
+
+// Images by default; MEDIA_ALLOWED_TYPES can widen this to any type in SIGNATURES
+const ALLOWED_MEDIA_TYPES = (process.env.MEDIA_ALLOWED_TYPES || 'image/png,image/jpeg,image/gif,image/webp')
+  .split(',')
+  .map((type) => type.trim())
+  .filter((type) => SIGNATURES[type]);
+
+const matchesSignature = (buffer, mimeType) => SIGNATURES[mimeType].every(({ offset, bytes }) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte));
+
+/**
+ * Check an uploaded file's declared type, real content and size
+ * @param {Object} file - multer file (buffer, mimetype, size)
+ * @returns {string[]} Validation errors
+ */
+const validateMediaFile = (file) => {
+  const errors = [];
+
+  if (!ALLOWED_MEDIA_TYPES.includes(file.mimetype)) {
+    errors.push(`File type ${file.mimetype} is not allowed. Allowed types: ${ALLOWED_MEDIA_TYPES.join(', ')}`);
+  } else if (!matchesSignature(file.buffer, file.mimetype)) {
+    errors.push(`File content does not match its declared type ${file.mimetype}`);
+  }
+
+  if (file.size > MEDIA_MAX_SIZE) {
+    errors.push(`File is larger than the ${MEDIA_MAX_SIZE / (1024 * 1024)}MB limit`);
+  }
+
+  if (file.size === 0) {
+    errors.push('File is empty');
+  }
+
+  return errors;
+};
+
+// Storage key: year/month/random name with the type's extension
+const buildStorageKey = (mimeType) => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return path.posix.join(String(now.getUTCFullYear()), month, `${crypto.randomUUID()}${EXTENSIONS[mimeType] || ''}`);
+};
+
+const signature = (mediaId, expires) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`media:${mediaId}:${expires}`)
+  .digest('hex');
+
+/**
+ * Time-limited URL for a media file
+ * @param {string} mediaId - MediaAsset ID
+ */
+const signMediaUrl = (mediaId) => {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  return `/api/media/${mediaId}?expires=${expires}&signature=${signature(mediaId, expires)}`;
+};
+
+const verifyMediaSignature = (mediaId, expires, providedSignature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof providedSignature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signature(mediaId, expiresAt));
+  const provided = Buffer.from(providedSignature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * IDs among the given ones with no MediaAsset
+ * @param {string[]} mediaIds - Media IDs (blank entries are ignored)
+ * @returns {Promise<string[]>}
+ */
+const findMissingMediaIds = async (mediaIds) => {
+  const ids = [...new Set(mediaIds.filter((id) => id))];
+  if (ids.length === 0) return [];
+
+  const found = await prisma.mediaAsset.findMany({
+    where: { id: { in: ids } },
+    select: { id: true },
+  });
+  const foundIds = new Set(found.map((m) => m.id));
+  return ids.filter((id) => !foundIds.has(id));
+};
+
+/**
+ * Validate a question's attachment list against its options
+ * @param {*} attachments - [{ mediaId, optionIndex?, caption? }]; optionIndex links to one option
+ * @param {Array|null} options - The question's options
+ * @returns {Promise<{ data: Object[]|null, errors: string[] }>}
+ */
+const validateAttachments = async (attachments, options) => {
+  if (!Array.isArray(attachments)) {
+    return { data: null, errors: ['Attachments must be an array'] };
+  }
+
+  const errors = [];
+  const optionCount = Array.isArray(options) ? options.length : 0;
+
+  const data = attachments.map((attachment, index) => {
+    const label = `Attachment ${index + 1}`;
+    const optionIndex = attachment?.optionIndex ?? null;
+
+    if (!attachment?.mediaId) {
+      errors.push(`${label}: mediaId is required`);
+    }
+
+    if (optionIndex !== null && (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= optionCount)) {
+      errors.push(`${label}: optionIndex must point at one of the question's ${optionCount} options`);
+    }
+
+    return {
+      mediaId: attachment?.mediaId,
+      optionIndex,
+      caption: attachment?.caption?.toString().trim() || null,
+    };
+  });
+
+  const missing = await findMissingMediaIds(data.map((a) => a.mediaId));
+  missing.forEach((id) => errors.push(`Media ${id} not found`));
+
+  return errors.length > 0 ? { data: null, errors } : { data, errors };
+};
+
+/**
+ * Signed URLs and file types for media referenced by ID
+ * @param {string[]} mediaIds - Media IDs (blank entries are ignored)
+ * @returns {Promise<Map<string, { mediaId: string, mimeType: string, url: string }>>} Missing media are left out
+ */
+const presentMedia = async (mediaIds) => {
+  const ids = [...new Set(mediaIds.filter((id) => id))];
+  if (ids.length === 0) return new Map();
+
+  const media = await prisma.mediaAsset.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, mimeType: true },
+  });
+
+  return new Map(media.map((m) => [m.id, { mediaId: m.id, mimeType: m.mimeType, url: signMediaUrl(m.id) }]));
+};
+
+/**
+ * Add signed URLs and file types to stored attachment lists, for clients
+ * @param {Object[][]} attachmentLists - One stored attachment list per question
+ * @returns {Promise<Object[][]>} Lists in the same order; missing media are dropped
+ */
+const presentAttachments = async (attachmentLists) => {
+  const lists = attachmentLists.map((list) => (Array.isArray(list) ? list : []));
+  const media = await presentMedia(lists.flat().map((a) => a.mediaId));
+
+  return lists.map((list) => list
+    .filter((attachment) => media.has(attachment.mediaId))
+    .map((attachment) => ({ ...attachment, ...media.get(attachment.mediaId) })));
+};
+
+module.exports = {
+  MEDIA_MAX_SIZE,
+  ALLOWED_MEDIA_TYPES,
+  validateMediaFile,
+  buildStorageKey,
+  signMediaUrl,
+  verifyMediaSignature,
+  findMissingMediaIds,
+  validateAttachments,
+  presentMedia,
+  presentAttachments,
+};
@@ -0,0 +1,59 @@
+// utils/mediaStorage.js
+const fs = require('fs');
+const path = require('path');
+
+// Files kept on the local disk under MEDIA_STORAGE_DIR.
+// Any object with a name and the same save/createReadStream/remove methods (e.g. backed by S3) can replace it.
+class LocalMediaStorage {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Keys are generated by us, but never let one escape the storage folder
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid media key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Relative path, e.g. '2026/10/<uuid>.png'
+   * @param {Buffer} buffer - File contents
+   */
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+let storage = new LocalMediaStorage(
+  process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'media'),
+);
+
+// Swap the backing store, e.g. for object storage when running several instances
+const setMediaStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+const getMediaStorage = () => storage;
+
+module.exports = {
+  LocalMediaStorage,
+  setMediaStorage,
+  getMediaStorage,
+};
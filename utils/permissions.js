@@ -0,0 +1,72 @@
+// utils/permissions.js
+
+// Capabilities that admin routes can require
+const PERMISSIONS = {
+  ADMINS_MANAGE: 'admins:manage',
+
+  QUESTION_SETS_READ: 'questionsets:read',
+  QUESTION_SETS_WRITE: 'questionsets:write',
+  QUESTION_SETS_DELETE: 'questionsets:delete',
+  // Approve, reject and unpublish questions in the editorial workflow
+  QUESTIONS_REVIEW: 'questions:review',
+
+  QUIZZES_READ: 'quizzes:read',
+  QUIZZES_WRITE: 'quizzes:write',
+  QUIZZES_DELETE: 'quizzes:delete',
+  QUIZZES_ASSIGN: 'quizzes:assign',
+
+  QUIZTAKERS_READ: 'quiztakers:read',
+  QUIZTAKERS_WRITE: 'quiztakers:write',
+  QUIZTAKERS_DELETE: 'quiztakers:delete',
+
+  SUBMISSIONS_READ: 'submissions:read',
+  SUBMISSIONS_GRADE: 'submissions:grade',
+
+  AUDIT_LOGS_READ: 'auditlogs:read',
+};
+
+const ROLES = {
+  SUPER_ADMIN: 'super-admin',
+  CONTENT_EDITOR: 'content-editor',
+  GRADER: 'grader',
+  VIEWER: 'viewer',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+// The audit trail stays with super-admins even though it is read-only
+const READ_PERMISSIONS = ALL_PERMISSIONS.filter(
+  (p) => p.endsWith(':read') && p !== PERMISSIONS.AUDIT_LOGS_READ
+);
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: ALL_PERMISSIONS,
+  [ROLES.CONTENT_EDITOR]: [
+    ...READ_PERMISSIONS,
+    PERMISSIONS.QUESTION_SETS_WRITE,
+    PERMISSIONS.QUESTION_SETS_DELETE,
+    PERMISSIONS.QUESTIONS_REVIEW,
+    PERMISSIONS.QUIZZES_WRITE,
+  ],
+  [ROLES.GRADER]: [
+    ...READ_PERMISSIONS,
+    PERMISSIONS.SUBMISSIONS_GRADE,
+  ],
+  [ROLES.VIEWER]: READ_PERMISSIONS,
+};
+
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+  return getPermissionsForRole(role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  getPermissionsForRole,
+  hasPermission,
+};
@@ -0,0 +1,516 @@
+// utils/qti.js
+// QTI 2.1 content packages: a zip with an imsmanifest.xml and one assessmentItem file per question
+const { CFB } = require('xlsx');
+const { validateQuestion } = require('./questionBank');
+const { readBlankAnswerKey } = require('./grading');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_ITEM_RESOURCE_TYPE = 'imsqti_item_xmlv2p1';
+const MATCH_CORRECT_TEMPLATE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+// Interactions we know how to turn into a question type
+const SUPPORTED_INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction'];
+
+// Question types itemContentXml can write; the structured types have no mapping yet
+const QTI_EXPORT_TYPES = ['multiple-choice', 'true-false', 'fill-in-the-blanks', 'essay'];
+
+// Fill-in-the-blanks questions mark the blank with three or more underscores
+const BLANK_PATTERN = /_{3,}/;
+
+// Elements whose text should not run into their neighbours
+const BLOCK_ELEMENTS = ['p', 'div', 'br', 'li', 'prompt', 'simpleChoice', 'blockquote', 'td', 'th'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+// Element names without their namespace prefix (imsmd:title -> title)
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Minimal XML reader for QTI packages - elements, attributes and text only.
+ * @param {string} xml - XML document
+ * @returns {Object} Root node: { name, attributes, children }; text nodes are { text }
+ */
+const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const [, cdata, closing, opening, attributeText, selfClosing, text, stray] = match;
+    const parent = stack[stack.length - 1];
+
+    if (stray) {
+      throw new Error(`Malformed XML near character ${match.index}`);
+    } else if (cdata !== undefined) {
+      parent.children.push({ text: cdata });
+    } else if (text !== undefined) {
+      parent.children.push({ text: decodeEntities(text) });
+    } else if (closing) {
+      if (stack.length === 1 || localName(parent.name) !== localName(closing)) {
+        throw new Error(`Unexpected closing tag </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const attributes = {};
+      const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        attributes[localName(attribute[1])] = decodeEntities(attribute[2] ?? attribute[3]);
+      }
+
+      const element = { name: localName(opening), attributes, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+};
+
+const isElement = (node) => node.name !== undefined;
+
+// Depth-first search for descendants matching a name or predicate
+const findAll = (node, match) => {
+  const test = typeof match === 'function' ? match : (n) => n.name === match;
+  const found = [];
+
+  for (const child of node.children || []) {
+    if (!isElement(child)) continue;
+    if (test(child)) found.push(child);
+    found.push(...findAll(child, test));
+  }
+
+  return found;
+};
+
+const findFirst = (node, match) => findAll(node, match)[0] || null;
+
+const normalizeWhitespace = (value) => value.replace(/\s+/g, ' ').trim();
+
+/**
+ * Text of a node and its descendants
+ * @param {Object} node - Parsed XML node
+ * @param {Function} [replace] - Called for each element; a string return value replaces that element's text
+ */
+const textContent = (node, replace) => {
+  if (!isElement(node)) return node.text;
+
+  const replacement = replace?.(node);
+  if (typeof replacement === 'string') return replacement;
+
+  const text = node.children.map((child) => textContent(child, replace)).join('');
+  return BLOCK_ELEMENTS.includes(node.name) ? ` ${text} ` : text;
+};
+
+const isInteraction = (node) => node.name.endsWith('Interaction');
+
+// ==================== EXPORT ====================
+
+const responseDeclarationXml = (baseType, correctValue) => {
+  const correctResponse = correctValue == null || correctValue === ''
+    ? ''
+    : `
+    <correctResponse>
+      <value>${escapeXml(correctValue)}</value>
+    </correctResponse>
+  `;
+
+  return `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="${baseType}">${correctResponse}</responseDeclaration>`;
+};
+
+const choiceInteractionXml = (prompt, choices) => `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(prompt)}</prompt>
+${choices.map((choice) => `      <simpleChoice identifier="${choice.identifier}">${escapeXml(choice.text)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`;
+
+// Build the response declaration and item body for one of our question types
+const itemContentXml = (question) => {
+  if (question.type === 'multiple-choice') {
+    const choices = (question.options || []).map((text, index) => ({
+      identifier: `CHOICE_${index + 1}`,
+      text,
+    }));
+    const correct = choices.find((choice) => choice.text === question.correctAnswer);
+
+    return {
+      responseDeclaration: responseDeclarationXml('identifier', correct?.identifier),
+      itemBody: choiceInteractionXml(question.question, choices),
+      scored: true,
+    };
+  }
+
+  if (question.type === 'true-false') {
+    const correctAnswer = question.correctAnswer === true || String(question.correctAnswer).toLowerCase() === 'true';
+
+    return {
+      responseDeclaration: responseDeclarationXml('identifier', correctAnswer ? 'true' : 'false'),
+      itemBody: choiceInteractionXml(question.question, [
+        { identifier: 'true', text: 'True' },
+        { identifier: 'false', text: 'False' },
+      ]),
+      scored: true,
+    };
+  }
+
+  if (question.type === 'fill-in-the-blanks') {
+    const interaction = '<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/>';
+    const [before, ...rest] = question.question.split(BLANK_PATTERN);
+    const body = rest.length > 0
+      ? `<p>${escapeXml(before)}${interaction}${escapeXml(rest.join('____'))}</p>`
+      : `<p>${escapeXml(question.question)}</p>
+    <p>${interaction}</p>`;
+
+    // match_correct scores a single response, so only the first blank's first answer survives
+    const { blanks } = readBlankAnswerKey(question.correctAnswer);
+
+    return {
+      responseDeclaration: responseDeclarationXml('string', blanks[0]?.[0]),
+      itemBody: body,
+      scored: true,
+    };
+  }
+
+  // essay
+  return {
+    responseDeclaration: responseDeclarationXml('string', question.correctAnswer),
+    itemBody: `<extendedTextInteraction responseIdentifier="RESPONSE">
+      <prompt>${escapeXml(question.question)}</prompt>
+    </extendedTextInteraction>`,
+    scored: false,
+  };
+};
+
+const itemIdentifier = (question) => `ITEM-${question.id}`;
+const itemHref = (question) => `items/${question.id}.xml`;
+
+const assessmentItemXml = (question, index) => {
+  const { responseDeclaration, itemBody, scored } = itemContentXml(question);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="${itemIdentifier(question)}" title="Question ${index + 1}" adaptive="false" timeDependent="false">
+  ${responseDeclaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>${question.points}</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    ${itemBody}
+  </itemBody>${scored ? `
+  <responseProcessing template="${MATCH_CORRECT_TEMPLATE}"/>` : ''}
+</assessmentItem>
+`;
+};
+
+const manifestXml = (questionSet, questions) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2"
+  identifier="MANIFEST-${questionSet.id}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+    <imsmd:lom>
+      <imsmd:general>
+        <imsmd:title>
+          <imsmd:langstring xml:lang="en">${escapeXml(questionSet.title)}</imsmd:langstring>
+        </imsmd:title>
+      </imsmd:general>
+    </imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+${questions.map((question) => `    <resource identifier="${itemIdentifier(question)}" type="${QTI_ITEM_RESOURCE_TYPE}" href="${itemHref(question)}">
+      <file href="${itemHref(question)}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+/**
+ * Build a QTI 2.1 content package for a question set
+ * @param {Object} questionSet - { id, title }
+ * @param {Object[]} questions - Question records in order
+ * @returns {Buffer} Zip file contents
+ */
+const buildQtiPackage = (questionSet, questions) => {
+  const zip = CFB.utils.cfb_new();
+
+  CFB.utils.cfb_add(zip, 'imsmanifest.xml', Buffer.from(manifestXml(questionSet, questions), 'utf-8'));
+  questions.forEach((question, index) => {
+    CFB.utils.cfb_add(zip, itemHref(question), Buffer.from(assessmentItemXml(question, index), 'utf-8'));
+  });
+
+  return CFB.write(zip, { fileType: 'zip', type: 'buffer' });
+};
+
+// ==================== IMPORT ====================
+
+// Map zip entries to their contents, keyed by path inside the package
+const readZipEntries = (buffer) => {
+  const zip = CFB.read(buffer, { type: 'buffer' });
+  const entries = new Map();
+
+  zip.FullPaths.forEach((fullPath, index) => {
+    const entry = zip.FileIndex[index];
+    const path = fullPath.replace(/^Root Entry\//, '');
+
+    if (entry.type === 2 && entry.content && !path.endsWith('/') && !path.startsWith('\u0001')) {
+      entries.set(path, Buffer.from(entry.content).toString('utf-8'));
+    }
+  });
+
+  return entries;
+};
+
+// Resolve an href relative to the manifest's folder
+const resolveHref = (baseDir, href) => {
+  const parts = `${baseDir}${decodeURIComponent(href)}`.split('/');
+  const resolved = [];
+
+  for (const part of parts) {
+    if (part === '..') resolved.pop();
+    else if (part && part !== '.') resolved.push(part);
+  }
+
+  return resolved.join('/');
+};
+
+// Points come from MAXSCORE's default value (SCORE's as a fallback)
+const readPoints = (item) => {
+  const declarations = findAll(item, 'outcomeDeclaration');
+  const values = ['MAXSCORE', 'SCORE'].map((outcome) => {
+    const declaration = declarations.find((d) => d.attributes.identifier === outcome);
+    const value = declaration && findFirst(findFirst(declaration, 'defaultValue') || declaration, 'value');
+    return value ? Number(textContent(value)) : NaN;
+  });
+  const points = values.find((value) => Number.isFinite(value) && value > 0);
+
+  return points ? Math.max(1, Math.round(points)) : 1;
+};
+
+/**
+ * Map one assessmentItem onto a question payload
+ * @param {Object} document - Parsed item XML
+ * @returns {{ data: Object|null, identifier: string|null, title: string|null, errors: string[] }}
+ */
+const mapAssessmentItem = (document) => {
+  const item = findFirst(document, 'assessmentItem');
+
+  if (!item) {
+    return { data: null, identifier: null, title: null, errors: ['File does not contain an assessmentItem'] };
+  }
+
+  const { identifier = null, title = null } = item.attributes;
+  const fail = (...errors) => ({ data: null, identifier, title, errors });
+  const itemBody = findFirst(item, 'itemBody');
+
+  if (!itemBody) {
+    return fail('assessmentItem has no itemBody');
+  }
+
+  const interactions = findAll(itemBody, isInteraction);
+
+  if (interactions.length === 0) {
+    return fail('itemBody contains no interaction');
+  }
+
+  if (interactions.length > 1) {
+    return fail(`Items with more than one interaction are not supported (found ${interactions.map((i) => i.name).join(', ')})`);
+  }
+
+  const [interaction] = interactions;
+
+  if (!SUPPORTED_INTERACTIONS.includes(interaction.name)) {
+    return fail(`${interaction.name} cannot be mapped to a question type (supported: ${SUPPORTED_INTERACTIONS.join(', ')})`);
+  }
+
+  const responseDeclaration = findAll(item, 'responseDeclaration')
+    .find((declaration) => declaration.attributes.identifier === interaction.attributes.responseIdentifier);
+  const correctValues = responseDeclaration
+    ? findAll(findFirst(responseDeclaration, 'correctResponse') || { children: [] }, 'value')
+      .map((value) => normalizeWhitespace(textContent(value)))
+    : [];
+  const mappedValues = responseDeclaration
+    ? findAll(responseDeclaration, 'mapEntry').map((entry) => entry.attributes.mapKey).filter((key) => key)
+    : [];
+  const cardinality = responseDeclaration?.attributes.cardinality || 'single';
+
+  // Stem text: the body around the interaction, plus the interaction's own prompt
+  const prompt = findFirst(interaction, 'prompt');
+  const stem = normalizeWhitespace(textContent(itemBody, (node) => {
+    if (node !== interaction) return null;
+    return interaction.name === 'textEntryInteraction' ? '____' : '';
+  }));
+  const questionText = [stem, prompt ? normalizeWhitespace(textContent(prompt)) : '']
+    .filter((part) => part)
+    .join('\n');
+
+  const points = readPoints(item);
+  let input;
+
+  if (interaction.name === 'choiceInteraction') {
+    if (cardinality !== 'single' || Number(interaction.attributes.maxChoices ?? 1) !== 1) {
+      return fail('choiceInteraction with more than one selectable choice cannot be mapped to multiple-choice');
+    }
+
+    const choices = findAll(interaction, 'simpleChoice').map((choice) => ({
+      identifier: choice.attributes.identifier,
+      text: normalizeWhitespace(textContent(choice)),
+    }));
+    const [correctIdentifier] = correctValues.length > 0 ? correctValues : mappedValues;
+    const correct = choices.find((choice) => choice.identifier === correctIdentifier);
+    const identifiers = choices.map((choice) => choice.identifier?.toLowerCase()).sort();
+
+    if (identifiers.length === 2 && identifiers[0] === 'false' && identifiers[1] === 'true') {
+      input = { type: 'true-false', correctAnswer: correct?.identifier.toLowerCase() };
+    } else {
+      input = {
+        type: 'multiple-choice',
+        options: choices.map((choice) => choice.text),
+        correctAnswer: correct?.text,
+      };
+    }
+  } else if (interaction.name === 'textEntryInteraction') {
+    input = {
+      type: 'fill-in-the-blanks',
+      correctAnswer: correctValues[0] ?? mappedValues[0],
+    };
+  } else {
+    input = {
+      type: 'essay',
+      correctAnswer: correctValues[0] || '',
+    };
+  }
+
+  const { data, errors } = validateQuestion({ ...input, question: questionText, points });
+
+  return { data, identifier, title, errors };
+};
+
+/**
+ * Read a QTI 2.1 content package
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {{ title: string|null, totalItems: number, questions: Object[], errors: Object[] }}
+ *   Questions carry the file and identifier they came from; errors list
+ *   every item (or the package itself) that could not be mapped
+ */
+const readQtiPackage = (buffer) => {
+  const packageError = (message) => ({
+    title: null,
+    totalItems: 0,
+    questions: [],
+    errors: [{ file: null, identifier: null, title: null, errors: [message] }],
+  });
+
+  let entries;
+  try {
+    entries = readZipEntries(buffer);
+  } catch (error) {
+    return packageError('File is not a valid zip archive');
+  }
+
+  const manifestPath = [...entries.keys()]
+    .filter((path) => path.split('/').pop() === 'imsmanifest.xml')
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+
+  if (!manifestPath) {
+    return packageError('Package has no imsmanifest.xml');
+  }
+
+  let manifest;
+  try {
+    manifest = parseXml(entries.get(manifestPath));
+  } catch (error) {
+    return packageError(`imsmanifest.xml is not valid XML: ${error.message}`);
+  }
+
+  const baseDir = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+  const titleNode = findFirst(findFirst(manifest, 'general') || manifest, 'langstring') ||
+    findFirst(findFirst(manifest, 'general') || manifest, 'string');
+  const resources = findAll(manifest, 'resource')
+    .filter((resource) => resource.attributes.type?.startsWith('imsqti_item_xmlv2p'));
+
+  if (resources.length === 0) {
+    return packageError('imsmanifest.xml lists no QTI 2.x item resources');
+  }
+
+  const questions = [];
+  const errors = [];
+
+  for (const resource of resources) {
+    const href = resource.attributes.href || findFirst(resource, 'file')?.attributes.href;
+    const file = href ? resolveHref(baseDir, href) : null;
+    const report = (itemErrors, identifier = resource.attributes.identifier || null, title = null) => {
+      errors.push({ file, identifier, title, errors: itemErrors });
+    };
+
+    if (!file) {
+      report(['Resource has no href']);
+      continue;
+    }
+
+    if (!entries.has(file)) {
+      report([`${file} is listed in the manifest but missing from the package`]);
+      continue;
+    }
+
+    let document;
+    try {
+      document = parseXml(entries.get(file));
+    } catch (error) {
+      report([`Invalid XML: ${error.message}`]);
+      continue;
+    }
+
+    const { data, identifier, title, errors: itemErrors } = mapAssessmentItem(document);
+
+    if (itemErrors.length > 0) {
+      report(itemErrors, identifier || resource.attributes.identifier || null, title);
+      continue;
+    }
+
+    questions.push({ ...data, file, identifier });
+  }
+
+  return {
+    title: titleNode ? normalizeWhitespace(textContent(titleNode)) : null,
+    totalItems: resources.length,
+    questions,
+    errors,
+  };
+};
+
+module.exports = {
+  SUPPORTED_INTERACTIONS,
+  QTI_EXPORT_TYPES,
+  buildQtiPackage,
+  readQtiPackage,
+};
@@ -0,0 +1,614 @@
+// utils/questionBank.js
+const prisma = require('./database');
+const { recordInitialRevisions } = require('./questionRevisions');
+const { TOLERANCE_TYPES, DEFAULT_BLANK_RULES, readBlankAnswerKey, checkBlankPattern } = require('./grading');
+
+const QUESTION_TYPES = [
+  'multiple-choice',
+  'essay',
+  'true-false',
+  'fill-in-the-blanks',
+  'multi-select',
+  'matching',
+  'ordering',
+  'numeric',
+];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (['true', 't', '1'].includes(normalized)) return true;
+  if (['false', 'f', '0'].includes(normalized)) return false;
+  return null;
+};
+
+// Lists may arrive as arrays or, from spreadsheets, as pipe-separated text
+const parseList = (value) => {
+  if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter((item) => item);
+  if (isBlank(value)) return [];
+  return String(value).split('|').map((item) => item.trim()).filter((item) => item);
+};
+
+// Matching pairs: { prompt: match }, [{ prompt, match }] or "prompt=match|prompt=match"
+const parseMatchingPairs = (value) => {
+  if (Array.isArray(value)) {
+    return value.map((pair) => [String(pair?.prompt ?? '').trim(), String(pair?.match ?? '').trim()]);
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([prompt, match]) => [prompt.trim(), String(match ?? '').trim()]);
+  }
+  return parseList(value).map((pair) => {
+    const [prompt, ...match] = pair.split('=');
+    return [prompt.trim(), match.join('=').trim()];
+  });
+};
+
+// Blanks in fill-in-the-blanks text are three or more underscores
+const BLANK_MARKER = /_{3,}/g;
+
+/**
+ * Fill-in-the-blanks answer keys: "Paris", "Paris|Lutetia" (either accepted),
+ * "Paris||France" (two blanks), ['Paris', 'Lutetia'], [['Paris'], ['France']]
+ * or { blanks: [...], rules: { caseSensitive, normalizeWhitespace, ignorePunctuation, regex, numeric } }
+ * @returns {{ blanks: string[][], rules: Object }}
+ */
+const parseBlankAnswers = (value) => {
+  const isKeyObject = value && typeof value === 'object' && !Array.isArray(value);
+  const source = isKeyObject ? value.blanks : value;
+  let blanks;
+
+  if (Array.isArray(source)) {
+    blanks = source.some((blank) => Array.isArray(blank))
+      ? source.map((blank) => parseList(Array.isArray(blank) ? blank : [blank]))
+      : [parseList(source)];
+  } else if (isBlank(source)) {
+    blanks = [];
+  } else {
+    blanks = String(source).split('||').map((blank) => parseList(blank));
+  }
+
+  return { blanks, rules: isKeyObject && value.rules ? value.rules : {} };
+};
+
+// Decimal numbers with an optional signed exponent: 42, -0.5, .5, 1e+5, 6.02E23
+const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.source;
+const NUMERIC_ANSWER_PATTERN = new RegExp(
+  `^([-+]?${NUMBER_PATTERN})\\s*(?:(?:±|\\+\\/-)\\s*(${NUMBER_PATTERN})\\s*(%)?)?$`,
+);
+
+/**
+ * Numeric answers: 42, "42", "3.14±0.01", "3.14+/-0.01", "100±5%"
+ * or { value, tolerance, toleranceType }. A % tolerance is relative.
+ * @returns {Object|null} { value, tolerance, toleranceType }, or null when unreadable
+ */
+const parseNumericAnswer = (value) => {
+  if (value && typeof value === 'object') {
+    const parsed = {
+      value: Number(value.value),
+      tolerance: isBlank(value.tolerance) ? 0 : Number(value.tolerance),
+      toleranceType: value.toleranceType || 'absolute',
+    };
+    return Number.isFinite(parsed.value) && Number.isFinite(parsed.tolerance) ? parsed : null;
+  }
+
+  const match = String(value ?? '').trim().match(NUMERIC_ANSWER_PATTERN);
+  if (!match) return null;
+
+  const parsed = {
+    value: Number(match[1]),
+    tolerance: match[2] ? Number(match[2]) / (match[3] ? 100 : 1) : 0,
+    toleranceType: match[3] ? 'relative' : 'absolute',
+  };
+  return Number.isFinite(parsed.value) && Number.isFinite(parsed.tolerance) ? parsed : null;
+};
+
+/**
+ * Validate a question payload and normalise it for storage
+ * Stored shapes of the structured types:
+ * - fill-in-the-blanks: "answer", or { blanks: [[..accepted], ..one per blank], rules }
+ * - multi-select: options [..], correctAnswer [..every correct option]
+ * - matching: options { prompts, choices }, correctAnswer { prompt: choice }
+ * - ordering: options [..as shown], correctAnswer [..in the right order]
+ * - numeric: options null, correctAnswer { value, tolerance, toleranceType }
+ * @param {Object} input - { type, question, options, correctAnswer, points, explanation }
+ * @returns {{ data: Object|null, errors: string[] }}
+ */
+const validateQuestion = (input) => {
+  const errors = [];
+  const type = input.type?.toString().trim().toLowerCase();
+  const question = input.question?.toString().trim();
+
+  if (!type) {
+    errors.push('Question type is required');
+  } else if (!QUESTION_TYPES.includes(type)) {
+    errors.push(`Invalid question type '${type}'. Must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  if (!question) {
+    errors.push('Question text is required');
+  }
+
+  let points = 1;
+  if (!isBlank(input.points)) {
+    points = Number(input.points);
+    if (!Number.isInteger(points) || points < 1) {
+      errors.push('Points must be a positive whole number');
+    }
+  }
+
+  let options = null;
+  let correctAnswer = null;
+
+  if (type === 'multiple-choice') {
+    options = Array.isArray(input.options)
+      ? input.options.map((opt) => String(opt).trim()).filter((opt) => opt)
+      : [];
+
+    if (options.length < 2) {
+      errors.push('Multiple choice questions need at least 2 options');
+    }
+
+    correctAnswer = input.correctAnswer?.toString().trim();
+
+    if (!correctAnswer) {
+      errors.push('Correct answer is required');
+    } else if (options.length > 0 && !options.includes(correctAnswer)) {
+      errors.push('Correct answer must be one of the options');
+    }
+  } else if (type === 'true-false') {
+    correctAnswer = parseBoolean(input.correctAnswer);
+
+    if (correctAnswer === null) {
+      errors.push("True/False questions need 'true' or 'false' as the correct answer");
+    }
+  } else if (type === 'fill-in-the-blanks') {
+    const { blanks, rules } = parseBlankAnswers(input.correctAnswer);
+    const blankCount = Math.max(1, (question?.match(BLANK_MARKER) || []).length);
+    const unknownRules = Object.keys(rules).filter((rule) => !(rule in DEFAULT_BLANK_RULES));
+
+    if (blanks.length === 0 || blanks.some((accepted) => accepted.length === 0)) {
+      errors.push('Correct answer is required for every blank');
+    } else if (blanks.length !== blankCount) {
+      errors.push(`The question has ${blankCount} blank(s) but ${blanks.length} answer list(s) were given`);
+    }
+
+    if (unknownRules.length > 0) {
+      errors.push(`Unknown matching rule(s): ${unknownRules.join(', ')}. Allowed: ${Object.keys(DEFAULT_BLANK_RULES).join(', ')}`);
+    } else if (Object.values(rules).some((flag) => typeof flag !== 'boolean')) {
+      errors.push('Matching rules must be true or false');
+    }
+
+    const fullRules = { ...DEFAULT_BLANK_RULES, ...rules };
+
+    if (fullRules.regex) {
+      blanks.flat().forEach((pattern) => {
+        const patternError = checkBlankPattern(pattern, fullRules);
+        if (patternError) errors.push(`Invalid pattern '${pattern}': ${patternError}`);
+      });
+    }
+
+    // A single answer with the default rules keeps the plain string form
+    const isSimple = blanks.length === 1 && blanks[0].length === 1
+      && Object.keys(fullRules).every((rule) => fullRules[rule] === DEFAULT_BLANK_RULES[rule]);
+    correctAnswer = isSimple ? blanks[0][0] : { blanks, rules: fullRules };
+  } else if (type === 'multi-select') {
+    options = parseList(input.options);
+    correctAnswer = [...new Set(parseList(input.correctAnswer))];
+
+    if (options.length < 2) {
+      errors.push('Multi-select questions need at least 2 options');
+    }
+
+    if (correctAnswer.length === 0) {
+      errors.push('At least one correct answer is required');
+    } else if (options.length > 0 && correctAnswer.some((answer) => !options.includes(answer))) {
+      errors.push('Every correct answer must be one of the options');
+    }
+  } else if (type === 'matching') {
+    const pairs = parseMatchingPairs(input.correctAnswer);
+    const prompts = pairs.map(([prompt]) => prompt);
+    // Extra options are distractors that match no prompt
+    const extraChoices = parseList(Array.isArray(input.options?.choices) ? input.options.choices : input.options);
+
+    if (pairs.length < 2) {
+      errors.push('Matching questions need at least 2 pairs');
+    } else if (pairs.some(([prompt, match]) => !prompt || !match)) {
+      errors.push("Every matching pair needs a prompt and a match, e.g. 'France=Paris'");
+    } else if (new Set(prompts).size !== prompts.length) {
+      errors.push('Matching prompts must be unique');
+    }
+
+    options = {
+      prompts,
+      choices: [...new Set([...pairs.map(([, match]) => match), ...extraChoices])],
+    };
+    correctAnswer = Object.fromEntries(pairs);
+  } else if (type === 'ordering') {
+    options = parseList(input.options);
+    correctAnswer = parseList(input.correctAnswer);
+
+    if (options.length < 2) {
+      errors.push('Ordering questions need at least 2 items');
+    } else if (new Set(options).size !== options.length) {
+      errors.push('Ordering items must be unique');
+    }
+
+    if (correctAnswer.length === 0) {
+      errors.push('The correct order is required');
+    } else if (options.length > 0
+      && (correctAnswer.length !== options.length || correctAnswer.some((item) => !options.includes(item)))) {
+      errors.push('The correct order must list every item exactly once');
+    }
+  } else if (type === 'numeric') {
+    correctAnswer = parseNumericAnswer(input.correctAnswer);
+
+    if (correctAnswer === null) {
+      errors.push("Numeric questions need a number as the correct answer, optionally with a tolerance like '3.14±0.01' or '100±5%'");
+    } else if (!TOLERANCE_TYPES.includes(correctAnswer.toleranceType)) {
+      errors.push(`Tolerance type must be one of: ${TOLERANCE_TYPES.join(', ')}`);
+    } else if (correctAnswer.tolerance < 0) {
+      errors.push('Tolerance cannot be negative');
+    }
+  } else if (type === 'essay') {
+    correctAnswer = input.correctAnswer?.toString().trim() || '';
+  }
+
+  const explanation = input.explanation?.toString().trim() || null;
+
+  if (errors.length > 0) {
+    return { data: null, errors };
+  }
+
+  return {
+    data: { type, question, options, correctAnswer, points, explanation },
+    errors,
+  };
+};
+
+// Fill-in-the-blanks rules cell: "caseSensitive=true|normalizeWhitespace=false" (a bare name means true)
+const parseBlankRulesCell = (value) => Object.fromEntries(parseList(value).map((entry) => {
+  const [rule, flag] = entry.split('=').map((part) => part.trim());
+  return [rule, flag === undefined ? true : parseBoolean(flag)];
+}));
+
+// Tags cells may use commas or pipes: "algebra, hard" or "algebra|hard"
+const parseTags = (value) => {
+  if (Array.isArray(value)) return value.map((t) => String(t).trim()).filter((t) => t);
+  if (isBlank(value)) return [];
+  return String(value).split(/[,|]/).map((t) => t.trim()).filter((t) => t);
+};
+
+/**
+ * Turn spreadsheet rows (lower-cased headers) into question payloads.
+ * Options are pipe-separated: "Paris|London|Rome" (or an array in JSON files).
+ * An optional rules column holds fill-in-the-blanks matching rules.
+ * @param {Object[]} rows - Parsed CSV/Excel rows
+ * @param {number} [firstRowNumber=2] - Sheet row number of rows[0] (row 1 is the header)
+ * @returns {{ questions: Object[], errors: { row: number, errors: string[] }[] }}
+ *   Each question carries its sheet row number and parsed tags
+ */
+const parseQuestionRows = (rows, firstRowNumber = 2) => {
+  const questions = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = firstRowNumber + index;
+    // JSON files can carry options as an array, or as { prompts, choices } for matching
+    const isStructured = row.options !== null && typeof row.options === 'object';
+    const optionsStr = isStructured ? null : row.options?.toString().trim();
+    const correctAnswer = row.correctanswer ?? row['correct answer'] ?? row.correct_answer;
+    const hasRulesCell = !isBlank(row.rules) && typeof correctAnswer !== 'object'
+      && row.type?.toString().trim().toLowerCase() === 'fill-in-the-blanks';
+
+    const { data, errors: rowErrors } = validateQuestion({
+      type: row.type,
+      question: row.question,
+      options: isStructured ? row.options : optionsStr ? optionsStr.split('|') : [],
+      correctAnswer: hasRulesCell
+        ? { blanks: correctAnswer, rules: parseBlankRulesCell(row.rules) }
+        : correctAnswer,
+      points: row.points,
+      explanation: row.explanation,
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push({
+        row: rowNumber,
+        question: row.question?.toString().trim() || null,
+        errors: rowErrors,
+      });
+      return;
+    }
+
+    questions.push({ ...data, tags: parseTags(row.tags), row: rowNumber });
+  });
+
+  return { questions, errors };
+};
+
+const formatOptionsCell = (options) => {
+  if (Array.isArray(options)) return options.join('|');
+  if (Array.isArray(options?.choices)) return options.choices.join('|');
+  return '';
+};
+
+// Written back in the same text forms validateQuestion reads
+const formatAnswerCell = ({ type, correctAnswer }) => {
+  if (Array.isArray(correctAnswer)) return correctAnswer.join('|');
+
+  // Matching rules go in their own column (see formatRulesCell)
+  if (type === 'fill-in-the-blanks' && typeof correctAnswer === 'object') {
+    return correctAnswer.blanks.map((accepted) => accepted.join('|')).join('||');
+  }
+
+  if (type === 'matching') {
+    return Object.entries(correctAnswer).map(([prompt, match]) => `${prompt}=${match}`).join('|');
+  }
+
+  if (type === 'numeric') {
+    if (!correctAnswer.tolerance) return String(correctAnswer.value);
+    return correctAnswer.toleranceType === 'relative'
+      ? `${correctAnswer.value}±${Number((correctAnswer.tolerance * 100).toPrecision(12))}%`
+      : `${correctAnswer.value}±${correctAnswer.tolerance}`;
+  }
+
+  return String(correctAnswer);
+};
+
+// Fill-in-the-blanks rules that differ from the defaults, in the form parseBlankRulesCell reads
+const formatRulesCell = ({ type, correctAnswer }) => {
+  if (type !== 'fill-in-the-blanks') return '';
+
+  const { rules } = readBlankAnswerKey(correctAnswer);
+  return Object.keys(DEFAULT_BLANK_RULES)
+    .filter((rule) => rules[rule] !== DEFAULT_BLANK_RULES[rule])
+    .map((rule) => `${rule}=${rules[rule]}`)
+    .join('|');
+};
+
+// Column order shared by the import template and exports
+const QUESTION_SHEET_COLUMNS = ['type', 'question', 'options', 'correctanswer', 'points', 'tags', 'explanation', 'rules'];
+
+/**
+ * Convert a stored question into an importable sheet row
+ * @param {Object} question - Question record
+ * @param {Object} [options]
+ * @param {boolean} [options.includeAnswers=true] - Leave correctanswer blank when false
+ */
+const toQuestionRow = (question, { includeAnswers = true } = {}) => ({
+  type: question.type,
+  question: question.question,
+  options: formatOptionsCell(question.options),
+  correctanswer: includeAnswers && question.correctAnswer != null ? formatAnswerCell(question) : '',
+  points: question.points,
+  tags: Array.isArray(question.tags) ? question.tags.join('|') : '',
+  // Explanations usually give the answer away
+  explanation: includeAnswers ? question.explanation || '' : '',
+  rules: includeAnswers && question.correctAnswer != null ? formatRulesCell(question) : '',
+});
+
+/**
+ * Build the Prisma where clause for the question filter query parameters
+ * @param {string} questionSetId - Question set ID
+ * @param {Object} query - { batch, version, tags, dateFrom, dateTo, archived, status }
+ * @param {string[]} [topicIds] - Only questions linked to one of these topics (see getTopicScopeIds)
+ */
+const buildQuestionFilter = (questionSetId, { batch, version, tags, dateFrom, dateTo, archived, status } = {}, topicIds = null) => {
+  const where = { questionSetId };
+
+  if (batch) {
+    where.batchNumber = parseInt(batch);
+  }
+
+  if (version) {
+    where.version = version;
+  }
+
+  if (dateFrom || dateTo) {
+    where.addedDate = {};
+    if (dateFrom) where.addedDate.gte = new Date(dateFrom);
+    if (dateTo) where.addedDate.lte = new Date(dateTo);
+  }
+
+  if (archived !== undefined) {
+    where.isArchived = archived === 'true';
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  // Questions must carry every requested tag
+  if (tags) {
+    where.tags = { array_contains: parseTags(tags) };
+  }
+
+  if (topicIds) {
+    where.topicId = { in: topicIds };
+  }
+
+  return where;
+};
+
+/**
+ * Read questions in order one page at a time, so large exports never hold the whole bank
+ * @param {Object} where - Prisma where clause (see buildQuestionFilter)
+ * @param {number} [pageSize=500] - Questions per page
+ * @returns {AsyncGenerator<Object[]>} Pages of question records
+ */
+async function* questionPages(where, pageSize = 500) {
+  let cursor = null;
+
+  while (true) {
+    const page = await prisma.question.findMany({
+      where,
+      orderBy: [{ orderNum: 'asc' }, { id: 'asc' }],
+      take: pageSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (page.length === 0) return;
+    yield page;
+    if (page.length < pageSize) return;
+
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Recompute questionCount/totalPoints from the set's live (non-archived) questions
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} questionSetId - Question set ID
+ */
+const recalculateQuestionSetTotals = async (client, questionSetId) => {
+  const totals = await client.question.aggregate({
+    where: { questionSetId, isArchived: false },
+    _count: { _all: true },
+    _sum: { points: true },
+  });
+
+  return client.questionSet.update({
+    where: { id: questionSetId },
+    data: {
+      questionCount: totals._count._all,
+      totalPoints: totals._sum.points || 0,
+    },
+  });
+};
+
+const getNextOrderNum = async (client, questionSetId) => {
+  const last = await client.question.findFirst({
+    where: { questionSetId },
+    orderBy: { orderNum: 'desc' },
+    select: { orderNum: true },
+  });
+
+  return last ? last.orderNum + 1 : 1;
+};
+
+/**
+ * Renumber a set's questions 1..n. Questions missing from orderedIds keep
+ * their relative order after the listed ones.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} questionSetId - Question set ID
+ * @param {string[]} [orderedIds] - Question IDs in their new order
+ */
+const renumberQuestions = async (client, questionSetId, orderedIds = []) => {
+  const existing = await client.question.findMany({
+    where: { questionSetId },
+    orderBy: { orderNum: 'asc' },
+    select: { id: true },
+  });
+
+  const existingIds = existing.map((q) => q.id);
+  const listed = orderedIds.filter((id) => existingIds.includes(id));
+  const finalIds = [...listed, ...existingIds.filter((id) => !listed.includes(id))];
+
+  if (finalIds.length === 0) return;
+
+  const orders = finalIds.map((_, index) => index + 1);
+
+  // unique_question_order is checked row by row, so move every row
+  // out of the way (negative numbers) before assigning the new order
+  await client.$executeRaw`
+    UPDATE questions SET order_num = -order_num
+    WHERE question_set_id = ${questionSetId}::uuid
+  `;
+
+  await client.$executeRaw`
+    UPDATE questions AS q SET order_num = v.order_num
+    FROM unnest(${finalIds}::uuid[], ${orders}::int[]) AS v(id, order_num)
+    WHERE q.id = v.id AND q.question_set_id = ${questionSetId}::uuid
+  `;
+};
+
+/**
+ * Append questions to a set as a new batch and refresh the set's totals
+ * @param {string} questionSetId - Question set ID
+ * @param {Object[]} questions - Validated questions; each may carry its own tags and metadata
+ * @param {Object} [batch] - { batchNumber, version, tags, additionalData }
+ * @param {string} [editorId] - Admin adding the questions (recorded on their first revision)
+ * @returns {Promise<{ batchNumber: number, questionSet: Object }>} Set with the batch's questions
+ */
+const createQuestionBatch = async (questionSetId, questions, batch = {}, editorId = null) => {
+  return prisma.$transaction(async (tx) => {
+    const startOrderNum = await getNextOrderNum(tx, questionSetId);
+
+    const batchResult = await tx.$queryRaw`
+      SELECT COALESCE(MAX(batch_number), 0) + 1 as next_batch
+      FROM questions 
+      WHERE question_set_id = ${questionSetId}::uuid
+    `;
+    const batchNumber = batch.batchNumber || batchResult[0].next_batch;
+    const batchTags = batch.tags || ['new'];
+
+    const created = await tx.question.createManyAndReturn({
+      data: questions.map((q, index) => ({
+        questionSetId,
+        type: q.type,
+        question: q.question,
+        options: q.options || null,
+        correctAnswer: q.correctAnswer ?? null,
+        points: q.points,
+        explanation: q.explanation || null,
+        orderNum: startOrderNum + index,
+        tags: [...new Set([...batchTags, ...(q.tags || [])])],
+        batchNumber,
+        version: batch.version || `v${batchNumber}.0`,
+        addedDate: new Date(),
+        isArchived: false,
+        metadata: batch.additionalData || q.metadata
+          ? { ...batch.additionalData, ...q.metadata }
+          : null,
+      })),
+    });
+
+    await recordInitialRevisions(tx, created, editorId);
+    await recalculateQuestionSetTotals(tx, questionSetId);
+
+    const questionSet = await tx.questionSet.findUnique({
+      where: { id: questionSetId },
+      include: {
+        questions: {
+          where: { batchNumber },
+          orderBy: { orderNum: 'asc' },
+        },
+      },
+    });
+
+    return { batchNumber, questionSet };
+  });
+};
+
+/**
+ * Count the records that still point at a question set
+ * @param {string} questionSetId - Question set ID
+ */
+const getQuestionSetUsage = async (questionSetId) => {
+  const [quizSnapshots, quizTakers, cbtSubmissions, gameSessions] = await Promise.all([
+    prisma.quizQuestionSet.count({ where: { questionSetId } }),
+    prisma.quizTakerQuestionSet.count({ where: { questionSetId } }),
+    prisma.cbtQuestionSet.count({ where: { questionSetId } }),
+    prisma.gameSession.count({ where: { questionSetId } }),
+  ]);
+
+  return { quizSnapshots, quizTakers, cbtSubmissions, gameSessions };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestion,
+  parseTags,
+  parseQuestionRows,
+  QUESTION_SHEET_COLUMNS,
+  toQuestionRow,
+  buildQuestionFilter,
+  questionPages,
+  recalculateQuestionSetTotals,
+  getNextOrderNum,
+  renumberQuestions,
+  createQuestionBatch,
+  getQuestionSetUsage,
+};
@@ -0,0 +1,130 @@
+// utils/questionReview.js
+// Editorial workflow: draft -> in-review -> published
+
+const QUESTION_STATUS = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in-review',
+  PUBLISHED: 'published',
+};
+
+const QUESTION_STATUSES = Object.values(QUESTION_STATUS);
+
+// Status changes an action may make
+const REVIEW_TRANSITIONS = {
+  submit: { from: [QUESTION_STATUS.DRAFT], to: QUESTION_STATUS.IN_REVIEW },
+  approve: { from: [QUESTION_STATUS.IN_REVIEW], to: QUESTION_STATUS.PUBLISHED },
+  reject: { from: [QUESTION_STATUS.IN_REVIEW], to: QUESTION_STATUS.DRAFT },
+  unpublish: { from: [QUESTION_STATUS.PUBLISHED], to: QUESTION_STATUS.DRAFT },
+};
+
+// Actions only reviewers may take
+const REVIEWER_ACTIONS = ['approve', 'reject', 'unpublish'];
+
+// Fields students see; changing any of them sends a question back for review
+const STUDENT_VISIBLE_FIELDS = [
+  'type',
+  'question',
+  'options',
+  'correctAnswer',
+  'points',
+  'explanation',
+  'explanationMediaId',
+  'attachments',
+];
+
+/**
+ * Whether an edit changed anything students see
+ * @param {Object} before - Question record before the edit
+ * @param {Object} after - Question record after the edit
+ */
+const hasStudentVisibleChanges = (before, after) => STUDENT_VISIBLE_FIELDS.some(
+  (field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null),
+);
+
+/**
+ * Check an action can be taken on a question in its current status
+ * @returns {string|null} Error message
+ */
+const checkReviewTransition = (question, action) => {
+  const transition = REVIEW_TRANSITIONS[action];
+  if (!transition) {
+    return `Action must be one of: ${Object.keys(REVIEW_TRANSITIONS).join(', ')}`;
+  }
+  if (!transition.from.includes(question.status)) {
+    return `Cannot ${action} a question that is ${question.status}`;
+  }
+  return null;
+};
+
+/**
+ * Move questions through the workflow and log the change on each one
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object[]} questions - Questions already checked with checkReviewTransition
+ * @param {string} action - Key of REVIEW_TRANSITIONS
+ * @param {Object} options - { authorId, body, reviewerId } (reviewerId only applies to submit)
+ */
+const applyReviewAction = async (client, questions, action, { authorId = null, body = null, reviewerId } = {}) => {
+  if (questions.length === 0) return;
+
+  const { to } = REVIEW_TRANSITIONS[action];
+
+  await client.question.updateMany({
+    where: { id: { in: questions.map((q) => q.id) } },
+    data: {
+      status: to,
+      publishedAt: to === QUESTION_STATUS.PUBLISHED ? new Date() : null,
+      ...(action === 'submit' && reviewerId !== undefined && { reviewerId: reviewerId || null }),
+    },
+  });
+
+  await client.questionReviewComment.createMany({
+    data: questions.map((question) => ({
+      questionId: question.id,
+      authorId,
+      action,
+      fromStatus: question.status,
+      toStatus: to,
+      body,
+    })),
+  });
+};
+
+/**
+ * Send an edited question back to draft so the new content is reviewed before students see it
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} question - Question record before the edit
+ * @param {string} [authorId] - Admin who made the edit
+ * @returns {Promise<boolean>} Whether the question was reopened
+ */
+const reopenEditedQuestion = async (client, question, authorId = null) => {
+  if (question.status === QUESTION_STATUS.DRAFT) return false;
+
+  await client.question.update({
+    where: { id: question.id },
+    data: { status: QUESTION_STATUS.DRAFT, publishedAt: null },
+  });
+
+  await client.questionReviewComment.create({
+    data: {
+      questionId: question.id,
+      authorId,
+      action: 'reopen',
+      fromStatus: question.status,
+      toStatus: QUESTION_STATUS.DRAFT,
+      body: 'Content changed',
+    },
+  });
+
+  return true;
+};
+
+module.exports = {
+  QUESTION_STATUS,
+  QUESTION_STATUSES,
+  REVIEW_TRANSITIONS,
+  REVIEWER_ACTIONS,
+  hasStudentVisibleChanges,
+  checkReviewTransition,
+  applyReviewAction,
+  reopenEditedQuestion,
+};
@@ -0,0 +1,119 @@
+// utils/questionRevisions.js
+const { Prisma } = require('@prisma/client');
+const prisma = require('./database');
+
+// Question fields captured in every revision
+const REVISION_FIELDS = [
+  'type',
+  'question',
+  'options',
+  'correctAnswer',
+  'points',
+  'explanation',
+  'explanationMediaId',
+];
+
+// Revision columns copied from a question (JSON nulls stored as SQL NULL)
+const pickRevisionFields = (question) => ({
+  type: question.type,
+  question: question.question,
+  options: question.options ?? Prisma.DbNull,
+  correctAnswer: question.correctAnswer ?? Prisma.DbNull,
+  points: question.points,
+  explanation: question.explanation ?? null,
+  explanationMediaId: question.explanationMediaId ?? null,
+});
+
+/**
+ * Field-level diff of the revisioned content of two questions or revisions
+ * @returns {Object} { field: { from, to } } for every field that differs
+ */
+const diffRevisions = (from, to) => {
+  const changes = {};
+
+  for (const field of REVISION_FIELDS) {
+    const before = from[field] ?? null;
+    const after = to[field] ?? null;
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { from: before, to: after };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Write revision 1 for newly created questions
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object[]} questions - Created question records (with IDs)
+ * @param {string} [editorId] - Admin who created them
+ */
+const recordInitialRevisions = async (client, questions, editorId = null) => {
+  if (questions.length === 0) return;
+
+  await client.questionRevision.createMany({
+    data: questions.map((question) => ({
+      ...pickRevisionFields(question),
+      questionId: question.id,
+      revisionNumber: 1,
+      source: 'create',
+      editedById: editorId,
+    })),
+  });
+};
+
+/**
+ * Append a revision holding a question's current content
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} question - Question record after the change
+ * @param {string} [editorId] - Admin who made the change
+ * @param {Object} [options]
+ * @param {string} [options.source='edit'] - 'edit' or 'rollback'
+ * @param {number} [options.restoredFrom] - Revision number a rollback restored
+ */
+const recordRevision = async (client, question, editorId = null, { source = 'edit', restoredFrom = null } = {}) => {
+  const latest = await client.questionRevision.findFirst({
+    where: { questionId: question.id },
+    orderBy: { revisionNumber: 'desc' },
+    select: { revisionNumber: true },
+  });
+
+  return client.questionRevision.create({
+    data: {
+      ...pickRevisionFields(question),
+      questionId: question.id,
+      revisionNumber: (latest?.revisionNumber || 0) + 1,
+      source,
+      restoredFrom,
+      editedById: editorId,
+    },
+  });
+};
+
+/**
+ * Latest revision ID of each question, for quiz snapshots
+ * @param {string[]} questionIds - Question IDs
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Map<string, string>>} questionId -> revision ID
+ */
+const getLatestRevisionIds = async (questionIds, client = prisma) => {
+  if (questionIds.length === 0) return new Map();
+
+  const revisions = await client.questionRevision.findMany({
+    where: { questionId: { in: questionIds } },
+    orderBy: [{ questionId: 'asc' }, { revisionNumber: 'desc' }],
+    distinct: ['questionId'],
+    select: { id: true, questionId: true },
+  });
+
+  return new Map(revisions.map((revision) => [revision.questionId, revision.id]));
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  diffRevisions,
+  recordInitialRevisions,
+  recordRevision,
+  getLatestRevisionIds,
+};
@@ -0,0 +1,223 @@
+// utils/questionSetOperations.js
+// Clone, split and merge question sets. Every copied or moved question records
+// where it came from in metadata.provenance, oldest entry first.
+const { Prisma } = require('@prisma/client');
+const prisma = require('./database');
+const { recordInitialRevisions } = require('./questionRevisions');
+const { recalculateQuestionSetTotals, getNextOrderNum, renumberQuestions } = require('./questionBank');
+
+const SPLIT_MODES = ['batch', 'tag'];
+
+// Moves touch every row one by one, so allow more than Prisma's 5s default
+const TRANSACTION_OPTIONS = { maxWait: 5000, timeout: 30000 };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Question metadata with a provenance entry appended
+ * @param {*} metadata - Existing metadata (non-objects are kept under "value")
+ * @param {Object} entry - { operation, questionSetId, questionSetTitle, questionId, orderNum }
+ */
+const withProvenance = (metadata, entry) => {
+  const base = isPlainObject(metadata)
+    ? metadata
+    : metadata == null ? {} : { value: metadata };
+
+  return {
+    ...base,
+    provenance: [
+      ...(Array.isArray(base.provenance) ? base.provenance : []),
+      { ...entry, at: new Date().toISOString() },
+    ],
+  };
+};
+
+const provenanceEntry = (operation, questionSet, question) => ({
+  operation,
+  questionSetId: questionSet.id,
+  questionSetTitle: questionSet.title,
+  questionId: question.id,
+  orderNum: question.orderNum,
+});
+
+/**
+ * Copy a set and the given questions into a new set, numbered 1..n in their current order
+ * @param {Object} source - Question set being cloned
+ * @param {Object[]} questions - Its questions to copy, in order
+ * @param {Object} options - { title, adminId }
+ * @returns {Promise<Object>} The new set with its questions
+ */
+const cloneQuestionSet = async (source, questions, { title, adminId }) => {
+  return prisma.$transaction(async (tx) => {
+    const questionSet = await tx.questionSet.create({
+      data: {
+        title,
+        subjectId: source.subjectId,
+        createdById: adminId,
+      },
+    });
+
+    // Content is unchanged, so review status carries over; reviewer assignments don't
+    const created = await tx.question.createManyAndReturn({
+      data: questions.map((q, index) => ({
+        questionSetId: questionSet.id,
+        type: q.type,
+        question: q.question,
+        options: q.options ?? Prisma.DbNull,
+        correctAnswer: q.correctAnswer ?? Prisma.DbNull,
+        points: q.points,
+        orderNum: index + 1,
+        tags: q.tags ?? [],
+        batchNumber: q.batchNumber,
+        version: q.version,
+        addedDate: q.addedDate,
+        isArchived: q.isArchived,
+        metadata: withProvenance(q.metadata, provenanceEntry('clone', source, q)),
+        attachments: q.attachments ?? [],
+        explanation: q.explanation,
+        explanationMediaId: q.explanationMediaId,
+        topicId: q.topicId,
+        status: q.status,
+        publishedAt: q.publishedAt,
+      })),
+    });
+
+    await recordInitialRevisions(tx, created, adminId);
+    await recalculateQuestionSetTotals(tx, questionSet.id);
+
+    return tx.questionSet.findUnique({
+      where: { id: questionSet.id },
+      include: { questions: { orderBy: { orderNum: 'asc' } } },
+    });
+  }, TRANSACTION_OPTIONS);
+};
+
+/**
+ * Move questions to the end of a set, keeping their IDs, revisions and history.
+ * New order numbers start above the target's highest one, so unique_question_order holds row by row.
+ */
+const moveQuestions = async (tx, questions, target, operation, sourcesById) => {
+  const startOrderNum = await getNextOrderNum(tx, target.id);
+
+  for (const [index, question] of questions.entries()) {
+    await tx.question.update({
+      where: { id: question.id },
+      data: {
+        questionSetId: target.id,
+        orderNum: startOrderNum + index,
+        metadata: withProvenance(
+          question.metadata,
+          provenanceEntry(operation, sourcesById.get(question.questionSetId), question),
+        ),
+      },
+    });
+  }
+};
+
+/**
+ * Group a set's questions for a split. Tag splits put each question in the group of
+ * the first listed tag it carries, so no question lands in two sets.
+ * @param {Object[]} questions - The set's questions, in order
+ * @param {string} by - 'batch' or 'tag'
+ * @param {Array} [values] - Batch numbers or tags to split out (batch default: every batch)
+ * @returns {{ value: *, questions: Object[] }[]} Non-empty groups, in the order of values
+ */
+const groupQuestionsForSplit = (questions, by, values) => {
+  if (by === 'batch') {
+    const batches = values?.length
+      ? values.map(Number)
+      : [...new Set(questions.map((q) => q.batchNumber))].sort((a, b) => (a ?? 0) - (b ?? 0));
+
+    return batches
+      .map((value) => ({ value, questions: questions.filter((q) => q.batchNumber === value) }))
+      .filter((group) => group.questions.length > 0);
+  }
+
+  const groups = values.map((value) => ({ value, questions: [] }));
+  questions.forEach((question) => {
+    const tags = Array.isArray(question.tags) ? question.tags : [];
+    const group = groups.find((g) => tags.includes(g.value));
+    if (group) group.questions.push(question);
+  });
+
+  return groups.filter((group) => group.questions.length > 0);
+};
+
+/**
+ * Move each group of questions out of a set into a new set of its own
+ * @param {Object} source - Question set being split
+ * @param {{ title: string, questions: Object[] }[]} groups - One entry per new set
+ * @param {string} adminId - Admin doing the split
+ * @returns {Promise<{ source: Object, questionSets: Object[] }>} Updated source and the new sets
+ */
+const splitQuestionSet = async (source, groups, adminId) => {
+  return prisma.$transaction(async (tx) => {
+    const sourcesById = new Map([[source.id, source]]);
+    const questionSets = [];
+
+    for (const group of groups) {
+      const questionSet = await tx.questionSet.create({
+        data: {
+          title: group.title,
+          subjectId: source.subjectId,
+          isActive: source.isActive,
+          createdById: adminId,
+        },
+      });
+
+      await moveQuestions(tx, group.questions, questionSet, 'split', sourcesById);
+      questionSets.push(await recalculateQuestionSetTotals(tx, questionSet.id));
+    }
+
+    // Close the gaps the moved questions left behind
+    await renumberQuestions(tx, source.id);
+
+    return {
+      source: await recalculateQuestionSetTotals(tx, source.id),
+      questionSets,
+    };
+  }, TRANSACTION_OPTIONS);
+};
+
+/**
+ * Move every question of the source sets to the end of the target, one source after another
+ * @param {Object} target - Question set receiving the questions
+ * @param {Object[]} sources - Sets to merge in, in order, each with its questions in order
+ * @param {Object} options - { deactivateSources }
+ * @returns {Promise<{ questionSet: Object, sources: Object[] }>}
+ */
+const mergeQuestionSets = async (target, sources, { deactivateSources = true } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const sourcesById = new Map(sources.map((source) => [source.id, source]));
+
+    await moveQuestions(tx, sources.flatMap((source) => source.questions), target, 'merge', sourcesById);
+
+    const updatedSources = [];
+    for (const source of sources) {
+      await recalculateQuestionSetTotals(tx, source.id);
+      updatedSources.push(await tx.questionSet.update({
+        where: { id: source.id },
+        data: deactivateSources ? { isActive: false } : {},
+      }));
+    }
+
+    await recalculateQuestionSetTotals(tx, target.id);
+
+    return {
+      questionSet: await tx.questionSet.findUnique({
+        where: { id: target.id },
+        include: { questions: { orderBy: { orderNum: 'asc' } } },
+      }),
+      sources: updatedSources,
+    };
+  }, TRANSACTION_OPTIONS);
+};
+
+module.exports = {
+  SPLIT_MODES,
+  withProvenance,
+  cloneQuestionSet,
+  groupQuestionsForSplit,
+  splitQuestionSet,
+  mergeQuestionSets,
+};
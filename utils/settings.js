@@ -0,0 +1,32 @@
+// utils/settings.js
+const prisma = require('./database');
+
+// Keys of the global settings stored in system_settings
+const SETTINGS = {
+  ADMIN_TWO_FACTOR_REQUIRED: 'adminTwoFactorRequired',
+};
+
+const getSetting = async (key, defaultValue = null) => {
+  const setting = await prisma.systemSetting.findUnique({ where: { key } });
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Create or update a global setting
+ * @param {string} key - One of SETTINGS
+ * @param {*} value - JSON-serialisable value
+ * @param {string} adminId - Admin making the change
+ */
+const setSetting = async (key, value, adminId) => {
+  return prisma.systemSetting.upsert({
+    where: { key },
+    create: { key, value, updatedById: adminId },
+    update: { value, updatedById: adminId },
+  });
+};
+
+module.exports = {
+  SETTINGS,
+  getSetting,
+  setSetting,
+};
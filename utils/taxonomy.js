@@ -0,0 +1,138 @@
+// utils/taxonomy.js
+// Subject > topic > subtopic taxonomy helpers
+const prisma = require('./database');
+
+const TOPIC_LEVELS = ['subject', 'topic', 'subtopic'];
+
+const PATH_SEPARATOR = ' › ';
+
+// "  Linear   Equations " -> "Linear Equations"
+const normalizeTopicName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ');
+
+// Case-insensitive identity of a name, so "algebra" and "Algebra " collide
+const topicSlug = (name) => normalizeTopicName(name).toLowerCase();
+
+// Level of a new topic under the given parent (null when the parent is a subtopic)
+const childLevel = (parent) => (parent ? TOPIC_LEVELS[TOPIC_LEVELS.indexOf(parent.level) + 1] || null : 'subject');
+
+/**
+ * Load the whole taxonomy, indexed by ID, with each topic's path and subject
+ * The taxonomy is small (hundreds of rows), so one query beats walking parents
+ * @returns {Promise<Map<string, Object>>} id -> { id, name, level, parentId, subjectId, path }
+ */
+const loadTopicIndex = async (client = prisma) => {
+  const topics = await client.topic.findMany({
+    select: { id: true, name: true, level: true, parentId: true },
+  });
+  const byId = new Map(topics.map((topic) => [topic.id, { ...topic }]));
+
+  const resolve = (topic) => {
+    if (topic.path) return topic;
+    const parent = topic.parentId ? byId.get(topic.parentId) : null;
+    if (parent) resolve(parent);
+    topic.path = parent ? `${parent.path}${PATH_SEPARATOR}${topic.name}` : topic.name;
+    topic.subjectId = parent ? parent.subjectId : topic.id;
+    return topic;
+  };
+  byId.forEach(resolve);
+
+  return byId;
+};
+
+/**
+ * A topic's ID plus those of everything under it, for filtering questions
+ * @param {string} topicId - Topic ID
+ * @returns {Promise<string[]>} Empty when the topic doesn't exist
+ */
+const getTopicScopeIds = async (topicId) => {
+  const index = await loadTopicIndex();
+  if (!index.has(topicId)) return [];
+
+  const ids = [topicId];
+  for (let i = 0; i < ids.length; i++) {
+    index.forEach((topic) => {
+      if (topic.parentId === ids[i]) ids.push(topic.id);
+    });
+  }
+  return ids;
+};
+
+/**
+ * Check a topic can be linked to questions of a question set:
+ * it must be a topic or subtopic, under the set's subject when it has one
+ * @param {Object} topic - Entry from loadTopicIndex
+ * @param {Object} questionSet - { subjectId }
+ * @returns {string|null} Error message
+ */
+const checkQuestionTopic = (topic, questionSet) => {
+  if (!topic) return 'Topic not found';
+  if (topic.level === 'subject') return 'Link questions to a topic or subtopic, not a subject';
+  if (questionSet.subjectId && topic.subjectId !== questionSet.subjectId) {
+    return "Topic does not belong to the question set's subject";
+  }
+  return null;
+};
+
+/**
+ * Per-topic totals, rolled up to topic level with subtopics listed underneath
+ * @param {Object[]} items - { topicId, points, pointsAwarded?, answered? } per question
+ * @param {Map} index - From loadTopicIndex
+ * @returns {Object[]} Sorted by path; questions without a topic come last as "Unassigned"
+ */
+const buildTopicBreakdown = (items, index) => {
+  const rows = new Map();
+
+  const emptyRow = (topic) => ({
+    topicId: topic?.id || null,
+    name: topic?.name || 'Unassigned',
+    path: topic?.path || 'Unassigned',
+    level: topic?.level || null,
+    questionCount: 0,
+    totalPoints: 0,
+    answered: 0,
+    pointsAwarded: 0,
+  });
+
+  const add = (row, item) => {
+    row.questionCount++;
+    row.totalPoints += item.points || 0;
+    if (item.answered) row.answered++;
+    row.pointsAwarded += item.pointsAwarded || 0;
+  };
+
+  items.forEach((item) => {
+    const topic = item.topicId ? index.get(item.topicId) : null;
+    const rollup = topic?.level === 'subtopic' ? index.get(topic.parentId) : topic;
+    const key = rollup?.id || null;
+
+    if (!rows.has(key)) rows.set(key, { ...emptyRow(rollup), subtopics: new Map() });
+    const row = rows.get(key);
+    add(row, item);
+
+    if (topic?.level === 'subtopic') {
+      if (!row.subtopics.has(topic.id)) row.subtopics.set(topic.id, emptyRow(topic));
+      add(row.subtopics.get(topic.id), item);
+    }
+  });
+
+  const finish = (row) => ({
+    ...row,
+    pointsAwarded: Math.round(row.pointsAwarded * 100) / 100,
+    percentage: row.totalPoints > 0 ? Math.round((row.pointsAwarded / row.totalPoints) * 100) : 0,
+  });
+
+  return [...rows.values()]
+    .map((row) => finish({ ...row, subtopics: [...row.subtopics.values()].map(finish) }))
+    .sort((a, b) => (a.topicId === null) - (b.topicId === null) || a.path.localeCompare(b.path));
+};
+
+module.exports = {
+  TOPIC_LEVELS,
+  normalizeTopicName,
+  topicSlug,
+  childLevel,
+  loadTopicIndex,
+  getTopicScopeIds,
+  checkQuestionTopic,
+  buildTopicBreakdown,
+};
@@ -0,0 +1,387 @@
+// utils/textFormats.js
+// Parsers for plain-text question formats (Moodle GIFT and Aiken)
+const { validateQuestion } = require('./questionBank');
+
+const TEXT_FORMATS = ['gift', 'aiken'];
+
+// ==================== GIFT ====================
+
+// Characters GIFT lets authors escape with a backslash
+const unescapeGift = (value) => value
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:\\-])/g, '$1')
+  .trim();
+
+// Index of the first unescaped occurrence of token at or after start
+const indexOfUnescaped = (text, token, start = 0) => {
+  for (let i = start; i <= text.length - token.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(token, i)) return i;
+  }
+  return -1;
+};
+
+// Split text on unescaped separators, keeping each separator at the start of its part
+const splitUnescaped = (text, separators) => {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      current += text.slice(i, i + 2);
+      i++;
+    } else if (separators.includes(text[i])) {
+      parts.push(current);
+      current = text[i];
+    } else {
+      current += text[i];
+    }
+  }
+
+  parts.push(current);
+  return parts;
+};
+
+// Split "answer#feedback" into its parts
+const splitFeedback = (text) => {
+  const index = indexOfUnescaped(text, '#');
+  if (index === -1) return { text: unescapeGift(text), feedback: null };
+  return {
+    text: unescapeGift(text.slice(0, index)),
+    feedback: unescapeGift(text.slice(index + 1)) || null,
+  };
+};
+
+// Group lines into blocks separated by blank lines, dropping // comments
+const splitIntoBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('//')) return;
+
+    if (trimmed === '') {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+};
+
+/**
+ * Parse the text between { and } of a GIFT question
+ * @returns {{ input: Object, feedback: Object|null, error?: string }}
+ */
+const parseGiftAnswers = (body) => {
+  let answerText = body;
+  let generalFeedback = null;
+
+  const generalIndex = indexOfUnescaped(answerText, '####');
+  if (generalIndex !== -1) {
+    generalFeedback = unescapeGift(answerText.slice(generalIndex + 4)) || null;
+    answerText = answerText.slice(0, generalIndex);
+  }
+
+  const trimmed = answerText.trim();
+
+  if (trimmed === '') {
+    return { input: { type: 'essay' }, feedback: generalFeedback && { general: generalFeedback } };
+  }
+
+  if (trimmed.startsWith('#')) {
+    return { error: 'Numeric questions ({#...}) are not supported' };
+  }
+
+  const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)(?=\s*(#|$))/i);
+  if (trueFalse) {
+    const correctAnswer = trueFalse[1][0].toUpperCase() === 'T';
+    const [, wrongFeedback = null, rightFeedback = null] = splitUnescaped(trimmed.slice(trueFalse[1].length), ['#'])
+      .map((part) => unescapeGift(part.slice(1)) || null);
+    const answers = {};
+
+    if (rightFeedback) answers[String(correctAnswer)] = rightFeedback;
+    if (wrongFeedback) answers[String(!correctAnswer)] = wrongFeedback;
+
+    return {
+      input: { type: 'true-false', correctAnswer },
+      feedback: generalFeedback || Object.keys(answers).length > 0
+        ? { general: generalFeedback, answers }
+        : null,
+    };
+  }
+
+  const answers = splitUnescaped(trimmed, ['=', '~'])
+    .map((part) => part.trim())
+    .filter((part) => part);
+
+  if (answers.length === 0 || !['=', '~'].includes(answers[0][0])) {
+    return { error: 'Answers must start with = (correct) or ~ (incorrect)' };
+  }
+
+  if (answers.some((answer) => indexOfUnescaped(answer, '->') !== -1)) {
+    return { error: 'Matching questions (a -> b) are not supported' };
+  }
+
+  const parsed = answers.map((answer) => {
+    const weightMatch = answer.slice(1).match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    const weight = weightMatch ? Number(weightMatch[1]) : answer[0] === '=' ? 100 : 0;
+    const { text, feedback } = splitFeedback(answer.slice(1 + (weightMatch ? weightMatch[0].length : 0)));
+    return { marker: answer[0], weight, text, feedback };
+  });
+
+  if (parsed.some((answer) => answer.weight > 0 && answer.weight < 100)) {
+    return { error: 'Partial credit answer weights are not supported' };
+  }
+
+  const answerFeedback = {};
+  parsed.forEach((answer) => {
+    if (answer.feedback) answerFeedback[answer.text] = answer.feedback;
+  });
+  const feedback = generalFeedback || Object.keys(answerFeedback).length > 0
+    ? { general: generalFeedback, answers: answerFeedback }
+    : null;
+  const correct = parsed.filter((answer) => answer.weight === 100);
+
+  // Only "=" answers: short answer, any of them is accepted
+  if (parsed.every((answer) => answer.marker === '=')) {
+    return {
+      input: { type: 'fill-in-the-blanks', correctAnswer: correct.map((answer) => answer.text) },
+      feedback,
+    };
+  }
+
+  if (correct.length > 1) {
+    return { error: 'Multiple choice questions with more than one correct answer are not supported' };
+  }
+
+  return {
+    input: {
+      type: 'multiple-choice',
+      options: parsed.map((answer) => answer.text),
+      correctAnswer: correct[0]?.text,
+    },
+    feedback,
+  };
+};
+
+/**
+ * Parse a GIFT file
+ * @param {string} text - File contents
+ * @returns {{ questions: Object[], errors: { line: number, question: string|null, errors: string[] }[] }}
+ *   Each question carries the line it starts on and its feedback/title in metadata
+ */
+const parseGift = (text) => {
+  const questions = [];
+  const errors = [];
+
+  for (const block of splitIntoBlocks(text)) {
+    let source = block.lines.join('\n');
+    const lineAt = (index) => block.line + (source.slice(0, index).match(/\n/g) || []).length;
+
+    // Category directives only organise Moodle's bank
+    if (/^\s*\$CATEGORY:/i.test(source)) continue;
+
+    let title = null;
+    const titleMatch = source.match(/^\s*::/);
+    if (titleMatch) {
+      const titleEnd = indexOfUnescaped(source, '::', titleMatch[0].length);
+      if (titleEnd === -1) {
+        errors.push({ line: block.line, question: null, errors: ['Question title is missing its closing ::'] });
+        continue;
+      }
+      title = unescapeGift(source.slice(titleMatch[0].length, titleEnd)) || null;
+      // Blank the title out but keep its line breaks so line numbers stay right
+      source = `${source.slice(0, titleEnd + 2).replace(/[^\n]/g, ' ')}${source.slice(titleEnd + 2)}`;
+    }
+
+    const open = indexOfUnescaped(source, '{');
+    const stemPreview = unescapeGift(source.slice(0, open === -1 ? undefined : open))
+      .replace(/^\[(html|moodle|plain|markdown)\]/i, '')
+      .trim() || null;
+    const report = (index, message) => errors.push({ line: lineAt(index), question: stemPreview, errors: [message] });
+
+    if (open === -1) {
+      report(0, 'Missing answer block {...}');
+      continue;
+    }
+
+    const close = indexOfUnescaped(source, '}', open + 1);
+    if (close === -1) {
+      report(open, 'Answer block { is never closed');
+      continue;
+    }
+
+    const { input, feedback, error } = parseGiftAnswers(source.slice(open + 1, close));
+    if (error) {
+      report(open, error);
+      continue;
+    }
+
+    const before = stemPreview || '';
+    const after = unescapeGift(source.slice(close + 1));
+
+    // "Missing word" questions have the answer block mid-sentence
+    let question = after ? `${before} ____ ${after}` : before;
+    if (input.type === 'essay' || input.type === 'true-false') {
+      question = [before, after].filter((part) => part).join(' ');
+    }
+
+    // General feedback is GIFT's explanation
+    const { data, errors: questionErrors } = validateQuestion({ ...input, question, explanation: feedback?.general });
+
+    if (questionErrors.length > 0) {
+      errors.push({ line: block.line, question: stemPreview, errors: questionErrors });
+      continue;
+    }
+
+    const metadata = {};
+    if (title) metadata.title = title;
+    if (feedback) metadata.feedback = feedback;
+
+    questions.push({
+      ...data,
+      line: block.line,
+      metadata: Object.keys(metadata).length > 0 ? metadata : null,
+    });
+  }
+
+  return { questions, errors };
+};
+
+// ==================== AIKEN ====================
+
+const AIKEN_OPTION = /^([A-Z])\s*[.)]\s+(.*)$/;
+const AIKEN_ANSWER = /^ANSWER\s*:\s*(\S*)\s*$/i;
+
+/**
+ * Parse an Aiken file (multiple choice only)
+ * @param {string} text - File contents
+ * @returns {{ questions: Object[], errors: { line: number, question: string|null, errors: string[] }[] }}
+ */
+const parseAiken = (text) => {
+  const questions = [];
+  const errors = [];
+  let current = null;
+  // After an error, ignore the rest of that question up to its ANSWER line or a blank line
+  let skipping = false;
+
+  const fail = (line, message, { skipRest = true } = {}) => {
+    errors.push({ line, question: current?.question.join(' ') || null, errors: [message] });
+    current = null;
+    skipping = skipRest;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+
+    if (line === '') {
+      skipping = false;
+      return;
+    }
+
+    if (skipping) {
+      if (AIKEN_ANSWER.test(line)) skipping = false;
+      return;
+    }
+
+    if (!current) {
+      if (AIKEN_ANSWER.test(line) || AIKEN_OPTION.test(line)) {
+        errors.push({ line: lineNumber, question: null, errors: ['Expected question text before options and ANSWER'] });
+        return;
+      }
+      current = { line: lineNumber, question: [line], options: [] };
+      return;
+    }
+
+    const answerMatch = line.match(AIKEN_ANSWER);
+    if (answerMatch) {
+      const letter = answerMatch[1].toUpperCase();
+      const option = current.options.find((opt) => opt.letter === letter);
+
+      if (current.options.length === 0) {
+        fail(lineNumber, 'ANSWER line found before any options', { skipRest: false });
+        return;
+      }
+
+      if (!option) {
+        fail(lineNumber, `ANSWER '${answerMatch[1]}' does not match any option letter (${current.options.map((opt) => opt.letter).join(', ')})`, { skipRest: false });
+        return;
+      }
+
+      const { data, errors: questionErrors } = validateQuestion({
+        type: 'multiple-choice',
+        question: current.question.join(' '),
+        options: current.options.map((opt) => opt.text),
+        correctAnswer: option.text,
+      });
+
+      if (questionErrors.length > 0) {
+        fail(current.line, questionErrors.join('; '), { skipRest: false });
+        return;
+      }
+
+      questions.push({ ...data, line: current.line, metadata: null });
+      current = null;
+      return;
+    }
+
+    const optionMatch = line.match(AIKEN_OPTION);
+    if (optionMatch) {
+      const letter = optionMatch[1];
+      const expected = String.fromCharCode('A'.charCodeAt(0) + current.options.length);
+
+      if (letter !== expected) {
+        fail(lineNumber, `Expected option ${expected} but found ${letter}`);
+        return;
+      }
+
+      current.options.push({ letter, text: optionMatch[2].trim() });
+      return;
+    }
+
+    if (current.options.length > 0) {
+      fail(lineNumber, 'Unexpected text after the options; each question must end with an ANSWER line');
+      return;
+    }
+
+    // Question text may wrap over several lines
+    current.question.push(line);
+  });
+
+  if (current) {
+    fail(current.line, 'Question has no ANSWER line', { skipRest: false });
+  }
+
+  return { questions, errors };
+};
+
+/**
+ * Parse questions in one of TEXT_FORMATS
+ * @param {string} format - 'gift' or 'aiken'
+ * @param {string} text - File contents
+ */
+const parseTextQuestions = (format, text) => {
+  // Strip a UTF-8 byte order mark left by some editors
+  const content = text.replace(/^\uFEFF/, '');
+  return format === 'gift' ? parseGift(content) : parseAiken(content);
+};
+
+module.exports = {
+  TEXT_FORMATS,
+  parseGift,
+  parseAiken,
+  parseTextQuestions,
+};
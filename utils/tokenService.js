@@ -0,0 +1,221 @@
+// utils/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Foreign key column used for each token role
+const ownerField = (role) => (role === 'admin' ? 'adminId' : 'quizTakerId');
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {string} id - Admin or quiz taker ID
+ * @param {string} role - 'admin' or 'quiztaker'
+ * @param {string} sessionId - AuthSession ID
+ */
+const generateAccessToken = (id, role, sessionId) => {
+  return jwt.sign({ id, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+/**
+ * Sign a short-lived token for the two-factor step of admin login
+ * @param {string} adminId - Admin ID
+ * @param {string} purpose - 'login' (enter a code) or 'setup' (enrol before first login)
+ */
+const generateTwoFactorToken = (adminId, purpose) => {
+  return jwt.sign({ id: adminId, role: 'admin-2fa', purpose }, process.env.JWT_SECRET, {
+    expiresIn: purpose === 'setup' ? '15m' : '5m',
+  });
+};
+
+/**
+ * Verify a two-factor step token
+ * @returns {Object|null} Decoded payload, or null if invalid or for another purpose
+ */
+const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.role === 'admin-2fa' && decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Start a new session and issue its first access/refresh token pair
+ * @param {string} id - Admin or quiz taker ID
+ * @param {string} role - 'admin' or 'quiztaker'
+ * @param {Object} req - Express request (for user agent and IP)
+ */
+const issueTokens = async (id, role, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.authSession.create({
+    data: {
+      [ownerField(role)]: id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.get('user-agent')?.substring(0, 500) || null,
+      ipAddress: req.ip || null,
+      expiresAt: refreshTokenExpiry(),
+    },
+  });
+
+  return {
+    token: generateAccessToken(id, role, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting an already-rotated token revokes the whole session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Object|null} New tokens, or null if the refresh token is not valid
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.authSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+  });
+
+  if (!session) {
+    // A token that was already rotated is being replayed - assume it leaked
+    const reusedSession = await prisma.authSession.findFirst({
+      where: { previousTokenHash: tokenHash, revokedAt: null },
+    });
+
+    if (reusedSession) {
+      await revokeSession(reusedSession.id);
+    }
+
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const role = session.adminId ? 'admin' : 'quiztaker';
+  const ownerId = session.adminId || session.quizTakerId;
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousTokenHash: tokenHash,
+      expiresAt: refreshTokenExpiry(),
+      lastUsedAt: new Date(),
+    },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return {
+    role,
+    ownerId,
+    token: generateAccessToken(ownerId, role, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Check that the session behind an access token is still usable
+ * @param {Object} decoded - Verified JWT payload
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) return false;
+
+  const session = await prisma.authSession.findUnique({
+    where: { id: decoded.sid },
+    select: { adminId: true, quizTakerId: true, revokedAt: true, expiresAt: true },
+  });
+
+  return !!session &&
+    !session.revokedAt &&
+    session.expiresAt > new Date() &&
+    session[ownerField(decoded.role)] === decoded.id;
+};
+
+const revokeSession = async (sessionId) => {
+  return prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Revoke every open session of an admin or quiz taker
+ * @param {string} id - Admin or quiz taker ID
+ * @param {string} role - 'admin' or 'quiztaker'
+ * @param {string} [exceptSessionId] - Session to keep open
+ */
+const revokeAllSessions = async (id, role, exceptSessionId) => {
+  return prisma.authSession.updateMany({
+    where: {
+      [ownerField(role)]: id,
+      revokedAt: null,
+      ...(exceptSessionId && { NOT: { id: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * List the open sessions of an admin or quiz taker
+ * @param {string} id - Admin or quiz taker ID
+ * @param {string} role - 'admin' or 'quiztaker'
+ */
+const listActiveSessions = async (id, role) => {
+  return prisma.authSession.findMany({
+    where: {
+      [ownerField(role)]: id,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  issueTokens,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
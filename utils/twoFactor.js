@@ -0,0 +1,80 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { hashToken } = require('./tokenService');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'BJOT Admin';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const generateSecret = () => authenticator.generateSecret();
+
+/**
+ * Build the otpauth:// URI and a QR code image for an authenticator app
+ * @param {string} email - Admin email shown in the app
+ * @param {string} secret - Base32 TOTP secret
+ */
+const buildEnrollment = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { otpauthUrl, qrCode };
+};
+
+/**
+ * Check a TOTP code
+ * @returns {number|null} Time step the code belongs to, or null if it doesn't match.
+ *   Callers store the step so the same code can't be replayed inside the window.
+ */
+const verifyTotp = (secret, code) => {
+  if (!secret || !code) return null;
+
+  const checker = authenticator.clone({ epoch: Date.now() });
+  const { epoch, step } = checker.allOptions();
+  const delta = checker.checkDelta(String(code).replace(/\s/g, ''), secret);
+
+  if (delta === null) return null;
+
+  return Math.floor(epoch / 1000 / step) + delta;
+};
+
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Generate fresh recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes (stored)
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+/**
+ * Check a recovery code against the stored hashes
+ * @returns {string[]|null} Remaining hashes if the code matched, otherwise null
+ */
+const useRecoveryCode = (storedHashes, code) => {
+  const hashes = Array.isArray(storedHashes) ? storedHashes : [];
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+
+  if (!hashes.includes(codeHash)) return null;
+
+  return hashes.filter((hash) => hash !== codeHash);
+};
+
+module.exports = {
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  useRecoveryCode,
+};